@@ -0,0 +1,72 @@
+import { createContext, useContext, useEffect, useState } from 'react';
+import { onAuthChange, signIn, signOut, authFetch } from '../lib/auth-client';
+
+const AuthContext = createContext({ user: null, role: 'public', loading: true, signIn, signOut });
+
+/**
+ * Tracks the signed-in user and asks the server which role they have.
+ */
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(null);
+  const [role, setRole] = useState('public');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => onAuthChange(async (nextUser) => {
+    setUser(nextUser);
+    try {
+      const response = await authFetch('/api/auth/me');
+      const data = await response.json();
+      setRole(response.ok ? data.role : 'public');
+    } catch (error) {
+      console.error('Error checking role', error);
+      setRole('public');
+    } finally {
+      setLoading(false);
+    }
+  }), []);
+
+  return (
+    <AuthContext.Provider value={{ user, role, loading, signIn, signOut }}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+export const useAuth = () => useContext(AuthContext);
+
+export function AuthStatus() {
+  const { user, role, loading } = useAuth();
+  if (loading) return null;
+
+  return (
+    <div style={authBarStyle}>
+      {user ? (
+        <>
+          <span>Signed in as {user.email} ({role})</span>
+          <button onClick={() => signOut().catch(console.error)} style={linkButtonStyle}>Sign out</button>
+        </>
+      ) : (
+        <button onClick={() => signIn().catch(console.error)} style={linkButtonStyle}>Sign in</button>
+      )}
+    </div>
+  );
+}
+
+const authBarStyle = {
+    display: 'flex',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    gap: '0.75rem',
+    padding: '0.5rem 1rem',
+    fontSize: '0.9rem',
+    borderBottom: '1px solid #eee'
+};
+
+const linkButtonStyle = {
+    background: 'none',
+    border: 'none',
+    color: '#007bff',
+    textDecoration: 'underline',
+    cursor: 'pointer',
+    fontSize: '0.9rem'
+};
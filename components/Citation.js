@@ -0,0 +1,29 @@
+// Where in the rulebook an extracted value came from: a link that opens the
+// stored PDF at the cited page, and the quoted sentence
+export default function Citation({ citation, pdfUrl }) {
+  if (!citation) return null;
+
+  if (!citation.verified) {
+    return (
+      <div style={{ ...quoteStyle, color: '#b26a00' }} title={citation.quote}>
+        Source quote not found in the PDF{citation.page ? ` (claimed p. ${citation.page})` : ''}
+      </div>
+    );
+  }
+
+  return (
+    <div style={quoteStyle}>
+      {pdfUrl ? (
+        <a href={`${pdfUrl}#page=${citation.page}`} target="_blank" rel="noreferrer">p. {citation.page}</a>
+      ) : `p. ${citation.page}`}
+      {' '}&ldquo;{citation.quote}&rdquo;
+    </div>
+  );
+}
+
+const quoteStyle = {
+    fontSize: '0.75rem',
+    color: '#666',
+    fontStyle: 'italic',
+    marginTop: '2px'
+};
@@ -0,0 +1,175 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { authFetch } from '../lib/auth-client';
+
+// Version history and diff viewer for a season's rulebook PDF (Step 2 of /ccl-search)
+export default function RulebookVersions({ season, year, canCheck = true }) {
+  const [versions, setVersions] = useState([]);
+  const [checking, setChecking] = useState(false);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+
+  const loadVersions = useCallback(async () => {
+    try {
+      const res = await authFetch(`/api/ccl-rulebook-versions?season=${season}&year=${year}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message);
+
+      setVersions(data.versions);
+      if (data.versions.length >= 2) {
+        setFrom(String(data.versions[data.versions.length - 2].version));
+        setTo(String(data.versions[data.versions.length - 1].version));
+      }
+    } catch (e) {
+      console.error('Error loading rulebook versions', e);
+    }
+  }, [season, year]);
+
+  useEffect(() => {
+    setDiff(null);
+    loadVersions();
+  }, [loadVersions]);
+
+  const handleCheck = async () => {
+    setChecking(true);
+    try {
+      const response = await authFetch('/api/check-ccl-pdf-update', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ season, year }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message);
+
+      if (data.changed) {
+        toast.success(data.message);
+        await loadVersions();
+      } else {
+        const failed = data.results.find(result => result.error);
+        if (failed) toast.error(failed.error);
+        else toast.info(data.message);
+      }
+    } catch (error) {
+      console.error(error);
+      toast.error(error.message);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleCompare = async () => {
+    setDiffLoading(true);
+    try {
+      const res = await authFetch(`/api/ccl-rulebook-versions?season=${season}&year=${year}&from=${from}&to=${to}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message);
+      setDiff(data.diff);
+    } catch (error) {
+      console.error(error);
+      toast.error(error.message);
+    } finally {
+      setDiffLoading(false);
+    }
+  };
+
+  return (
+    <div style={{ marginTop: '1rem' }}>
+      <button onClick={handleCheck} disabled={!canCheck || checking} style={secondaryButtonStyle}>
+        {checking ? 'Checking...' : 'Check for Newer Version'}
+      </button>
+
+      {versions.length > 0 && (
+        <details style={{ marginTop: '10px' }}>
+          <summary style={{ cursor: 'pointer', fontWeight: 'bold' }}>Rulebook Versions ({versions.length})</summary>
+          <ul style={{ paddingLeft: '1.2rem' }}>
+            {versions.map(version => (
+              <li key={version.version}>
+                <a href={version.pdfStorageUrl} target="_blank" rel="noreferrer">Version {version.version}</a>
+                {' '}({new Date(version.uploadedAt).toLocaleString()}, {version.source}
+                {version.hasTournamentInfo ? ', extracted' : ''}) <code>{version.hash.slice(0, 10)}</code>
+              </li>
+            ))}
+          </ul>
+
+          {versions.length >= 2 && (
+            <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+              Compare
+              <select value={from} onChange={(e) => setFrom(e.target.value)}>
+                {versions.map(version => <option key={version.version} value={version.version}>v{version.version}</option>)}
+              </select>
+              to
+              <select value={to} onChange={(e) => setTo(e.target.value)}>
+                {versions.map(version => <option key={version.version} value={version.version}>v{version.version}</option>)}
+              </select>
+              <button onClick={handleCompare} disabled={diffLoading || from === to} style={secondaryButtonStyle}>
+                {diffLoading ? 'Comparing...' : 'Show Diff'}
+              </button>
+            </div>
+          )}
+
+          {diff && (
+            <div style={{ marginTop: '10px' }}>
+              <h4>Extracted fields (v{diff.from} → v{diff.to})</h4>
+              {diff.fields === null ? (
+                <p>Extract info for both versions to compare dates and requirements.</p>
+              ) : diff.fields.length === 0 ? (
+                <p>No changes to extracted dates or requirements.</p>
+              ) : (
+                <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+                  <tbody>
+                    {diff.fields.map(change => (
+                      <tr key={change.field}>
+                        <td style={cellStyle}>{change.field}</td>
+                        <td style={{ ...cellStyle, ...removedStyle }}>{change.type !== 'added' ? String(change.before) : ''}</td>
+                        <td style={{ ...cellStyle, ...addedStyle }}>{change.type !== 'removed' ? String(change.after) : ''}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              <h4>Text</h4>
+              {diff.text.length === 0 ? <p>No text changes.</p> : (
+                <pre style={{ background: '#f4f4f4', padding: '10px', overflow: 'auto', maxHeight: '300px' }}>
+                  {diff.text.map((hunk, i) => (
+                    <div key={i} style={{ marginBottom: '10px' }}>
+                      {hunk.map((op, j) => (
+                        <div key={j} style={op.type === 'added' ? addedStyle : op.type === 'removed' ? removedStyle : undefined}>
+                          {op.type === 'added' ? '+ ' : op.type === 'removed' ? '- ' : '  '}{op.line}
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                </pre>
+              )}
+            </div>
+          )}
+        </details>
+      )}
+    </div>
+  );
+}
+
+const secondaryButtonStyle = {
+    padding: '0.35rem 0.75rem',
+    background: 'white',
+    color: '#007bff',
+    border: '1px solid #007bff',
+    borderRadius: '4px',
+    cursor: 'pointer'
+};
+
+const cellStyle = {
+    border: '1px solid #ddd',
+    padding: '4px 8px'
+};
+
+const addedStyle = {
+    background: '#e6ffed'
+};
+
+const removedStyle = {
+    background: '#ffeef0'
+};
@@ -0,0 +1,98 @@
+import { useState, useEffect } from 'react';
+import { toIsoInstant } from '../lib/ccl-dates';
+import Citation from './Citation';
+
+const UNITS = [
+  ['year', 365 * 24 * 60 * 60 * 1000],
+  ['month', 30 * 24 * 60 * 60 * 1000],
+  ['week', 7 * 24 * 60 * 60 * 1000],
+  ['day', 24 * 60 * 60 * 1000],
+  ['hour', 60 * 60 * 1000],
+  ['minute', 60 * 1000]
+];
+
+// "in 3 days", "2 hours ago", ...
+export function formatRelative(isoDate, now) {
+  const diff = new Date(isoDate).getTime() - now;
+  const formatter = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+  for (const [unit, ms] of UNITS) {
+    if (Math.abs(diff) >= ms || unit === 'minute') {
+      return formatter.format(Math.round(diff / ms), unit);
+    }
+  }
+  return '';
+}
+
+function collectRows(tournamentInfo) {
+  const rows = [];
+  // `prefix` builds the same field keys as listTournamentFields, which citations use
+  const add = (group, prefix, events) => (events || []).forEach((event, i) => {
+    if (!event) return;
+    // Records extracted before isoDate was stored are converted on the fly
+    rows.push({
+      group,
+      key: `${prefix} › ${event.title || `#${i + 1}`}`,
+      title: event.title,
+      date: event.date,
+      isoDate: event.isoDate || toIsoInstant(event.date)
+    });
+  });
+
+  add('Logistics', 'logistics', tournamentInfo.logistics);
+  add('Regular Season', 'regular_season', tournamentInfo.regular_season);
+  (tournamentInfo.divisions || []).forEach(division => add(`Division ${division.division} Playoffs`, `Division ${division.division} playoffs`, division.playoff_rounds));
+  return rows;
+}
+
+// Step 3 schedule, shown in the viewer's own time zone, with the rulebook
+// sentence each date came from when citations are given
+export default function ScheduleTable({ tournamentInfo, citations, pdfUrl }) {
+  // Rendered only after mount so server and client agree on "now" and the time zone
+  const [now, setNow] = useState(null);
+
+  useEffect(() => {
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  if (!tournamentInfo || now === null) return null;
+
+  const rows = collectRows(tournamentInfo);
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  return (
+    <table style={{ borderCollapse: 'collapse', width: '100%', marginBottom: '10px' }}>
+      <thead>
+        <tr>
+          <th style={cellStyle}>Event</th>
+          <th style={cellStyle}>Your time ({timeZone})</th>
+          <th style={cellStyle}>When</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row, i) => (
+          <tr key={i} style={{ color: row.isoDate && new Date(row.isoDate).getTime() < now ? '#999' : undefined }}>
+            <td style={cellStyle}>
+              <div style={{ fontSize: '0.75rem', color: '#888' }}>{row.group}</div>
+              {row.title}
+              {citations && <Citation citation={citations[row.key]} pdfUrl={pdfUrl} />}
+            </td>
+            <td style={cellStyle} title={row.date}>
+              {row.isoDate
+                ? new Date(row.isoDate).toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' })
+                : row.date}
+            </td>
+            <td style={cellStyle}>{row.isoDate ? formatRelative(row.isoDate, now) : 'Unknown date'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+const cellStyle = {
+    border: '1px solid #ddd',
+    padding: '4px 8px',
+    textAlign: 'left'
+};
@@ -0,0 +1,134 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { authFetch } from '../lib/auth-client';
+
+const LINK_LABELS = {
+  pdf: 'Rulebook',
+  instructions: 'Instructions',
+  registration: 'Registration',
+  fairPlay: 'Fair Play',
+  platform: 'Platform'
+};
+
+// Every record the search saved for a season, with the canonical one that
+// the later steps and other pages use (Step 1 of /ccl-search)
+export default function SeasonCandidates({ season, year, canEdit = true, onChange }) {
+  const [records, setRecords] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const loadRecords = useCallback(async () => {
+    try {
+      const res = await authFetch(`/api/ccl-season-records?season=${season}&year=${year}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message);
+      setRecords(data.records);
+    } catch (e) {
+      console.error('Error loading season records', e);
+    }
+  }, [season, year]);
+
+  useEffect(() => {
+    loadRecords();
+  }, [loadRecords]);
+
+  const save = async (method, body, successMessage) => {
+    setSaving(true);
+    try {
+      const response = await authFetch('/api/ccl-season-records', {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ season, year, ...body }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message);
+
+      setRecords(data.records);
+      toast.success(successMessage);
+      onChange?.();
+    } catch (error) {
+      console.error(error);
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMakeCanonical = (id) => save('PUT', { id }, 'Canonical record updated');
+
+  const handleMerge = () => save('POST', { action: 'merge' }, 'Links merged into the canonical record');
+
+  if (records.length === 0) return null;
+
+  return (
+    <div style={{ marginTop: '1rem' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '0.5rem' }}>
+        <strong>Source documents ({records.length})</strong>
+        {records.length > 1 && (
+          <button onClick={handleMerge} disabled={!canEdit || saving} style={secondaryButtonStyle}>
+            Merge Links into Canonical
+          </button>
+        )}
+      </div>
+      <table style={{ borderCollapse: 'collapse', width: '100%', fontSize: '0.85rem' }}>
+        <thead>
+          <tr>
+            <th style={cellStyle}>Source</th>
+            <th style={cellStyle}>Links</th>
+            <th style={cellStyle}>Progress</th>
+            <th style={cellStyle}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {records.map(record => (
+            <tr key={record.id} style={record.canonical ? canonicalRowStyle : undefined}>
+              <td style={cellStyle}>
+                <a href={record.source} target="_blank" rel="noreferrer">{record.source}</a>
+                {record.mergedFrom.length > 0 && (
+                  <div style={{ color: '#666' }}>+ links from {record.mergedFrom.length} other page(s)</div>
+                )}
+              </td>
+              <td style={cellStyle}>
+                {Object.entries(LINK_LABELS).filter(([field]) => record[field]).map(([field, label], i) => (
+                  <span key={field}>
+                    {i > 0 && ' | '}
+                    <a href={record[field]} target="_blank" rel="noreferrer">{label}</a>
+                  </span>
+                ))}
+              </td>
+              <td style={cellStyle}>
+                {record.hasTournamentInfo ? 'Extracted' : record.pdfStorageUrl ? 'PDF stored' : 'Links only'}
+              </td>
+              <td style={cellStyle}>
+                {record.canonical ? <strong>Canonical</strong> : (
+                  <button onClick={() => handleMakeCanonical(record.id)} disabled={!canEdit || saving} style={secondaryButtonStyle}>
+                    Make Canonical
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const secondaryButtonStyle = {
+    padding: '0.35rem 0.75rem',
+    background: 'white',
+    color: '#007bff',
+    border: '1px solid #007bff',
+    borderRadius: '4px',
+    cursor: 'pointer'
+};
+
+const cellStyle = {
+    border: '1px solid #ddd',
+    padding: '4px 8px',
+    textAlign: 'left',
+    wordBreak: 'break-all'
+};
+
+const canonicalRowStyle = {
+    background: '#e8f4ff'
+};
@@ -0,0 +1,287 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { authFetch } from '../lib/auth-client';
+
+const FIELD_LABELS = {
+  logistics: 'Logistics',
+  regular_season: 'Regular season',
+  divisions: 'Playoffs',
+  'requirements.minimum_account_age': 'Minimum account age',
+  'requirements.minimum_games': 'Minimum games'
+};
+
+const SOURCE_LABELS = {
+  extract: 'Extracted',
+  manual: 'Edited',
+  revert: 'Reverted'
+};
+
+const DATE_PLACEHOLDER = 'YYYY-MM-DD HH:MM AM PT';
+
+// Division "1" stays a number like the extraction returns it; "2+" stays text
+const parseDivision = (value) => (/^\d+$/.test(value) ? Number(value) : value);
+
+const parseCount = (value) => (value === '' ? null : Number(value));
+
+function EventRows({ events, onChange, disabled }) {
+  const update = (i, key, value) => onChange(events.map((event, j) => (j === i ? { ...event, [key]: value } : event)));
+
+  return (
+    <div>
+      {events.map((event, i) => (
+        <div key={i} style={rowStyle}>
+          <input value={event.title} onChange={(e) => update(i, 'title', e.target.value)} placeholder="Title" disabled={disabled} style={{ ...inputStyle, flex: 1 }} />
+          <input value={event.date} onChange={(e) => update(i, 'date', e.target.value)} placeholder={DATE_PLACEHOLDER} disabled={disabled} style={{ ...inputStyle, width: '210px' }} />
+          <button onClick={() => onChange(events.filter((_, j) => j !== i))} disabled={disabled} style={removeButtonStyle} title="Remove">&times;</button>
+        </div>
+      ))}
+      <button onClick={() => onChange([...events, { title: '', date: '' }])} disabled={disabled} style={secondaryButtonStyle}>+ Add</button>
+    </div>
+  );
+}
+
+// Hand corrections to the extracted schedule and requirements, with the
+// history of every change (Step 3 of /ccl-search)
+export default function TournamentInfoEditor({ season, year, tournamentInfo, canEdit = true, onSaved }) {
+  const [state, setState] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const loadState = useCallback(async () => {
+    try {
+      const res = await authFetch(`/api/ccl-tournament-info?season=${season}&year=${year}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message);
+      setState(data);
+    } catch (e) {
+      console.error('Error loading tournament info history', e);
+    }
+  }, [season, year]);
+
+  // Reload whenever the page gets new info (e.g. after extracting again)
+  useEffect(() => {
+    setDraft(null);
+    setErrors([]);
+    loadState();
+  }, [loadState, tournamentInfo]);
+
+  const save = async (method, body) => {
+    setSaving(true);
+    try {
+      const response = await authFetch('/api/ccl-tournament-info', {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ season, year, baseRevision: state.revision, ...body }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setErrors(data.errors || []);
+        throw new Error(data.message);
+      }
+
+      setState(data);
+      setDraft(null);
+      setErrors([]);
+      toast.success(data.message);
+      onSaved?.(data);
+    } catch (error) {
+      console.error(error);
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startEditing = () => {
+    const info = state.tournamentInfo;
+    // Only title and date are edited; isoDate is recomputed on save
+    const events = (list) => (list || []).map(({ title, date }) => ({ title, date }));
+    setDraft({
+      ...info,
+      logistics: events(info.logistics),
+      regular_season: events(info.regular_season),
+      divisions: (info.divisions || []).map(division => ({ ...division, playoff_rounds: events(division.playoff_rounds) })),
+      requirements: { ...info.requirements }
+    });
+  };
+
+  const updateDivision = (i, patch) => setDraft({
+    ...draft,
+    divisions: draft.divisions.map((division, j) => (j === i ? { ...division, ...patch } : division))
+  });
+
+  if (!state) return null;
+
+  const manualFields = Object.entries(state.manualFields);
+
+  return (
+    <div style={{ marginTop: '1rem' }}>
+      {manualFields.length > 0 && (
+        <div style={{ marginBottom: '0.5rem', fontSize: '0.9rem' }}>
+          <strong>Edited by hand</strong> (kept when the info is extracted again):
+          <ul style={{ margin: '5px 0 0', paddingLeft: '1.2rem' }}>
+            {manualFields.map(([field, { editedBy, editedAt }]) => (
+              <li key={field}>
+                {FIELD_LABELS[field] || field} by {editedBy || 'unknown'} on {new Date(editedAt).toLocaleString()}
+                {canEdit && !draft && (
+                  <button onClick={() => save('DELETE', { field })} disabled={saving} style={{ ...secondaryButtonStyle, marginLeft: '8px' }}>
+                    Use Extracted Value
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {canEdit && !draft && (
+        <button onClick={startEditing} style={secondaryButtonStyle}>Edit Tournament Info</button>
+      )}
+
+      {draft && (
+        <div style={editorStyle}>
+          <h4 style={sectionTitleStyle}>Logistics</h4>
+          <EventRows events={draft.logistics} onChange={(logistics) => setDraft({ ...draft, logistics })} disabled={saving} />
+
+          <h4 style={sectionTitleStyle}>Regular Season</h4>
+          <EventRows events={draft.regular_season} onChange={(regular_season) => setDraft({ ...draft, regular_season })} disabled={saving} />
+
+          {draft.divisions.map((division, i) => (
+            <div key={i}>
+              <h4 style={{ ...sectionTitleStyle, display: 'flex', alignItems: 'center', gap: '8px' }}>
+                Division
+                <input value={division.division} onChange={(e) => updateDivision(i, { division: parseDivision(e.target.value) })} disabled={saving} style={{ ...inputStyle, width: '60px' }} />
+                Playoffs
+                <button onClick={() => setDraft({ ...draft, divisions: draft.divisions.filter((_, j) => j !== i) })} disabled={saving} style={secondaryButtonStyle}>
+                  Remove Division
+                </button>
+              </h4>
+              <EventRows events={division.playoff_rounds} onChange={(playoff_rounds) => updateDivision(i, { playoff_rounds })} disabled={saving} />
+            </div>
+          ))}
+          <button
+            onClick={() => setDraft({ ...draft, divisions: [...draft.divisions, { division: '', playoff_rounds: [] }] })}
+            disabled={saving}
+            style={{ ...secondaryButtonStyle, marginTop: '0.5rem' }}
+          >
+            + Add Division
+          </button>
+
+          <h4 style={sectionTitleStyle}>Requirements</h4>
+          <div style={rowStyle}>
+            <label>
+              Minimum account age (days):
+              <input
+                type="number"
+                min="0"
+                value={draft.requirements.minimum_account_age ?? ''}
+                onChange={(e) => setDraft({ ...draft, requirements: { ...draft.requirements, minimum_account_age: parseCount(e.target.value) } })}
+                disabled={saving}
+                style={{ ...inputStyle, width: '80px', marginLeft: '0.5rem' }}
+              />
+            </label>
+            <label>
+              Minimum rated blitz games:
+              <input
+                type="number"
+                min="0"
+                value={draft.requirements.minimum_games ?? ''}
+                onChange={(e) => setDraft({ ...draft, requirements: { ...draft.requirements, minimum_games: parseCount(e.target.value) } })}
+                disabled={saving}
+                style={{ ...inputStyle, width: '80px', marginLeft: '0.5rem' }}
+              />
+            </label>
+          </div>
+
+          {errors.length > 0 && (
+            <ul style={{ color: '#b71c1c', paddingLeft: '1.2rem' }}>
+              {errors.map((error, i) => <li key={i}>{error}</li>)}
+            </ul>
+          )}
+
+          <div style={{ marginTop: '1rem', display: 'flex', gap: '10px' }}>
+            <button onClick={() => save('PUT', { tournamentInfo: draft })} disabled={saving} style={primaryButtonStyle}>
+              {saving ? 'Saving...' : 'Save Changes'}
+            </button>
+            <button onClick={() => { setDraft(null); setErrors([]); }} disabled={saving} style={secondaryButtonStyle}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      {state.history.length > 0 && (
+        <details style={{ marginTop: '0.75rem' }}>
+          <summary style={{ cursor: 'pointer', fontWeight: 'bold' }}>Change History ({state.history.length})</summary>
+          <ol reversed style={{ paddingLeft: '1.5rem', fontSize: '0.85rem' }}>
+            {[...state.history].reverse().map(entry => (
+              <li key={entry.revision} style={{ marginBottom: '0.5rem' }}>
+                {SOURCE_LABELS[entry.source] || entry.source}
+                {entry.changedBy && ` by ${entry.changedBy}`}
+                {entry.changedAt && ` on ${new Date(entry.changedAt).toLocaleString()}`}
+                {entry.fields.length > 0 && `: ${entry.fields.map(field => FIELD_LABELS[field] || field).join(', ')}`}
+                {entry.changes.length > 0 && (
+                  <ul style={{ margin: '2px 0 0', paddingLeft: '1.2rem', color: '#555' }}>
+                    {entry.changes.map((change, i) => (
+                      <li key={i}>
+                        {change.field}: {change.type === 'added' ? `added ${change.after}`
+                          : change.type === 'removed' ? `removed ${change.before}`
+                          : `${change.before} → ${change.after}`}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ol>
+        </details>
+      )}
+    </div>
+  );
+}
+
+const editorStyle = {
+    marginTop: '0.5rem',
+    padding: '1rem',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    background: 'white'
+};
+
+const sectionTitleStyle = {
+    margin: '1rem 0 0.5rem'
+};
+
+const rowStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    marginBottom: '6px'
+};
+
+const inputStyle = {
+    padding: '0.25rem'
+};
+
+const primaryButtonStyle = {
+    padding: '0.5rem 1rem',
+    background: '#007bff',
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer'
+};
+
+const secondaryButtonStyle = {
+    padding: '0.35rem 0.75rem',
+    background: 'white',
+    color: '#007bff',
+    border: '1px solid #007bff',
+    borderRadius: '4px',
+    cursor: 'pointer'
+};
+
+const removeButtonStyle = {
+    ...secondaryButtonStyle,
+    color: '#dc3545',
+    borderColor: '#dc3545'
+};
@@ -0,0 +1,84 @@
+// Browser side of sign-in. With NEXT_PUBLIC_CCL_LOCAL_AUTH=1 (the server
+// needs CCL_LOCAL_AUTH=1 too) you sign in by typing an email, which is sent
+// as a "local:<email>" token instead of a Firebase ID token.
+const LOCAL_AUTH = process.env.NEXT_PUBLIC_CCL_LOCAL_AUTH === '1';
+const LOCAL_EMAIL_KEY = 'ccl-local-auth-email';
+
+const localListeners = new Set();
+
+// Firebase is imported lazily so local sign-in never initializes it
+async function firebaseAuth() {
+  const [{ auth }, firebaseAuthModule] = await Promise.all([import('./firebase'), import('firebase/auth')]);
+  return { auth, ...firebaseAuthModule };
+}
+
+/**
+ * Call back with { email } whenever the signed-in user changes (null when
+ * signed out). Returns an unsubscribe function.
+ */
+export function onAuthChange(callback) {
+  if (LOCAL_AUTH) {
+    const notify = () => {
+      const email = window.localStorage.getItem(LOCAL_EMAIL_KEY);
+      callback(email ? { email } : null);
+    };
+    localListeners.add(notify);
+    notify();
+    return () => localListeners.delete(notify);
+  }
+
+  let unsubscribe = () => {};
+  let cancelled = false;
+  firebaseAuth().then(({ auth, onIdTokenChanged }) => {
+    if (cancelled) return;
+    unsubscribe = onIdTokenChanged(auth, user => callback(user ? { email: user.email } : null));
+  });
+  return () => {
+    cancelled = true;
+    unsubscribe();
+  };
+}
+
+export async function signIn() {
+  if (LOCAL_AUTH) {
+    const email = window.prompt('Local sign-in: enter an email address');
+    if (!email) return;
+    window.localStorage.setItem(LOCAL_EMAIL_KEY, email.trim());
+    localListeners.forEach(notify => notify());
+    return;
+  }
+
+  const { auth, GoogleAuthProvider, signInWithPopup } = await firebaseAuth();
+  await signInWithPopup(auth, new GoogleAuthProvider());
+}
+
+export async function signOut() {
+  if (LOCAL_AUTH) {
+    window.localStorage.removeItem(LOCAL_EMAIL_KEY);
+    localListeners.forEach(notify => notify());
+    return;
+  }
+
+  const { auth, signOut: firebaseSignOut } = await firebaseAuth();
+  await firebaseSignOut(auth);
+}
+
+async function getIdToken() {
+  if (LOCAL_AUTH) {
+    const email = window.localStorage.getItem(LOCAL_EMAIL_KEY);
+    return email ? `local:${email}` : null;
+  }
+
+  const { auth } = await firebaseAuth();
+  return auth.currentUser ? auth.currentUser.getIdToken() : null;
+}
+
+/**
+ * fetch() that sends the signed-in user's ID token to our API routes.
+ */
+export async function authFetch(url, options = {}) {
+  const token = await getIdToken();
+  const headers = new Headers(options.headers);
+  if (token) headers.set('Authorization', `Bearer ${token}`);
+  return fetch(url, { ...options, headers });
+}
@@ -0,0 +1,192 @@
+import { createPublicKey, verify, timingSafeEqual } from 'crypto';
+import { hasAdminCredentials, getAdminAuth } from './firebase-admin';
+
+// Lowest to highest; each role can do everything the ones before it can
+export const ROLES = ['public', 'member', 'officer'];
+
+const GOOGLE_CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+const LOCAL_TOKEN_PREFIX = 'local:';
+
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+let certCache = { certs: null, expiresAt: 0 };
+
+/**
+ * Google's current signing certificates for Firebase ID tokens, cached for
+ * as long as the response's Cache-Control allows.
+ */
+async function getGoogleCerts(now) {
+  if (certCache.certs && now < certCache.expiresAt) return certCache.certs;
+
+  const response = await fetch(GOOGLE_CERTS_URL);
+  if (!response.ok) throw new Error(`Failed to fetch Firebase signing keys: ${response.status}`);
+
+  const maxAge = Number(response.headers.get('cache-control')?.match(/max-age=(\d+)/)?.[1] || 0);
+  certCache = { certs: await response.json(), expiresAt: now + maxAge * 1000 };
+  return certCache.certs;
+}
+
+export function clearCertCache() {
+  certCache = { certs: null, expiresAt: 0 };
+}
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Verify a Firebase Auth ID token (RS256 JWT) and return its claims without
+ * the Admin SDK, for servers that have no service account.
+ * See https://firebase.google.com/docs/auth/admin/verify-id-tokens#verify_id_tokens_using_a_third-party_jwt_library
+ */
+export async function verifyFirebaseIdToken(token, { projectId = process.env.REACT_APP_PROJ, now = Date.now() } = {}) {
+  const [headerPart, payloadPart, signaturePart] = String(token).split('.');
+  if (!headerPart || !payloadPart || !signaturePart) throw new AuthError('Malformed ID token');
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(headerPart);
+    claims = decodeSegment(payloadPart);
+  } catch {
+    throw new AuthError('Malformed ID token');
+  }
+
+  if (header.alg !== 'RS256') throw new AuthError('Unexpected ID token algorithm');
+
+  const certs = await getGoogleCerts(now);
+  const cert = certs[header.kid];
+  if (!cert) throw new AuthError('ID token signed with an unknown key');
+
+  const signed = verify(
+    'RSA-SHA256',
+    Buffer.from(`${headerPart}.${payloadPart}`),
+    createPublicKey(cert),
+    Buffer.from(signaturePart, 'base64url')
+  );
+  if (!signed) throw new AuthError('Invalid ID token signature');
+
+  const seconds = Math.floor(now / 1000);
+  if (!projectId || claims.aud !== projectId) throw new AuthError('ID token is for a different project');
+  if (claims.iss !== `https://securetoken.google.com/${projectId}`) throw new AuthError('ID token has the wrong issuer');
+  if (!claims.sub) throw new AuthError('ID token has no subject');
+  if (typeof claims.exp !== 'number' || claims.exp <= seconds) throw new AuthError('ID token has expired');
+  if (typeof claims.iat !== 'number' || claims.iat > seconds + 60) throw new AuthError('ID token was issued in the future');
+
+  return claims;
+}
+
+/**
+ * Verify an ID token with the Admin SDK when the server has a service
+ * account, else check the JWT by hand.
+ */
+async function verifyIdToken(token) {
+  if (!hasAdminCredentials()) return verifyFirebaseIdToken(token);
+
+  try {
+    return await getAdminAuth().verifyIdToken(token);
+  } catch (error) {
+    if (String(error.code).startsWith('auth/')) throw new AuthError('Invalid ID token');
+    throw error;
+  }
+}
+
+const splitList = (value) => String(value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Officers are listed in CCL_OFFICER_EMAILS; anyone with a verified address
+ * in CCL_MEMBER_EMAIL_DOMAINS (default ucsc.edu) is a member.
+ */
+export function resolveRole(claims, env = process.env) {
+  const email = String(claims?.email || '').toLowerCase();
+  if (!email || !claims.email_verified) return 'public';
+
+  if (splitList(env.CCL_OFFICER_EMAILS).includes(email)) return 'officer';
+
+  const domains = splitList(env.CCL_MEMBER_EMAIL_DOMAINS || 'ucsc.edu');
+  if (domains.includes(email.split('@')[1])) return 'member';
+
+  return 'public';
+}
+
+// A "local:<email>" token lets the caller claim any address, so it takes its
+// own opt-in and is never accepted by a production build
+const localSignInEnabled = () => process.env.CCL_LOCAL_AUTH === '1' && process.env.NODE_ENV !== 'production';
+
+/**
+ * Work out who sent a request from its "Authorization: Bearer <ID token>"
+ * header. Requests without a token are public. With CCL_LOCAL_AUTH=1,
+ * "local:<email>" tokens stand in for Firebase sign-in.
+ */
+export async function authenticateRequest(req) {
+  const match = String(req.headers?.authorization || '').match(/^Bearer (.+)$/);
+  if (!match) return { uid: null, email: null, role: 'public' };
+
+  const token = match[1];
+  let claims;
+
+  if (token.startsWith(LOCAL_TOKEN_PREFIX)) {
+    if (!localSignInEnabled()) throw new AuthError('Local sign-in is not enabled');
+    const email = token.slice(LOCAL_TOKEN_PREFIX.length);
+    claims = { sub: token, email, email_verified: true };
+  } else {
+    claims = await verifyIdToken(token);
+  }
+
+  return { uid: claims.sub, email: claims.email || null, role: resolveRole(claims) };
+}
+
+/**
+ * Check a scheduled route's "Authorization: Bearer $CRON_SECRET" header.
+ * Returns null when it matches, else the status and message to reply with.
+ * Without CRON_SECRET the route stays closed instead of open to anyone.
+ */
+export function checkCronSecret(req) {
+  if (!process.env.CRON_SECRET) return { status: 503, message: 'CRON_SECRET is not configured' };
+
+  const expected = Buffer.from(`Bearer ${process.env.CRON_SECRET}`);
+  const received = Buffer.from(String(req.headers?.authorization || ''));
+  if (received.length !== expected.length || !timingSafeEqual(received, expected)) {
+    return { status: 401, message: 'Unauthorized' };
+  }
+  return null;
+}
+
+export const hasRole = (user, role) => ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+/**
+ * Wrap an API route so it only runs for callers with the required role.
+ * `access` is a role, or an object of roles by method with an optional
+ * `default`, e.g. { GET: 'member', default: 'officer' }. The caller is
+ * available to the handler as req.user.
+ */
+export function withAuth(handler, access) {
+  return async function authenticatedHandler(req, res) {
+    const required = typeof access === 'string' ? access : access[req.method] || access.default || 'officer';
+
+    try {
+      req.user = await authenticateRequest(req);
+    } catch (error) {
+      if (!(error instanceof AuthError)) {
+        console.error(error);
+        return res.status(500).json({ message: 'Internal server error', error: error.message });
+      }
+      if (required !== 'public') {
+        return res.status(error.status).json({ message: error.message });
+      }
+      req.user = { uid: null, email: null, role: 'public' };
+    }
+
+    if (!hasRole(req.user, required)) {
+      return req.user.role === 'public' && !req.user.uid
+        ? res.status(401).json({ message: 'Sign in required' })
+        : res.status(403).json({ message: `${required.charAt(0).toUpperCase() + required.slice(1)} access required` });
+    }
+
+    return handler(req, res);
+  };
+}
@@ -0,0 +1,50 @@
+export const RESPONSES = ['yes', 'no', 'maybe'];
+
+/**
+ * Per-round availability grid for the current schedule. Responses are stored
+ * by member id and round id together with the round date they answered for;
+ * when a re-extraction moves a round, the old answer is kept but marked stale.
+ */
+export function summarizeAvailability(rounds, members, availability = {}) {
+  return rounds.map(round => {
+    const counts = { yes: 0, no: 0, maybe: 0, none: 0 };
+
+    const responses = members.map(member => {
+      const entry = availability[member.id]?.[round.id];
+      const stale = Boolean(entry && entry.roundDate !== (round.isoDate || null));
+      counts[entry ? entry.response : 'none'] += 1;
+
+      return {
+        memberId: member.id,
+        username: member.username,
+        team: member.team,
+        response: entry?.response || null,
+        stale
+      };
+    });
+
+    return { ...round, counts, responses };
+  });
+}
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV of the players who said yes, one row per round and player.
+ */
+export function availablePlayersCsv(summary) {
+  const rows = [['Round', 'Date', 'Team', 'Username', 'Needs Reconfirming']];
+
+  summary.forEach(round => {
+    round.responses
+      .filter(response => response.response === 'yes')
+      .forEach(response => {
+        rows.push([round.title, round.isoDate || round.date, response.team, response.username, response.stale ? 'yes' : '']);
+      });
+  });
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
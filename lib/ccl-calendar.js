@@ -0,0 +1,154 @@
+import { parseCclDate } from './ccl-dates';
+
+const TZID = 'America/Los_Angeles';
+const PRODID = '-//UCSC Chess Club//CCL Schedule//EN';
+const UID_DOMAIN = 'ucsc-chess-club';
+
+// Rounds are blocked out on the calendar; logistics deadlines are single instants.
+const ROUND_DURATION = 'PT2H';
+const DEADLINE_ALARM = '-P1D';
+const ROUND_ALARM = '-PT1H';
+
+// Standard US Pacific rules (in effect since 2007)
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TZID}`,
+  `X-LIC-LOCATION:${TZID}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0800',
+  'TZOFFSETTO:-0700',
+  'TZNAME:PDT',
+  'DTSTART:19700308T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0700',
+  'TZOFFSETTO:-0800',
+  'TZNAME:PST',
+  'DTSTART:19701101T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const slugify = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 3.1: lines longer than 75 octets are folded with CRLF + space
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const chunks = [];
+  let current = '';
+  let currentLength = 0;
+  for (const char of line) {
+    const charLength = Buffer.byteLength(char, 'utf8');
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentLength + charLength > limit) {
+      chunks.push(current);
+      current = '';
+      currentLength = 0;
+    }
+    current += char;
+    currentLength += charLength;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+const formatLocal = (p) => `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}00`;
+
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Flatten tournamentInfo into calendar events, each with a UID that only
+ * depends on the season and the event title so re-extraction updates the
+ * existing entries in subscribers' calendars instead of duplicating them.
+ */
+export function collectCalendarEvents(season, year, tournamentInfo = {}) {
+  const prefix = `ccl-${slugify(season)}-${year}`;
+  const events = [];
+
+  const addEvent = (group, item, kind, extraTitle = '') => {
+    if (!item || !item.title) return;
+    const start = parseCclDate(item.date);
+    if (!start) return;
+
+    const title = extraTitle ? `${extraTitle} ${item.title}` : item.title;
+    events.push({
+      uid: `${prefix}-${group}-${slugify(item.title)}@${UID_DOMAIN}`,
+      summary: `CCL ${title}`,
+      kind,
+      start,
+      displayDate: item.date
+    });
+  };
+
+  (tournamentInfo.logistics || []).forEach(item => addEvent('logistics', item, 'deadline'));
+  (tournamentInfo.regular_season || []).forEach(item => addEvent('regular-season', item, 'round'));
+  (tournamentInfo.divisions || []).forEach(division => {
+    (division.playoff_rounds || []).forEach(item =>
+      addEvent(`division-${slugify(division.division)}`, item, 'round', `Division ${division.division} Playoffs:`)
+    );
+  });
+
+  return events;
+}
+
+/**
+ * Build an iCalendar (RFC 5545) feed for a season's extracted tournament info.
+ */
+export function buildSeasonCalendar({ season, year, tournamentInfo, source, updatedAt }) {
+  const seasonName = `${season.charAt(0).toUpperCase() + season.slice(1)} ${year}`;
+  const stamp = formatUtc(updatedAt ? new Date(updatedAt) : new Date());
+  const events = collectCalendarEvents(season, year, tournamentInfo);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`CCL ${seasonName}`)}`,
+    `X-WR-TIMEZONE:${TZID}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+    'X-PUBLISHED-TTL:PT12H',
+    ...VTIMEZONE
+  ];
+
+  for (const event of events) {
+    const isRound = event.kind === 'round';
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `LAST-MODIFIED:${stamp}`,
+      `DTSTART;TZID=${TZID}:${formatLocal(event.start)}`,
+      ...(isRound ? [`DURATION:${ROUND_DURATION}`] : []),
+      `SUMMARY:${escapeText(event.summary)}`,
+      `DESCRIPTION:${escapeText(`Collegiate Chess League ${seasonName}\n${event.displayDate}`)}`,
+      ...(source ? [`URL:${source}`] : []),
+      `CATEGORIES:${isRound ? 'CCL Round' : 'CCL Deadline'}`,
+      `TRANSP:${isRound ? 'OPAQUE' : 'TRANSPARENT'}`,
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(event.summary)}`,
+      `TRIGGER:${isRound ? ROUND_ALARM : DEADLINE_ALARM}`,
+      'END:VALARM',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,106 @@
+// Dates in tournamentInfo are written by the LLM as "YYYY-MM-DD HH:MM AM/PM PT".
+const CCL_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})\s+(\d{1,2}):(\d{2})\s*(AM|PM)\s*(PT|PST|PDT)?$/i;
+
+/**
+ * Parse a CCL date string into its Pacific wall-clock parts.
+ * Returns null when the string does not follow the expected format.
+ */
+export function parseCclDate(value) {
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(CCL_DATE_PATTERN);
+  if (!match) return null;
+
+  const [, year, month, day, rawHour, minute, meridiem, zone] = match;
+  let hour = Number(rawHour);
+  if (hour < 1 || hour > 12) return null;
+  if (meridiem.toUpperCase() === 'AM' && hour === 12) hour = 0;
+  if (meridiem.toUpperCase() === 'PM' && hour !== 12) hour += 12;
+
+  const parts = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour,
+    minute: Number(minute),
+    zone: zone ? zone.toUpperCase() : 'PT'
+  };
+
+  // Reject dates like 2026-02-30 that the regex alone would accept
+  const check = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+  if (check.getUTCMonth() !== parts.month - 1 || check.getUTCDate() !== parts.day || parts.minute > 59) {
+    return null;
+  }
+
+  return parts;
+}
+
+/**
+ * Numeric key for ordering parsed CCL dates. All dates share the PT zone, so
+ * comparing wall-clock values is enough.
+ */
+export function cclDateSortKey(parts) {
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+}
+
+// Day of month of the nth Sunday (1-based) of a month
+function nthSunday(year, month, n) {
+  const firstDay = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  return 1 + ((7 - firstDay) % 7) + (n - 1) * 7;
+}
+
+/**
+ * Whether a Pacific wall-clock time falls in daylight saving time: from
+ * 2:00 AM on the second Sunday of March until 2:00 AM on the first Sunday
+ * of November (US rules since 2007). The repeated 1:00 AM hour in November
+ * is read as PDT, its first occurrence.
+ */
+export function isPacificDaylightTime(parts) {
+  const { year, month, day, hour } = parts;
+  if (month < 3 || month > 11) return false;
+  if (month > 3 && month < 11) return true;
+
+  if (month === 3) {
+    const start = nthSunday(year, 3, 2);
+    return day > start || (day === start && hour >= 2);
+  }
+
+  const end = nthSunday(year, 11, 1);
+  return day < end || (day === end && hour < 2);
+}
+
+/**
+ * Convert a CCL date string to an ISO 8601 UTC instant, e.g.
+ * "2026-03-10 10:00 AM PT" -> "2026-03-10T17:00:00.000Z".
+ * An explicit PST/PDT suffix wins over the calendar rules.
+ * Returns null when the string cannot be parsed.
+ */
+export function toIsoInstant(value) {
+  const parts = parseCclDate(value);
+  if (!parts) return null;
+
+  const daylight = parts.zone === 'PDT' || (parts.zone === 'PT' && isPacificDaylightTime(parts));
+  const offsetHours = daylight ? 7 : 8;
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour + offsetHours, parts.minute)).toISOString();
+}
+
+/**
+ * Return a copy of tournamentInfo where every logistics, regular season and
+ * playoff entry carries an `isoDate` next to its display `date`.
+ */
+export function normalizeTournamentDates(tournamentInfo) {
+  const withIso = (events) => Array.isArray(events)
+    ? events.map(event => (event && typeof event === 'object' ? { ...event, isoDate: toIsoInstant(event.date) } : event))
+    : events;
+
+  return {
+    ...tournamentInfo,
+    logistics: withIso(tournamentInfo.logistics),
+    regular_season: withIso(tournamentInfo.regular_season),
+    divisions: Array.isArray(tournamentInfo.divisions)
+      ? tournamentInfo.divisions.map(division => (division && typeof division === 'object'
+        ? { ...division, playoff_rounds: withIso(division.playoff_rounds) }
+        : division))
+      : tournamentInfo.divisions
+  };
+}
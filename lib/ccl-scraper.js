@@ -0,0 +1,57 @@
+import { load } from 'cheerio';
+
+/**
+ * Keep only the sources that look like they belong to the requested season.
+ */
+export function filterSeasonSources(urls, season, year) {
+  const lowerSeason = season.toLowerCase();
+  return urls.filter(url => {
+    const lowerUrl = url.toLowerCase();
+    return lowerUrl.includes(year) && lowerUrl.includes(lowerSeason) && !lowerUrl.includes('india');
+  });
+}
+
+/**
+ * Sort the links on a CCL announcement page into the categories we store.
+ */
+export function classifyLinks(url, html) {
+  const $ = load(html);
+
+  const result = {
+    url,
+    pdf: [],
+    instructions: [],
+    registration: [],
+    fairPlay: [],
+    platform: []
+  };
+
+  $('a').each((i, el) => {
+    const href = $(el).attr('href');
+    const text = $(el).text().toLowerCase();
+    if (!href) return;
+
+    const lowerHref = href.toLowerCase();
+
+    if (lowerHref.includes('chess.com/register') || lowerHref.includes('chess.com/login')) return;
+
+    const addLink = (arr, link) => {
+        if (!arr.includes(link)) arr.push(link);
+    };
+
+    if (text.includes('pdf') || lowerHref.includes('.pdf') || lowerHref.includes('drive.google.com') || (lowerHref.includes('docs.google.com') && !lowerHref.includes('/forms/'))) addLink(result.pdf, href);
+    if (text.includes('instruction')) addLink(result.instructions, href);
+    if (text.includes('registration') || text.includes('register') || text.includes('sign up') || lowerHref.includes('forms.gle') || lowerHref.includes('docs.google.com/forms')) addLink(result.registration, href);
+    if (lowerHref.includes('fairplay-agreement') || (text.includes('fair play') && !lowerHref.includes('user-agreement') && !lowerHref.includes('/cheating') && !lowerHref.includes('legal'))) addLink(result.fairPlay, href);
+    if (lowerHref.includes('pcl.gg')) addLink(result.platform, href);
+  });
+
+  return result;
+}
+
+/**
+ * True when at least one useful link was found on the page.
+ */
+export function hasClassifiedLinks(result) {
+  return result.pdf.length > 0 || result.instructions.length > 0 || result.registration.length > 0 || result.fairPlay.length > 0 || result.platform.length > 0;
+}
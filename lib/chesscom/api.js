@@ -0,0 +1,38 @@
+const API_BASE = 'https://api.chess.com/pub';
+
+// chess.com asks API clients to identify themselves
+const HEADERS = { 'User-Agent': 'ucsc-chess-club-app (CCL roster tools)' };
+
+async function getJson(url) {
+  const response = await fetch(url, { headers: HEADERS });
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`chess.com API returned ${response.status} for ${url}`);
+  }
+  return response.json();
+}
+
+const countGames = (record) => record ? (record.win || 0) + (record.loss || 0) + (record.draw || 0) : 0;
+
+/**
+ * Live client for the chess.com Published-Data API.
+ */
+export const apiClient = {
+  name: 'api',
+
+  async getPlayer(username) {
+    const slug = encodeURIComponent(username.toLowerCase());
+    const profile = await getJson(`${API_BASE}/player/${slug}`);
+    if (!profile) return null;
+
+    const stats = await getJson(`${API_BASE}/player/${slug}/stats`) || {};
+    const blitz = stats.chess_blitz || {};
+
+    return {
+      username: profile.username || username,
+      joined: new Date(profile.joined * 1000).toISOString(),
+      blitzGames: countGames(blitz.record),
+      blitzRating: blitz.last?.rating ?? null
+    };
+  }
+};
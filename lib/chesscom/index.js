@@ -0,0 +1,16 @@
+import { apiClient } from './api';
+import { stubClient } from './stub';
+
+// Each client implements:
+//   getPlayer(username) -> { username, joined, blitzGames, blitzRating }, or null for unknown accounts
+const clients = {
+  [apiClient.name]: apiClient,
+  [stubClient.name]: stubClient
+};
+
+/**
+ * The chess.com client selected by CCL_CHESSCOM_CLIENT ("api" by default).
+ */
+export function getChessComClient(name = process.env.CCL_CHESSCOM_CLIENT) {
+  return clients[name || apiClient.name] || apiClient;
+}
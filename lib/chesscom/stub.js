@@ -0,0 +1,17 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const playersFile = () => process.env.CCL_CHESSCOM_FIXTURE || path.join(process.cwd(), 'fixtures', 'chesscom', 'players.json');
+
+/**
+ * Offline client that answers from fixtures/chesscom/players.json,
+ * keyed by lower-cased username.
+ */
+export const stubClient = {
+  name: 'stub',
+
+  async getPlayer(username) {
+    const players = JSON.parse(await fs.readFile(playersFile(), 'utf8'));
+    return players[username.toLowerCase()] || null;
+  }
+};
@@ -0,0 +1,106 @@
+import { createPublicKey, verify } from 'crypto';
+import { collectCalendarEvents } from './ccl-calendar';
+import { toIsoInstant } from './ccl-dates';
+
+export const InteractionType = { PING: 1, APPLICATION_COMMAND: 2 };
+export const InteractionResponseType = { PONG: 1, CHANNEL_MESSAGE_WITH_SOURCE: 4 };
+
+export const CCL_SUBCOMMANDS = ['next', 'schedule', 'requirements', 'links'];
+
+// DER prefix that wraps a raw 32-byte Ed25519 key as an SPKI public key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+const MAX_CONTENT = 2000;
+
+/**
+ * Check Discord's X-Signature-Ed25519 header, which signs timestamp + raw body
+ * with the application's public key (hex, from the developer portal).
+ */
+export function verifyDiscordRequest({ publicKey, signature, timestamp, body }) {
+  if (!publicKey || !signature || !timestamp) return false;
+
+  try {
+    const key = createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, 'hex')]),
+      format: 'der',
+      type: 'spki'
+    });
+    return verify(null, Buffer.concat([Buffer.from(timestamp), Buffer.from(body)]), key, Buffer.from(signature, 'hex'));
+  } catch {
+    return false;
+  }
+}
+
+// Discord renders <t:...> timestamps in each reader's own time zone
+const discordTime = (iso, style = 'F') => `<t:${Math.floor(new Date(iso).getTime() / 1000)}:${style}>`;
+
+const seasonName = (season, year) => `${season.charAt(0).toUpperCase() + season.slice(1)} ${year}`;
+
+function scheduledEvents(season, year, tournamentInfo) {
+  return collectCalendarEvents(season, year, tournamentInfo)
+    .map(event => ({ ...event, at: toIsoInstant(event.displayDate) }))
+    .filter(event => event.at)
+    .sort((a, b) => a.at.localeCompare(b.at));
+}
+
+const absoluteUrl = (url) => {
+  if (!url) return null;
+  if (/^https?:\/\//.test(url)) return url;
+  return process.env.CCL_PUBLIC_URL ? `${process.env.CCL_PUBLIC_URL.replace(/\/$/, '')}${url}` : null;
+};
+
+/**
+ * Reply text for /ccl <subcommand>, built from a get-ccl-status result.
+ */
+export function answerCclCommand(subcommand, { season, year, status, now = new Date() }) {
+  const name = seasonName(season, year);
+
+  if (!status.exists) {
+    return `Nothing has been found for CCL ${name} yet.`;
+  }
+
+  const info = status.data.tournamentInfo;
+  if (!info && subcommand !== 'links') {
+    return `The CCL ${name} rulebook hasn't been processed yet.`;
+  }
+
+  if (subcommand === 'next') {
+    const upcoming = scheduledEvents(season, year, info).find(event => new Date(event.at) > now);
+    return upcoming
+      ? `Next up for CCL ${name}: **${upcoming.summary.replace(/^CCL /, '')}** ${discordTime(upcoming.at)} (${discordTime(upcoming.at, 'R')})`
+      : `There are no more scheduled CCL ${name} events.`;
+  }
+
+  if (subcommand === 'schedule') {
+    const lines = scheduledEvents(season, year, info).map(event => {
+      const line = `${event.summary.replace(/^CCL /, '')}: ${discordTime(event.at, 'f')}`;
+      return new Date(event.at) <= now ? `~~${line}~~` : line;
+    });
+    const content = [`**CCL ${name} schedule**`, ...lines].join('\n');
+    return content.length > MAX_CONTENT ? `${content.slice(0, MAX_CONTENT - 1)}…` : content;
+  }
+
+  if (subcommand === 'requirements') {
+    const requirements = info.requirements || {};
+    return [
+      `**CCL ${name} eligibility**`,
+      `Minimum account age: ${requirements.minimum_account_age ?? 'unknown'} days`,
+      `Minimum rated blitz games: ${requirements.minimum_games ?? 'unknown'}`
+    ].join('\n');
+  }
+
+  if (subcommand === 'links') {
+    const links = [
+      ['Announcement', status.data.source],
+      ['Rulebook', absoluteUrl(status.data.pdfStorageUrl)],
+      ['Registration', status.data.registration],
+      ['Fair play', status.data.fairPlay],
+      ['Platform', status.data.platform]
+    ].filter(([, url]) => url);
+
+    return links.length > 0
+      ? [`**CCL ${name} links**`, ...links.map(([label, url]) => `${label}: <${url}>`)].join('\n')
+      : `No links have been found for CCL ${name} yet.`;
+  }
+
+  return `Unknown command. Try ${CCL_SUBCOMMANDS.map(sub => `/ccl ${sub}`).join(', ')}.`;
+}
@@ -0,0 +1,56 @@
+import { load } from 'cheerio';
+import { filterSeasonSources } from '../ccl-scraper';
+import { fetchPage } from './fetch-page';
+
+// chess.com pages where CCL announcements are linked from
+export const CCL_INDEX_PAGES = [
+  'https://www.chess.com/club/collegiate-chess-league',
+  'https://www.chess.com/news/author/collegiate-chess-league',
+  'https://www.chess.com/news/search?keyword=collegiate%20chess%20league'
+];
+
+/**
+ * Crawl the known chess.com CCL pages directly and collect links to the
+ * season's announcement, without going through a search API.
+ */
+export const crawlProvider = {
+  name: 'crawl',
+  label: 'Crawl chess.com CCL pages',
+
+  async discover({ season, year }) {
+    const found = [];
+
+    for (const indexUrl of CCL_INDEX_PAGES) {
+      try {
+        const html = await fetchPage(indexUrl);
+        if (!html) continue;
+
+        const $ = load(html);
+        $('a').each((i, el) => {
+          const href = $(el).attr('href');
+          if (!href) return;
+          let absolute;
+          try {
+            absolute = new URL(href, indexUrl).toString();
+          } catch {
+            return;
+          }
+          const lower = absolute.toLowerCase();
+          if (!lower.includes('chess.com/')) return;
+          if (!lower.includes('collegiate-chess-league') && !lower.includes('ccl')) return;
+          if (!found.includes(absolute)) found.push(absolute);
+        });
+      } catch (e) {
+        console.error(`Failed to crawl ${indexUrl}`, e);
+      }
+    }
+
+    const sources = filterSeasonSources(found, season, year);
+    return {
+      answer: `Crawled ${CCL_INDEX_PAGES.length} chess.com pages and found ${sources.length} matching link(s).`,
+      sources
+    };
+  },
+
+  fetchPage
+};
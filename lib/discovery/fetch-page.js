@@ -0,0 +1,11 @@
+/**
+ * Fetch a page over the network, returning null when it cannot be loaded.
+ */
+export async function fetchPage(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    console.error(`Failed to fetch ${url}: ${response.status}`);
+    return null;
+  }
+  return response.text();
+}
@@ -0,0 +1,38 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { filterSeasonSources } from '../ccl-scraper';
+
+const fixturesDir = () => process.env.CCL_FIXTURES_DIR || path.join(process.cwd(), 'fixtures', 'discovery');
+
+async function loadManifest() {
+  const raw = await fs.readFile(path.join(fixturesDir(), 'manifest.json'), 'utf8');
+  return JSON.parse(raw);
+}
+
+/**
+ * Replay recorded Perplexity answers and chess.com pages from fixtures/discovery
+ * so search-and-scrape runs without network access.
+ */
+export const fixtureProvider = {
+  name: 'fixture',
+  label: 'Local fixtures (offline)',
+
+  async discover({ season, year }) {
+    const manifest = await loadManifest();
+    const recorded = manifest.searches[`${season}-${year}`];
+    if (!recorded) {
+      return { answer: '', sources: [] };
+    }
+    return { answer: recorded.answer, sources: filterSeasonSources(recorded.citations, season, year) };
+  },
+
+  async fetchPage(url) {
+    const manifest = await loadManifest();
+    const file = manifest.pages[url];
+    if (!file) {
+      console.error(`No fixture page recorded for ${url}`);
+      return null;
+    }
+    return fs.readFile(path.join(fixturesDir(), file), 'utf8');
+  }
+};
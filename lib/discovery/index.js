@@ -0,0 +1,32 @@
+import { perplexityProvider } from './perplexity';
+import { crawlProvider } from './crawl';
+import { manualProvider } from './manual';
+import { fixtureProvider } from './fixture';
+
+// Each provider implements:
+//   discover({ season, year, urls }) -> { answer, sources }
+//   fetchPage(url) -> html string, or null when the page is unavailable
+const providers = {
+  [perplexityProvider.name]: perplexityProvider,
+  [crawlProvider.name]: crawlProvider,
+  [manualProvider.name]: manualProvider,
+  [fixtureProvider.name]: fixtureProvider
+};
+
+export const DEFAULT_DISCOVERY_PROVIDER = process.env.CCL_DISCOVERY_PROVIDER || perplexityProvider.name;
+
+// Fixture records are recordings, so they may only be written to a local store
+const isAvailable = (provider) => provider !== fixtureProvider || process.env.CCL_STORAGE_BACKEND === 'local';
+
+/**
+ * Look up a discovery provider by name, falling back to the configured default.
+ * Returns null for unknown names and for providers unavailable with this backend.
+ */
+export function getDiscoveryProvider(name) {
+  const provider = providers[name || DEFAULT_DISCOVERY_PROVIDER];
+  return provider && isAvailable(provider) ? provider : null;
+}
+
+export function listDiscoveryProviders() {
+  return Object.values(providers).filter(isAvailable).map(({ name, label }) => ({ name, label }));
+}
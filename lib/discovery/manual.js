@@ -0,0 +1,40 @@
+import { fetchPage } from './fetch-page';
+
+/**
+ * Split a pasted list of URLs (array, or newline/comma separated string).
+ */
+export function parseUrlList(urls) {
+  const list = Array.isArray(urls) ? urls : String(urls || '').split(/[\s,]+/);
+  const valid = [];
+  for (const entry of list) {
+    const trimmed = String(entry).trim();
+    if (!trimmed) continue;
+    try {
+      const parsed = new URL(trimmed);
+      if ((parsed.protocol === 'http:' || parsed.protocol === 'https:') && !valid.includes(trimmed)) {
+        valid.push(trimmed);
+      }
+    } catch {
+      // Skip anything that is not a URL
+    }
+  }
+  return valid;
+}
+
+/**
+ * Use the URLs an officer pasted in as-is; they are trusted to belong to the season.
+ */
+export const manualProvider = {
+  name: 'manual',
+  label: 'Pasted URLs',
+
+  async discover({ urls }) {
+    const sources = parseUrlList(urls);
+    if (sources.length === 0) {
+      throw new Error('At least one valid URL is required');
+    }
+    return { answer: `Using ${sources.length} URL(s) provided manually.`, sources };
+  },
+
+  fetchPage
+};
@@ -0,0 +1,38 @@
+import { filterSeasonSources } from '../ccl-scraper';
+import { fetchPage } from './fetch-page';
+
+/**
+ * Ask Perplexity's sonar-pro model about the season and use its citations as sources.
+ */
+export const perplexityProvider = {
+  name: 'perplexity',
+  label: 'Perplexity search',
+
+  async discover({ season, year }) {
+    const searchQuery = `Collegiate Chess League ${season.charAt(0).toUpperCase() + season.slice(1)} ${year} site:chess.com`;
+
+    const perplexityResponse = await fetch('https://api.perplexity.ai/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${process.env.REACT_APP_PERPLEXITY_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: 'sonar-pro',
+        messages: [{ role: 'user', content: searchQuery }]
+      })
+    });
+
+    if (!perplexityResponse.ok) {
+      throw new Error(`Perplexity API error! status: ${perplexityResponse.status}`);
+    }
+
+    const data = await perplexityResponse.json();
+    const answer = data.choices[0]?.message?.content || '';
+    const rawSources = data.citations || [];
+
+    return { answer, sources: filterSeasonSources(rawSources, season, year) };
+  },
+
+  fetchPage
+};
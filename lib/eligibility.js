@@ -0,0 +1,63 @@
+import { getChessComClient } from './chesscom';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Evaluate one chess.com player against the season's requirements
+ * (requirements.minimum_account_age in days, requirements.minimum_games
+ * rated blitz games). eligibleOn is the first day the account is old
+ * enough, or null when it depends on games that have not been played yet.
+ */
+export function evaluatePlayer(player, requirements, asOf = new Date()) {
+  const minimumAge = requirements?.minimum_account_age || 0;
+  const minimumGames = requirements?.minimum_games || 0;
+
+  const joined = new Date(player.joined);
+  const accountAgeDays = Math.floor((asOf.getTime() - joined.getTime()) / DAY_MS);
+  const oldEnoughOn = new Date(joined.getTime() + minimumAge * DAY_MS);
+
+  const reasons = [];
+  if (accountAgeDays < minimumAge) {
+    reasons.push(`Account is ${accountAgeDays} days old; ${minimumAge} required`);
+  }
+  if (player.blitzGames < minimumGames) {
+    reasons.push(`${player.blitzGames} rated blitz games; ${minimumGames} required (${minimumGames - player.blitzGames} more)`);
+  }
+
+  const eligible = reasons.length === 0;
+  return {
+    username: player.username,
+    status: eligible ? 'pass' : 'fail',
+    reasons,
+    accountAgeDays,
+    blitzGames: player.blitzGames,
+    blitzRating: player.blitzRating,
+    joined: player.joined,
+    eligibleOn: eligible ? null : player.blitzGames >= minimumGames ? oldEnoughOn.toISOString() : null
+  };
+}
+
+/**
+ * Look up each username on chess.com and build a pass/fail report.
+ * Lookup failures are reported per player rather than failing the batch.
+ */
+export async function checkEligibility(usernames, requirements, { client = getChessComClient(), asOf = new Date() } = {}) {
+  const report = [];
+
+  // One at a time; the public API rate-limits parallel requests
+  for (const username of usernames) {
+    try {
+      const player = await client.getPlayer(username);
+      if (!player) {
+        report.push({ username, status: 'fail', reasons: ['chess.com account not found'], eligibleOn: null });
+      } else {
+        report.push(evaluatePlayer(player, requirements, asOf));
+      }
+    } catch (error) {
+      console.error(`Eligibility lookup failed for ${username}:`, error);
+      report.push({ username, status: 'error', reasons: [error.message], eligibleOn: null });
+    }
+  }
+
+  return report;
+}
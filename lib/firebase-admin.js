@@ -0,0 +1,32 @@
+import { initializeApp, getApps, getApp, cert, applicationDefault } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+import { getAuth } from 'firebase-admin/auth';
+
+/**
+ * Whether the server has a service account to act as: the JSON key in
+ * FIREBASE_SERVICE_ACCOUNT, or the key file GOOGLE_APPLICATION_CREDENTIALS
+ * points to.
+ */
+export function hasAdminCredentials(env = process.env) {
+  return Boolean(env.FIREBASE_SERVICE_ACCOUNT || env.GOOGLE_APPLICATION_CREDENTIALS);
+}
+
+// Server only. The Admin SDK bypasses the security rules, which deny every
+// client (see firestore.rules and storage.rules).
+function getAdminApp() {
+  if (getApps().length > 0) return getApp();
+
+  const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT ? JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT) : null;
+  return initializeApp({
+    credential: serviceAccount ? cert(serviceAccount) : applicationDefault(),
+    projectId: serviceAccount?.project_id || process.env.REACT_APP_PROJ,
+    storageBucket: process.env.REACT_APP_STOR
+  });
+}
+
+export const getAdminDb = () => getFirestore(getAdminApp());
+
+export const getAdminBucket = () => getStorage(getAdminApp()).bucket();
+
+export const getAdminAuth = () => getAuth(getAdminApp());
@@ -0,0 +1,59 @@
+import { getChessComClient } from './chesscom';
+
+// Boards per CCL match; anyone further down the order starts as a substitute
+export const BOARD_COUNT = 4;
+
+/**
+ * Look up current blitz ratings for the given usernames. Unknown accounts
+ * and failed lookups come back with a null rating and an error message.
+ */
+export async function lookupRatings(usernames, client = getChessComClient()) {
+  const players = [];
+
+  for (const username of usernames) {
+    try {
+      const player = await client.getPlayer(username);
+      players.push(player
+        ? { username: player.username, rating: player.blitzRating ?? null }
+        : { username, rating: null, error: 'chess.com account not found' });
+    } catch (error) {
+      console.error(`Rating lookup failed for ${username}:`, error);
+      players.push({ username, rating: null, error: error.message });
+    }
+  }
+
+  return players;
+}
+
+/**
+ * Highest rated first; unrated players go to the bottom.
+ */
+export function proposeLineup(players, boardCount = BOARD_COUNT) {
+  const sorted = [...players].sort((a, b) => (b.rating ?? -1) - (a.rating ?? -1));
+  return {
+    boards: sorted.slice(0, boardCount).map((player, i) => ({ board: i + 1, ...player })),
+    substitutes: sorted.slice(boardCount)
+  };
+}
+
+/**
+ * Warnings for a lineup in a round after Roster Lock: players who are not on
+ * the roster, or who were added to it after the lock.
+ */
+export function getLineupWarnings(usernames, { round, rosterLock, members = [] }) {
+  if (!round?.isoDate || !rosterLock || round.isoDate <= rosterLock) return [];
+
+  const byUsername = new Map(members.map(member => [member.username.toLowerCase(), member]));
+  const warnings = [];
+
+  usernames.forEach(username => {
+    const member = byUsername.get(username.toLowerCase());
+    if (!member) {
+      warnings.push(`${username} is not on the roster, and ${round.title} is after Roster Lock`);
+    } else if (member.addedAt && member.addedAt > rosterLock) {
+      warnings.push(`${username} was added to the roster after Roster Lock`);
+    }
+  });
+
+  return warnings;
+}
@@ -0,0 +1,74 @@
+/**
+ * Controls the fake provider's chat model: queue the raw text it should
+ * answer with; every prompt it receives is kept in `calls`.
+ */
+export const fakeLlm = {
+  responses: [],
+  calls: [],
+
+  reset() {
+    this.responses = [];
+    this.calls = [];
+  },
+
+  queue(...responses) {
+    this.responses.push(...responses.map(r => (typeof r === 'string' ? r : JSON.stringify(r))));
+  }
+};
+
+class FakeChatModel {
+  async invoke(input) {
+    fakeLlm.calls.push(Array.isArray(input) ? [...input] : input);
+    if (fakeLlm.responses.length === 0) {
+      throw new Error('Fake LLM has no queued response');
+    }
+    const content = fakeLlm.responses.shift();
+    // Roughly four characters per token, like the real usage_metadata
+    const promptLength = (Array.isArray(input) ? input.map(message => message[1]).join('') : String(input)).length;
+    const inputTokens = Math.ceil(promptLength / 4);
+    const outputTokens = Math.ceil(content.length / 4);
+    return { content, usage_metadata: { input_tokens: inputTokens, output_tokens: outputTokens, total_tokens: inputTokens + outputTokens } };
+  }
+}
+
+// Deterministic bag-of-words embeddings so retrieval is repeatable
+class FakeEmbeddings {
+  embed(text) {
+    const vector = new Array(64).fill(0);
+    for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+      let hash = 0;
+      for (const char of word) hash = (hash * 31 + char.charCodeAt(0)) % 64;
+      vector[hash] += 1;
+    }
+    return vector;
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(text => this.embed(text));
+  }
+
+  async embedQuery(text) {
+    return this.embed(text);
+  }
+}
+
+/**
+ * Scripted chat model and hashed embeddings, for tests and offline runs.
+ * Nothing leaves the process.
+ */
+export const fakeProvider = {
+  name: 'fake',
+  label: 'Scripted fake (tests)',
+
+  createChatModel() {
+    return new FakeChatModel();
+  },
+
+  createEmbeddings() {
+    return new FakeEmbeddings();
+  },
+
+  embeddingModel() {
+    return 'fake:bag-of-words-64';
+  }
+};
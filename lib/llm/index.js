@@ -0,0 +1,37 @@
+import { openaiProvider } from './openai';
+import { localProvider } from './local';
+import { fakeProvider } from './fake';
+
+// Each provider implements:
+//   createChatModel({ temperature }) -> LangChain chat model; invoke(messages) -> { content, usage_metadata }
+//   createEmbeddings() -> { embedDocuments(texts), embedQuery(text) }
+//   embeddingModel() -> id stored with rulebook indexes, so switching models rebuilds them
+const providers = {
+  [openaiProvider.name]: openaiProvider,
+  [localProvider.name]: localProvider,
+  [fakeProvider.name]: fakeProvider
+};
+
+/**
+ * The model provider selected by CCL_LLM_PROVIDER ("openai" by default).
+ * Throws for unknown names rather than quietly sending text elsewhere.
+ */
+export function getLlmProvider(name = process.env.CCL_LLM_PROVIDER) {
+  const provider = providers[name || openaiProvider.name];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${name}". Use one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return provider;
+}
+
+export function createChatModel(options) {
+  return getLlmProvider().createChatModel(options);
+}
+
+export function createEmbeddings() {
+  return getLlmProvider().createEmbeddings();
+}
+
+export function getEmbeddingModel() {
+  return getLlmProvider().embeddingModel();
+}
@@ -0,0 +1,40 @@
+import { ChatOpenAI, OpenAIEmbeddings } from '@langchain/openai';
+
+// Ollama's OpenAI-compatible API; llama.cpp's server is at http://localhost:8080/v1
+const DEFAULT_URL = 'http://localhost:11434/v1';
+const DEFAULT_MODEL = 'llama3.1';
+const DEFAULT_EMBEDDING_MODEL = 'nomic-embed-text';
+
+const settings = () => ({
+  // Local servers ignore the key, but the client refuses to start without one
+  apiKey: process.env.CCL_LOCAL_LLM_API_KEY || 'local',
+  configuration: { baseURL: process.env.CCL_LOCAL_LLM_URL || DEFAULT_URL }
+});
+
+/**
+ * A model served on this machine by Ollama or llama.cpp, through the
+ * OpenAI-compatible API both of them expose.
+ */
+export const localProvider = {
+  name: 'local',
+  label: 'Local model (Ollama / llama.cpp)',
+
+  createChatModel({ temperature = 0 } = {}) {
+    return new ChatOpenAI({
+      ...settings(),
+      model: process.env.CCL_LOCAL_LLM_MODEL || DEFAULT_MODEL,
+      temperature,
+    });
+  },
+
+  createEmbeddings() {
+    return new OpenAIEmbeddings({
+      ...settings(),
+      model: process.env.CCL_LOCAL_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL,
+    });
+  },
+
+  embeddingModel() {
+    return `local:${process.env.CCL_LOCAL_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL}`;
+  }
+};
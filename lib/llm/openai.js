@@ -0,0 +1,36 @@
+import { ChatOpenAI, OpenAIEmbeddings } from '@langchain/openai';
+
+const EMBEDDING_MODEL = 'text-embedding-3-small';
+
+// OPENAI_API_BASE points the client at any OpenAI-compatible API (Azure
+// proxies, OpenRouter, vLLM, ...), as the old server allowed
+const configuration = () => (process.env.OPENAI_API_BASE ? { baseURL: process.env.OPENAI_API_BASE } : undefined);
+
+/**
+ * OpenAI, or an OpenAI-compatible API at OPENAI_API_BASE.
+ */
+export const openaiProvider = {
+  name: 'openai',
+  label: 'OpenAI',
+
+  createChatModel({ temperature = 0 } = {}) {
+    return new ChatOpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+      configuration: configuration(),
+      model: process.env.OPENAI_API_MODEL_NAME || 'gpt-4o',
+      temperature,
+    });
+  },
+
+  createEmbeddings() {
+    return new OpenAIEmbeddings({
+      apiKey: process.env.OPENAI_API_KEY,
+      configuration: configuration(),
+      model: EMBEDDING_MODEL,
+    });
+  },
+
+  embeddingModel() {
+    return EMBEDDING_MODEL;
+  }
+};
@@ -0,0 +1,45 @@
+// Helpers for API routes that disable Next's body parser to accept file uploads.
+
+export class PayloadTooLargeError extends Error {
+  constructor(limit) {
+    super(`Upload exceeds the ${Math.round(limit / (1024 * 1024))} MB limit`);
+    this.name = 'PayloadTooLargeError';
+  }
+}
+
+/**
+ * Read the raw request body, failing as soon as it grows past `limit` bytes.
+ */
+export async function readRawBody(req, limit) {
+  const declared = Number(req.headers['content-length']);
+  if (declared && declared > limit) throw new PayloadTooLargeError(limit);
+
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of req) {
+    total += chunk.length;
+    if (total > limit) throw new PayloadTooLargeError(limit);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Parse a multipart/form-data request into a FormData object, using the
+ * WHATWG Request parser built into Node.
+ */
+export async function parseMultipartForm(req, limit) {
+  const contentType = req.headers['content-type'] || '';
+  if (!contentType.startsWith('multipart/form-data')) {
+    return null;
+  }
+
+  const body = await readRawBody(req, limit);
+  const request = new Request('http://localhost/upload', {
+    method: 'POST',
+    headers: { 'content-type': contentType },
+    body
+  });
+  return request.formData();
+}
+
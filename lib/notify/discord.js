@@ -0,0 +1,23 @@
+// Discord rejects message content over 2000 characters
+const MAX_CONTENT = 2000;
+
+/**
+ * Channel that posts to a Discord incoming webhook.
+ */
+export function createDiscordChannel({ webhookUrl }) {
+  return {
+    name: 'discord',
+
+    async send({ subject, text }) {
+      const content = `**${subject}**\n${text}`.slice(0, MAX_CONTENT);
+      const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content })
+      });
+      if (!response.ok) {
+        throw new Error(`Discord webhook returned ${response.status}`);
+      }
+    }
+  };
+}
@@ -0,0 +1,47 @@
+import { createDiscordChannel } from './discord';
+import { createEmailChannel } from './email';
+
+// Each channel implements:
+//   send({ subject, text }) -> resolves once delivered, throws on failure
+
+/**
+ * Channels configured in the environment:
+ *   CCL_DISCORD_WEBHOOK_URL                                   -> Discord
+ *   CCL_SMTP_URL, CCL_NOTIFY_EMAIL_TO, CCL_NOTIFY_EMAIL_FROM  -> email
+ */
+export function getNotificationChannels(env = process.env) {
+  const channels = [];
+
+  if (env.CCL_DISCORD_WEBHOOK_URL) {
+    channels.push(createDiscordChannel({ webhookUrl: env.CCL_DISCORD_WEBHOOK_URL }));
+  }
+  if (env.CCL_SMTP_URL && env.CCL_NOTIFY_EMAIL_TO) {
+    channels.push(createEmailChannel({
+      smtpUrl: env.CCL_SMTP_URL,
+      from: env.CCL_NOTIFY_EMAIL_FROM || 'UCSC Chess Club <noreply@localhost>',
+      to: env.CCL_NOTIFY_EMAIL_TO
+    }));
+  }
+
+  return channels;
+}
+
+/**
+ * Send a message on every channel. Failures are reported per channel
+ * instead of stopping the others.
+ */
+export async function notify(channels, message) {
+  const results = [];
+
+  for (const channel of channels) {
+    try {
+      await channel.send(message);
+      results.push({ channel: channel.name, ok: true });
+    } catch (error) {
+      console.error(`Failed to notify ${channel.name}:`, error);
+      results.push({ channel: channel.name, ok: false, error: error.message });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,132 @@
+import { load } from 'cheerio';
+import { isPdfBytes } from './pdf-text';
+
+const DRIVE_DOWNLOAD = 'https://drive.google.com/uc?export=download&id=';
+
+function parseUrl(link) {
+  try {
+    return new URL(link.trim());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Work out how to download the rulebook behind a scraped link.
+ * Returns { kind, url } where kind is one of: drive-file, drive-folder,
+ * google-export, dropbox, direct. Returns null for links we can't use.
+ */
+export function resolvePdfSource(link) {
+  const url = parseUrl(link || '');
+  if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) return null;
+
+  const host = url.hostname.toLowerCase();
+  const path = url.pathname;
+
+  if (host === 'drive.google.com' || host === 'docs.google.com') {
+    // Google Docs / Slides / Sheets are exported to PDF
+    const docMatch = path.match(/^\/(document|presentation|spreadsheets)\/d\/([\w-]+)/);
+    if (host === 'docs.google.com' && docMatch) {
+      const [, type, id] = docMatch;
+      const exportPath = type === 'presentation' ? 'export/pdf' : 'export?format=pdf';
+      return { kind: 'google-export', url: `https://docs.google.com/${type}/d/${id}/${exportPath}` };
+    }
+
+    const folderMatch = path.match(/\/folders\/([\w-]+)/);
+    if (folderMatch) {
+      return { kind: 'drive-folder', url: `https://drive.google.com/embeddedfolderview?id=${folderMatch[1]}` };
+    }
+
+    // /file/d/<id>/view, /open?id=<id>, /uc?id=<id>
+    const fileMatch = path.match(/\/d\/([\w-]+)/);
+    const fileId = fileMatch ? fileMatch[1] : url.searchParams.get('id');
+    if (fileId) {
+      return { kind: 'drive-file', url: `${DRIVE_DOWNLOAD}${fileId}` };
+    }
+    return null;
+  }
+
+  if (host === 'dropbox.com' || host.endsWith('.dropbox.com')) {
+    // Share links show a preview page unless dl=1
+    url.hostname = 'www.dropbox.com';
+    url.searchParams.set('dl', '1');
+    return { kind: 'dropbox', url: url.toString() };
+  }
+
+  return { kind: 'direct', url: url.toString() };
+}
+
+// Drive answers large files with an HTML "can't scan for viruses" page whose
+// form (or, on older pages, a link) carries the confirmation token.
+function findDriveConfirmUrl(html, baseUrl) {
+  const $ = load(html);
+
+  const form = $('form#download-form, form[action*="download"]').first();
+  if (form.length) {
+    const action = new URL(form.attr('action'), baseUrl);
+    form.find('input[type="hidden"]').each((i, el) => {
+      const name = $(el).attr('name');
+      if (name) action.searchParams.set(name, $(el).attr('value') || '');
+    });
+    return action.toString();
+  }
+
+  const link = $('a[href*="confirm="]').first().attr('href');
+  return link ? new URL(link.replace(/&amp;/g, '&'), baseUrl).toString() : null;
+}
+
+// The embedded folder view lists each file as a link to /file/d/<id>/view
+function findPdfInDriveFolder(html) {
+  const $ = load(html);
+  const files = [];
+  $('a[href*="/file/d/"]').each((i, el) => {
+    const match = $(el).attr('href').match(/\/file\/d\/([\w-]+)/);
+    if (match) files.push({ id: match[1], title: $(el).text().trim().toLowerCase() });
+  });
+  const pdf = files.find(file => file.title.endsWith('.pdf')) || files[0];
+  return pdf ? `${DRIVE_DOWNLOAD}${pdf.id}` : null;
+}
+
+async function fetchBytes(url) {
+  const response = await fetch(url, { redirect: 'follow' });
+  if (!response.ok) {
+    throw new Error(`Failed to download ${url}: ${response.status}`);
+  }
+  const contentType = response.headers.get('content-type') || '';
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  return { bytes, contentType };
+}
+
+/**
+ * Download the PDF behind a rulebook link, following redirects, Drive folders
+ * and Drive's large-file confirmation page. Throws unless the downloaded
+ * bytes really are a PDF.
+ */
+export async function downloadRulebookPdf(link) {
+  const source = resolvePdfSource(link);
+  if (!source) {
+    throw new Error(`Unsupported rulebook link: ${link}`);
+  }
+
+  let downloadUrl = source.url;
+  if (source.kind === 'drive-folder') {
+    const { bytes } = await fetchBytes(source.url);
+    downloadUrl = findPdfInDriveFolder(Buffer.from(bytes).toString('utf8'));
+    if (!downloadUrl) throw new Error(`No files found in Drive folder ${link}`);
+  }
+
+  let { bytes, contentType } = await fetchBytes(downloadUrl);
+
+  if (!isPdfBytes(bytes) && contentType.includes('text/html') && downloadUrl.startsWith(DRIVE_DOWNLOAD)) {
+    const confirmUrl = findDriveConfirmUrl(Buffer.from(bytes).toString('utf8'), downloadUrl);
+    if (confirmUrl) {
+      ({ bytes, contentType } = await fetchBytes(confirmUrl));
+    }
+  }
+
+  if (!isPdfBytes(bytes)) {
+    throw new Error(`Downloaded file from ${link} is not a PDF (${contentType || 'unknown type'})`);
+  }
+
+  return { bytes, kind: source.kind, downloadUrl };
+}
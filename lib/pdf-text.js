@@ -0,0 +1,53 @@
+// pdf-parse's index.js runs a debug self-test when it thinks it is the entry module
+import pdf from 'pdf-parse/lib/pdf-parse.js';
+
+// Same line-joining logic as pdf-parse's default renderer, kept here so we can
+// remember which page each piece of text came from.
+async function renderPage(pageData) {
+  const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    if (lastY === item.transform[5] || !lastY) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+/**
+ * True when the bytes start with the PDF file signature.
+ */
+export function isPdfBytes(bytes) {
+  return bytes.length >= 5 && Buffer.from(bytes.subarray(0, 5)).toString('latin1') === '%PDF-';
+}
+
+/**
+ * Run pdf-parse on a buffer. The bundled pdf.js intermittently fails with
+ * "bad XRef entry" when handed a Node Buffer, so always pass a plain Uint8Array copy.
+ */
+export function parsePdf(buffer, options) {
+  return pdf(new Uint8Array(buffer), options);
+}
+
+/**
+ * Extract text from a PDF buffer, both as one string (as pdf-parse returns it)
+ * and split by page number.
+ */
+export async function extractPdfPages(buffer) {
+  const pages = [];
+  const data = await parsePdf(buffer, {
+    pagerender: async (pageData) => {
+      const text = await renderPage(pageData);
+      pages.push({ page: pageData.pageNumber, text });
+      return text;
+    }
+  });
+
+  pages.sort((a, b) => a.page - b.page);
+  return { text: data.text, pages, numpages: data.numpages };
+}
+
@@ -0,0 +1,112 @@
+import { getCurrentSeason, getSeasonStatus } from '../tournaments';
+import { notify } from '../notify';
+import { searchSeason } from './search';
+import { getLatestPipelineJob, isJobActive, startPipelineJob, waitForPipelineJob, PIPELINE_STEPS } from './jobs';
+import { PipelineError } from './errors';
+
+// Another search or run took the season's lock after the checks below:
+// someone is already on it
+const isRunning = (error) => error instanceof PipelineError && error.status === 409;
+
+export const AUTO_DISCOVERY_USER = 'auto-discovery';
+
+const seasonName = (season, year) => `${season.charAt(0).toUpperCase() + season.slice(1)} ${year}`;
+
+/**
+ * The current season and the one after it. Announcements usually go out
+ * a few weeks before a season starts, so both are worth looking for.
+ */
+export function getUpcomingSeasons(now = new Date()) {
+  const current = getCurrentSeason(now);
+  const next = current.season === 'spring'
+    ? { season: 'fall', year: current.year }
+    : { season: 'spring', year: String(Number(current.year) + 1) };
+  return [current, next];
+}
+
+function formatJobMessage(job) {
+  const name = seasonName(job.season, job.year);
+  const managerUrl = process.env.CCL_PUBLIC_URL ? `${process.env.CCL_PUBLIC_URL.replace(/\/$/, '')}/ccl-search` : null;
+  const openManager = managerUrl ? ` Open ${managerUrl} to review it.` : '';
+
+  if (job.status === 'succeeded') {
+    const issues = job.steps.extract.result?.validationErrors || 0;
+    return {
+      subject: `CCL ${name} announced`,
+      text: `The Collegiate Chess League ${name} announcement and rulebook were found and extracted`
+        + `${issues ? ` with ${issues} validation issue(s)` : ''}.${openManager}`
+    };
+  }
+
+  const failedStep = PIPELINE_STEPS.find(step => job.steps[step.name].status === 'failed');
+  return {
+    subject: `CCL ${name} announced, needs attention`,
+    text: `The Collegiate Chess League ${name} announcement was found, but the ${failedStep?.label || 'pipeline'} step failed: `
+      + `${job.steps[failedStep?.name]?.error || job.error}. Resume the job from the tournament manager.${openManager}`
+  };
+}
+
+/**
+ * Look for announcements of the upcoming seasons that haven't been found
+ * yet. When one turns up, run the upload and extract steps as a pipeline
+ * job and tell the officers how it went. Seasons that already have a
+ * record are left to the officers, so a failed run isn't retried (and
+ * re-announced) on every tick.
+ */
+export async function runAutoDiscovery({ channels, provider, now = new Date(), dryRun = false }) {
+  const summary = { found: [], skipped: [], notFound: [], failed: [] };
+
+  for (const { season, year } of getUpcomingSeasons(now)) {
+    const status = await getSeasonStatus(season, year);
+    if (status.exists) {
+      summary.skipped.push({ season, year, reason: status.data.tournamentInfo ? 'extracted' : 'found' });
+      continue;
+    }
+
+    const latestJob = await getLatestPipelineJob(season, year);
+    if (latestJob && isJobActive(latestJob)) {
+      summary.skipped.push({ season, year, reason: 'running' });
+      continue;
+    }
+
+    if (dryRun) {
+      summary.skipped.push({ season, year, reason: 'dry-run' });
+      continue;
+    }
+
+    let search;
+    try {
+      search = await searchSeason({ season, year, provider });
+    } catch (error) {
+      if (isRunning(error)) {
+        summary.skipped.push({ season, year, reason: 'running' });
+        continue;
+      }
+      console.error(`Auto-discovery search for ${season} ${year} failed:`, error);
+      summary.failed.push({ season, year, error: error.message });
+      continue;
+    }
+    if (search.savedData.length === 0) {
+      summary.notFound.push({ season, year });
+      continue;
+    }
+
+    // The search step finds the records just saved and moves straight on
+    let started;
+    try {
+      started = await startPipelineJob({ season, year, options: { provider }, createdBy: AUTO_DISCOVERY_USER });
+    } catch (error) {
+      if (isRunning(error)) {
+        summary.skipped.push({ season, year, reason: 'running' });
+        continue;
+      }
+      throw error;
+    }
+    const job = await waitForPipelineJob(started.id);
+    const notified = await notify(channels, formatJobMessage(job));
+
+    summary.found.push({ season, year, jobId: job.id, status: job.status, error: job.error, channels: notified });
+  }
+
+  return summary;
+}
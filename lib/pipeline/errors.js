@@ -0,0 +1,22 @@
+/**
+ * An expected pipeline failure (bad input, missing season, nothing to
+ * process) that routes report with `status` instead of a 500.
+ */
+export class PipelineError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PipelineError';
+    this.status = status;
+  }
+}
+
+/**
+ * Send a pipeline step failure as the route's JSON error response.
+ */
+export function sendPipelineError(res, error) {
+  if (error instanceof PipelineError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(error);
+  return res.status(500).json({ message: 'Internal server error', error: error.message });
+}
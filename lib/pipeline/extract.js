@@ -0,0 +1,317 @@
+import { getCanonicalRecord, modifySeasonRecord, readStoredFile } from '../tournaments';
+import { createChatModel } from '../llm';
+import { extractPdfPages } from '../pdf-text';
+import { validateTournamentInfo } from '../tournament-schema';
+import { normalizeTournamentDates } from '../ccl-dates';
+import { getVersionHistory, saveVersionInfo, markExtracted } from '../rulebook-versions';
+import { applyManualFields, citationsFor, addRevision, archiveRevision } from '../tournament-edits';
+import { splitCitations, verifyCitations } from '../provenance';
+import { splitIntoSections, routeSections } from '../rulebook-sections';
+import { PipelineError } from './errors';
+
+// How many times the model is asked to fix its own output before we give up
+const MAX_REPAIR_ATTEMPTS = 2;
+
+const DATE_FORMAT_INSTRUCTION = 'Dates should be formatted as "YYYY-MM-DD HH:MM AM/PM PT".';
+
+const SOURCE_INSTRUCTION = 'For every event add "source": {"page": <page number from the [Page N] marker>, "quote": "<exact sentence copied from the document>"} showing where its date was found.';
+
+/**
+ * The parts of tournamentInfo, each extracted from only the rulebook
+ * sections it is found in. `headings` picks sections by title, `keywords`
+ * by text when no title matches (see routeSections); `owns` claims the
+ * validation errors the part is responsible for, so only that part is
+ * asked to repair them. Run in this order.
+ */
+export const EXTRACTION_TASKS = [
+  {
+    name: 'logistics',
+    fields: ['logistics'],
+    headings: /logistic|registration|roster/i,
+    keywords: /registration|roster lock|schedule (will be )?release/i,
+    owns: (error) => /^logistics|^"Registration/.test(error),
+    structure: `{
+    "logistics": [
+        {"title": "Registration Opens", "date": "YYYY-MM-DD HH:MM AM/PM PT"},
+        {"title": "Registration Closes", "date": "YYYY-MM-DD HH:MM AM/PM PT"},
+        {"title": "Schedule Release", "date": "YYYY-MM-DD HH:MM AM/PM PT"},
+        {"title": "Roster Lock", "date": "YYYY-MM-DD HH:MM AM/PM PT"}
+    ]
+}`,
+    instructions: [
+      DATE_FORMAT_INSTRUCTION,
+      'For "logistics", find the dates for registration open, close, schedule release, and roster locking.',
+      SOURCE_INSTRUCTION
+    ]
+  },
+  {
+    name: 'regular_season',
+    fields: ['regular_season'],
+    headings: /schedule|regular season/i,
+    keywords: /regular season|round \d/i,
+    owns: (error) => error.startsWith('regular_season'),
+    structure: `{
+    "regular_season": [
+        {"title": "Regular Season Round 1", "date": "YYYY-MM-DD HH:MM AM/PM PT"},
+        // ... more rounds
+    ]
+}`,
+    instructions: [
+      DATE_FORMAT_INSTRUCTION,
+      'For "regular_season", list all events in the \'schedule\' section. Note the time of day for group A teams (PT).',
+      SOURCE_INSTRUCTION
+    ]
+  },
+  {
+    name: 'playoffs',
+    fields: ['divisions'],
+    headings: /playoff|post-?season/i,
+    keywords: /playoff|quarterfinal|semifinal/i,
+    owns: (error) => error.startsWith('divisions'),
+    structure: `{
+    "divisions": [
+        {
+            "division": 1,
+            "playoff_rounds": [
+                {"title": "Quarterfinals", "date": "YYYY-MM-DD HH:MM AM/PM PT"},
+                // ... more rounds
+            ]
+        },
+        {
+            "division": "2+",
+            "playoff_rounds": [
+                {"title": "Round 1", "date": "YYYY-MM-DD HH:MM AM/PM PT"},
+                // ... more rounds
+            ]
+        }
+    ]
+}`,
+    instructions: [
+      DATE_FORMAT_INSTRUCTION,
+      `For "divisions", extract the playoff schedules.
+   - Division 1 rounds: Quarterfinals, Semifinals, 3rd Place/Final.
+   - Division 2+ rounds: Round 1, Quarterfinal, Semifinal, Final/3rd Place.`,
+      SOURCE_INSTRUCTION
+    ]
+  },
+  {
+    name: 'requirements',
+    fields: ['requirements', 'requirement_sources'],
+    headings: /eligib|player requirement/i,
+    keywords: /account age|rated blitz games|days old/i,
+    owns: (error) => error.startsWith('requirements'),
+    structure: `{
+    "requirements": {
+        "minimum_account_age": <numeric_value>,
+        "minimum_games": <numeric_value>
+    },
+    "requirement_sources": {
+        "minimum_account_age": {"page": <page number from the [Page N] marker>, "quote": "<exact sentence copied from the document>"},
+        "minimum_games": {"page": <page number from the [Page N] marker>, "quote": "<exact sentence copied from the document>"}
+    }
+}`,
+    instructions: [
+      `For "requirements":
+   - Find "Minimum account age" in section 5.4.4 (in days).
+   - Find "Minimum number of rated blitz games" in section 5.4.3.`,
+      'In "requirement_sources", quote the sentence each requirement was found in.'
+    ]
+  }
+];
+
+function parseTournamentInfo(content) {
+  // Clean up the response if it contains markdown code blocks
+  const cleaned = content.replace(/```json/g, '').replace(/```/g, '').trim();
+  return JSON.parse(cleaned);
+}
+
+function buildTaskPrompt(task, sections) {
+  return `You are a helpful assistant. Based on the following sections of a tournament rules document, extract the required information and return it as a single JSON object.
+
+The JSON object must have the following structure:
+${task.structure}
+Specific Instructions:
+${task.instructions.map((instruction, i) => `${i + 1}. ${instruction}`).join('\n')}
+${task.instructions.length + 1}. Copy quotes word for word; do not paraphrase. Return only the JSON.
+
+Context:
+${sections.map(section => section.text).join('\n\n')}
+`;
+}
+
+// Only the task's own fields, whatever else the model returned
+function pickFields(task, answer) {
+  if (!answer || typeof answer !== 'object' || Array.isArray(answer)) {
+    throw new Error('expected a JSON object');
+  }
+  return Object.fromEntries(task.fields.filter(field => field in answer).map(field => [field, answer[field]]));
+}
+
+const emptyUsage = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0 });
+
+// LangChain reports token counts as usage_metadata on each reply
+function addUsage(usage, metadata = {}) {
+  usage.calls += 1;
+  usage.inputTokens += metadata.input_tokens || 0;
+  usage.outputTokens += metadata.output_tokens || 0;
+  usage.totalTokens += metadata.total_tokens || (metadata.input_tokens || 0) + (metadata.output_tokens || 0);
+}
+
+/**
+ * Step 3: read the stored rulebook, split it into its numbered sections and
+ * have the model extract each part of the schedule and requirements from
+ * the sections it belongs in (asking it to repair parts that fail
+ * validation). The parts are merged and saved to the season record, keeping
+ * fields an officer edited by hand, with the tokens used per part.
+ */
+export async function extractSeasonInfo({ season, year, extractedBy = null }) {
+  // 1. Get the tournament record
+  const docData = await getCanonicalRecord(season, year);
+
+  if (!docData) {
+    throw new PipelineError(`No tournament info found for ${season} ${year}.`, 404);
+  }
+
+  const docId = docData.id;
+
+  if (!docData.pdfStorageUrl) {
+    throw new PipelineError('PDF has not been uploaded yet.');
+  }
+
+  // 2. Fetch PDF, Extract Text and split it into sections
+  const buffer = await readStoredFile(docData.pdfStorageUrl);
+  if (!buffer) throw new Error('Stored PDF could not be found');
+  const { pages } = await extractPdfPages(buffer);
+  const sections = splitIntoSections(pages);
+
+  // 3. Initialize LangChain
+  const llm = createChatModel({ temperature: 0 });
+
+  // 4. One conversation per part, over just its sections
+  const runs = EXTRACTION_TASKS.map(task => {
+    const taskSections = routeSections(sections, task);
+    return {
+      task,
+      sections: taskSections.map(section => section.heading),
+      messages: [['human', buildTaskPrompt(task, taskSections)]],
+      answer: null,
+      parseError: null,
+      errors: [],
+      usage: emptyUsage()
+    };
+  });
+
+  let tournamentInfo = null;
+  let validationErrors = [];
+  let repairAttempts = 0;
+
+  // 5. Validate the merged parts and ask for repairs of the parts that need them
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const pending = attempt === 0 ? runs : runs.filter(run => run.errors.length > 0);
+    if (pending.length === 0) break;
+
+    if (attempt > 0) {
+      repairAttempts = attempt;
+    }
+
+    for (const run of pending) {
+      if (attempt > 0) {
+        run.messages.push(['human', `The JSON you returned has the following problems:
+${run.errors.map(error => `- ${error}`).join('\n')}
+
+Re-check the tournament rules document and return the complete corrected JSON object with the same structure. Return only the JSON.`]);
+      }
+
+      const result = await llm.invoke(run.messages);
+      run.messages.push(['ai', result.content]);
+      addUsage(run.usage, result.usage_metadata);
+
+      try {
+        run.answer = pickFields(run.task, parseTournamentInfo(result.content));
+        run.parseError = null;
+      } catch (e) {
+        // Keep the last parseable answer, if any, and ask again
+        console.error(`Failed to parse ${run.task.name} JSON`, e);
+        run.parseError = `Response was not valid JSON: ${e.message}`;
+      }
+    }
+
+    if (runs.some(run => run.answer)) {
+      tournamentInfo = Object.assign({}, ...runs.map(run => run.answer || {}));
+      validationErrors = validateTournamentInfo(tournamentInfo);
+    }
+    for (const run of runs) {
+      run.errors = [...(run.parseError ? [run.parseError] : []), ...validationErrors.filter(run.task.owns)];
+    }
+  }
+
+  if (!tournamentInfo) {
+    throw new Error("Failed to parse LLM response");
+  }
+
+  const usage = { ...emptyUsage(), byTask: {} };
+  for (const run of runs) {
+    usage.byTask[run.task.name] = { ...run.usage, sections: run.sections };
+    for (const key of Object.keys(run.usage)) usage[key] += run.usage[key];
+  }
+
+  // Keep only the sources whose quotes really are in the PDF
+  const { tournamentInfo: extracted, claimed } = splitCitations(tournamentInfo);
+  const extractedCitations = verifyCitations(claimed, pages);
+
+  // Store every date as an ISO 8601 instant alongside the display string
+  const extractedTournamentInfo = normalizeTournamentDates(extracted);
+
+  // Kept with the rulebook version it came from, for comparing versions.
+  // Records uploaded before versions were tracked get their first version here.
+  const legacyVersions = await getVersionHistory(docData);
+  const extractedAt = new Date().toISOString();
+  const version = legacyVersions.find(entry => entry.pdfStorageUrl === docData.pdfStorageUrl);
+  if (version) await saveVersionInfo(docData, version, extractedTournamentInfo);
+
+  // 6. Keep manual edits, then save to the tournament record. Merged against
+  // the record as stored at write time: an officer may have saved an edit
+  // while the model was running.
+  let preserved = [];
+  let citations = {};
+  const saved = await modifySeasonRecord(docId, async (current) => {
+    await archiveRevision(current);
+    const merged = applyManualFields(extractedTournamentInfo, current.tournamentInfo, current.manualFields);
+    preserved = merged.preserved;
+
+    // Quotes for the kept manual values would vouch for dates nobody extracted
+    citations = citationsFor(extractedCitations, current.manualFields);
+
+    const versions = current.pdfVersions && current.pdfVersions.length > 0 ? current.pdfVersions : legacyVersions;
+    return {
+      tournamentInfo: merged.tournamentInfo,
+      extractedTournamentInfo,
+      extractedCitations,
+      citations,
+      // A later unparseable reply should not hide the problems of the answer we keep
+      validationErrors: validateTournamentInfo(merged.tournamentInfo),
+      pdfVersions: markExtracted(versions, docData.pdfStorageUrl, extractedAt),
+      tournamentInfoHistory: addRevision(current.tournamentInfoHistory, {
+        tournamentInfo: merged.tournamentInfo,
+        previous: current.tournamentInfo,
+        source: 'extract',
+        changedBy: extractedBy
+      }),
+      extractionUsage: usage,
+      extractedAt
+    };
+  });
+
+  return {
+    message: saved.validationErrors.length > 0
+      ? 'Tournament info extracted with validation problems'
+      : 'Tournament info extracted and saved successfully',
+    tournamentInfo: saved.tournamentInfo,
+    citations,
+    pdfStorageUrl: docData.pdfStorageUrl,
+    validationErrors: saved.validationErrors,
+    preservedFields: preserved,
+    repairAttempts,
+    usage
+  };
+}
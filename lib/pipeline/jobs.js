@@ -0,0 +1,215 @@
+import { getStore } from '../store';
+import { searchSeason } from './search';
+import { uploadSeasonPdf } from './upload';
+import { extractSeasonInfo } from './extract';
+import { PipelineError } from './errors';
+import { acquireSeasonLock } from './locks';
+
+export const JOB_COLLECTION = 'ccl-pipeline-jobs';
+
+// A running job that hasn't written progress for this long was cut off
+// (server restart, crash) and can be resumed.
+const STALE_JOB_MS = 15 * 60 * 1000;
+
+/**
+ * The steps of a full run, in order. Each returns a small summary to keep
+ * on the job, or throws to fail the job at that step.
+ */
+export const PIPELINE_STEPS = [
+  {
+    name: 'search',
+    label: 'Search',
+    async run({ season, year, options }) {
+      const result = await searchSeason({ season, year, provider: options.provider, urls: options.urls });
+      if (result.savedData.length === 0) {
+        throw new PipelineError('No CCL announcement with rulebook links was found.');
+      }
+      return { exists: Boolean(result.exists), records: result.savedData.length };
+    }
+  },
+  {
+    name: 'upload',
+    label: 'Upload PDF',
+    async run({ season, year }) {
+      const result = await uploadSeasonPdf({ season, year });
+      if (result.needsManualUpload) {
+        const reasons = result.failedDocs.map(doc => doc.error).join('; ');
+        throw new PipelineError(`No rulebook PDF could be downloaded${reasons ? ` (${reasons})` : ''}. Attach it in Step 2, then resume.`);
+      }
+      return { uploaded: result.updatedDocs.filter(doc => !doc.exists).length, failed: result.failedDocs.length };
+    }
+  },
+  {
+    name: 'extract',
+    label: 'Extract Info',
+    async run({ season, year, createdBy, resumedBy }) {
+      const result = await extractSeasonInfo({ season, year, extractedBy: resumedBy || createdBy });
+      return {
+        validationErrors: result.validationErrors.length,
+        preservedFields: result.preservedFields.length,
+        repairAttempts: result.repairAttempts,
+        totalTokens: result.usage.totalTokens
+      };
+    }
+  }
+];
+
+// Runs in this server process, by job id, so a job never runs twice at once
+const activeRuns = new Map();
+
+async function jobs() {
+  const store = await getStore();
+  return store.collection(JOB_COLLECTION);
+}
+
+const emptyStep = () => ({ status: 'pending', startedAt: null, finishedAt: null, durationMs: null, error: null, result: null });
+
+export async function getPipelineJob(id) {
+  const job = await (await jobs()).get(id);
+  return job ? { id, ...job } : null;
+}
+
+/**
+ * The most recently created job for a season, or null.
+ */
+export async function getLatestPipelineJob(season, year) {
+  const seasonJobs = await (await jobs()).find({ season, year });
+  seasonJobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  return seasonJobs[0] || null;
+}
+
+/**
+ * Whether a job is still making progress: running here, or queued or
+ * running in another process that has written recently.
+ */
+export function isJobActive(job, now = Date.now()) {
+  if (activeRuns.has(job.id)) return true;
+  return ['queued', 'running'].includes(job.status) && now - new Date(job.updatedAt).getTime() < STALE_JOB_MS;
+}
+
+async function saveJob(id, patch) {
+  const updatedAt = new Date().toISOString();
+  await (await jobs()).update(id, { ...patch, updatedAt });
+}
+
+async function runSteps(id) {
+  const job = await getPipelineJob(id);
+  const steps = { ...job.steps };
+
+  await saveJob(id, { status: 'running', error: null, finishedAt: null });
+
+  for (const step of PIPELINE_STEPS) {
+    if (steps[step.name].status === 'succeeded') continue;
+
+    const startedAt = new Date();
+    steps[step.name] = { ...emptyStep(), status: 'running', startedAt: startedAt.toISOString() };
+    await saveJob(id, { steps, currentStep: step.name });
+
+    try {
+      const result = await step.run(job);
+      const finishedAt = new Date();
+      steps[step.name] = {
+        ...steps[step.name],
+        status: 'succeeded',
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        result
+      };
+      await saveJob(id, { steps });
+    } catch (error) {
+      if (!(error instanceof PipelineError)) console.error(`Pipeline job ${id} failed at ${step.name}:`, error);
+      const finishedAt = new Date();
+      steps[step.name] = {
+        ...steps[step.name],
+        status: 'failed',
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        error: error.message
+      };
+      await saveJob(id, { steps, status: 'failed', error: `${step.label}: ${error.message}`, finishedAt: finishedAt.toISOString() });
+      return;
+    }
+  }
+
+  await saveJob(id, { status: 'succeeded', currentStep: null, finishedAt: new Date().toISOString() });
+}
+
+function startRun(id) {
+  const run = runSteps(id)
+    .catch(error => console.error(`Pipeline job ${id} crashed:`, error))
+    .finally(() => activeRuns.delete(id));
+  activeRuns.set(id, run);
+  return run;
+}
+
+// Whether the job holding a season's pipeline lock is still going
+async function isLockHeld(lock) {
+  const job = await getPipelineJob(lock.holder);
+  return Boolean(job && isJobActive(job));
+}
+
+/**
+ * Create a job for a season and start running it in the background.
+ * Throws a 409 PipelineError if the season already has an active job.
+ */
+export async function startPipelineJob({ season, year, options = {}, createdBy = null }) {
+  const now = new Date().toISOString();
+  const job = {
+    season,
+    year,
+    options: { provider: options.provider || null, urls: options.urls || '' },
+    status: 'queued',
+    currentStep: null,
+    steps: Object.fromEntries(PIPELINE_STEPS.map(step => [step.name, emptyStep()])),
+    error: null,
+    createdBy,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null
+  };
+
+  // The job is created first and then takes the season's lock, so two
+  // starts at once can't both see no active job and both run
+  const { id } = await (await jobs()).add(job);
+  if (await acquireSeasonLock('pipeline', { season, year }, id, isLockHeld)) {
+    await (await jobs()).delete(id);
+    throw new PipelineError(`A pipeline job for ${season} ${year} is already running.`, 409);
+  }
+
+  startRun(id);
+  return { id, ...job };
+}
+
+/**
+ * Run a failed or interrupted job again from its first unfinished step.
+ */
+export async function resumePipelineJob(id, { resumedBy = null } = {}) {
+  const job = await getPipelineJob(id);
+  if (!job) throw new PipelineError('Pipeline job not found', 404);
+  if (await acquireSeasonLock('pipeline', job, id, isLockHeld)) {
+    throw new PipelineError(`A pipeline job for ${job.season} ${job.year} is already running.`, 409);
+  }
+
+  // Checked and queued in one write, so two resumes at once start one run
+  let rejection = null;
+  await (await jobs()).modify(id, (stored) => {
+    if (stored.status === 'succeeded') rejection = new PipelineError('This job already finished.', 409);
+    else if (isJobActive(stored)) rejection = new PipelineError('This job is still running.', 409);
+    else rejection = null;
+
+    const now = new Date().toISOString();
+    return rejection ? null : { status: 'queued', resumedBy, resumedAt: now, updatedAt: now };
+  });
+  if (rejection) throw rejection;
+
+  startRun(id);
+  return getPipelineJob(id);
+}
+
+/**
+ * Wait for a job started in this process to finish (used by tests and scripts).
+ */
+export async function waitForPipelineJob(id) {
+  await activeRuns.get(id);
+  return getPipelineJob(id);
+}
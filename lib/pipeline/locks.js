@@ -0,0 +1,35 @@
+import { getStore } from '../store';
+
+export const LOCK_COLLECTION = 'ccl-season-locks';
+
+async function locks() {
+  const store = await getStore();
+  return store.collection(LOCK_COLLECTION);
+}
+
+// One document per lock and season, so taking it is a single atomic write
+const lockId = (name, season, year) => `${name}-${season}-${year}`;
+
+/**
+ * Take a season's `name` lock (e.g. 'search') for `holder`, unless someone
+ * else holds it. `isHeld(lock)` says whether the lock found still counts:
+ * its holder may have finished or died without letting go. Returns the
+ * lock that was in the way, or null once the lock is taken.
+ */
+export async function acquireSeasonLock(name, { season, year }, holder, isHeld) {
+  let blocking = null;
+  await (await locks()).modify(lockId(name, season, year), async (lock) => {
+    blocking = lock && lock.holder && lock.holder !== holder && await isHeld(lock) ? lock : null;
+    return blocking ? null : { name, season, year, holder, takenAt: new Date().toISOString() };
+  });
+  return blocking;
+}
+
+/**
+ * Let go of a lock taken with acquireSeasonLock, if `holder` still has it.
+ */
+export async function releaseSeasonLock(name, { season, year }, holder) {
+  await (await locks()).modify(lockId(name, season, year), (lock) =>
+    (lock && lock.holder === holder ? { holder: null } : null)
+  );
+}
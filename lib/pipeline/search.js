@@ -0,0 +1,112 @@
+import { randomUUID } from 'crypto';
+import { findSeasonRecords, createSeasonRecord } from '../tournaments';
+import { classifyLinks, hasClassifiedLinks } from '../ccl-scraper';
+import { getDiscoveryProvider } from '../discovery';
+import { manualProvider, parseUrlList } from '../discovery/manual';
+import { PipelineError } from './errors';
+import { acquireSeasonLock, releaseSeasonLock } from './locks';
+
+// A search lock older than this belongs to a search that never finished
+const SEARCH_LOCK_MS = 10 * 60 * 1000;
+
+function existingSeason(season, year, records) {
+  return {
+    message: `Tournament info for ${season} ${year} already exists.`,
+    exists: true,
+    savedData: records.map(({ id, ...data }) => data)
+  };
+}
+
+/**
+ * Step 1: find the season's announcement, scrape its links and save a
+ * ccl-tournament-info record per page. Does nothing if the season exists.
+ */
+export async function searchSeason({ season, year, provider: providerName, urls }) {
+  // Check if tournament already exists
+  const existingRecords = await findSeasonRecords(season, year);
+
+  if (existingRecords.length > 0) {
+    return existingSeason(season, year, existingRecords);
+  }
+
+  const provider = getDiscoveryProvider(providerName);
+  if (!provider) {
+    throw new PipelineError(`Unknown discovery provider: ${providerName}`);
+  }
+
+  if (provider.name === manualProvider.name && parseUrlList(urls).length === 0) {
+    throw new PipelineError('At least one valid URL is required');
+  }
+
+  // Only one search saves records for a season at a time
+  const holder = randomUUID();
+  const isHeld = (lock) => Date.now() - new Date(lock.takenAt).getTime() < SEARCH_LOCK_MS;
+  if (await acquireSeasonLock('search', { season, year }, holder, isHeld)) {
+    throw new PipelineError(`A search for ${season} ${year} is already running.`, 409);
+  }
+
+  try {
+    // A search that finished before this one took the lock already saved them
+    const savedRecords = await findSeasonRecords(season, year);
+    if (savedRecords.length > 0) {
+      return existingSeason(season, year, savedRecords);
+    }
+    return await discoverSeason({ season, year, provider, urls });
+  } finally {
+    await releaseSeasonLock('search', { season, year }, holder);
+  }
+}
+
+// Discover, scrape and save the season's pages, with the search lock held
+async function discoverSeason({ season, year, provider, urls }) {
+  const { answer, sources: filteredSources } = await provider.discover({ season, year, urls });
+
+  const results = [];
+
+  for (const url of filteredSources) {
+    try {
+      const html = await provider.fetchPage(url);
+      if (!html) continue;
+
+      const result = classifyLinks(url, html);
+      if (hasClassifiedLinks(result)) {
+        results.push(result);
+      }
+    } catch (e) {
+      console.error(`Failed to scrape ${url}`, e);
+    }
+  }
+
+  const savedData = [];
+
+  // Later steps work on one record; start with the first page that links a rulebook
+  const canonicalIndex = Math.max(results.findIndex(result => result.pdf.length > 0), 0);
+
+  for (const [index, result] of results.entries()) {
+    const tournamentData = {
+      season: season,
+      year: year,
+      canonical: index === canonicalIndex,
+      source: result.url,
+      discoveryProvider: provider.name,
+      pdf: result.pdf[0] || '',
+      pdfStorageUrl: '', // Will be populated by the upload step
+      instructions: result.instructions[0] || '',
+      registration: result.registration[0] || '',
+      fairPlay: result.fairPlay[0] || '',
+      platform: result.platform[0] || ''
+    };
+
+    await createSeasonRecord(tournamentData);
+    savedData.push(tournamentData);
+  }
+
+  return {
+    message: 'Search and save completed',
+    provider: provider.name,
+    answer,
+    sources: filteredSources,
+    scrapedData: results,
+    savedData
+  };
+}
@@ -0,0 +1,46 @@
+import { getCanonicalRecord } from '../tournaments';
+import { downloadRulebookPdf } from '../pdf-resolver';
+import { storeRulebookVersion } from '../rulebook-versions';
+import { PipelineError } from './errors';
+
+/**
+ * Step 2: download the canonical record's rulebook link into storage as
+ * its first version. needsManualUpload means an officer has to attach the PDF.
+ */
+export async function uploadSeasonPdf({ season, year }) {
+  const data = await getCanonicalRecord(season, year);
+
+  if (!data) {
+    throw new PipelineError(`No tournament info found for ${season} ${year}.`, 404);
+  }
+
+  const updatedDocs = [];
+  const failedDocs = [];
+
+  // If PDF link exists and we haven't uploaded it yet (or want to re-upload)
+  if (data.pdf && !data.pdfStorageUrl) {
+    try {
+      const { bytes } = await downloadRulebookPdf(data.pdf);
+
+      // Upload and record it as the first version
+      const { pdfStorageUrl, version } = await storeRulebookVersion(data, bytes, { source: 'link', sourceUrl: data.pdf });
+
+      updatedDocs.push({ id: data.id, pdfStorageUrl, version: version.version });
+    } catch (e) {
+      console.error("Error processing PDF:", e);
+      failedDocs.push({ id: data.id, pdf: data.pdf, error: e.message });
+    }
+  } else if (data.pdfStorageUrl) {
+      updatedDocs.push({ id: data.id, pdfStorageUrl: data.pdfStorageUrl, message: 'Already exists', exists: true });
+  }
+
+  // Nothing could be downloaded: the officer has to attach the PDF by hand
+  const needsManualUpload = updatedDocs.length === 0;
+
+  return {
+    message: needsManualUpload ? 'No downloadable PDF link found. Please upload the rulebook PDF manually.' : 'PDF processing completed',
+    updatedDocs,
+    failedDocs,
+    needsManualUpload
+  };
+}
@@ -0,0 +1,70 @@
+import { listTournamentFields } from './tournament-schema';
+
+// Shorter quotes ("90", "April 5") would match almost anywhere
+const MIN_QUOTE_LENGTH = 10;
+
+const normalize = (text) => text.replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * Separate the sources the model attached to each value (a `source` on
+ * every event, `requirement_sources` for the requirements) from the
+ * tournament info itself. Returns the clean info and the claimed
+ * { page, quote } per field key (see listTournamentFields).
+ */
+export function splitCitations(info) {
+  const claimed = {};
+  for (const { key, event } of listTournamentFields(info)) {
+    const source = event ? event.source : info.requirement_sources?.[key.replace('requirements › ', '')];
+    if (source && typeof source === 'object') claimed[key] = source;
+  }
+
+  const stripEvents = (events) => (Array.isArray(events)
+    ? events.map(event => {
+      if (!event || typeof event !== 'object') return event;
+      const { source: _source, ...rest } = event;
+      return rest;
+    })
+    : events);
+
+  const { requirement_sources: _sources, ...rest } = info;
+  const tournamentInfo = {
+    ...rest,
+    logistics: stripEvents(info.logistics),
+    regular_season: stripEvents(info.regular_season),
+    divisions: Array.isArray(info.divisions)
+      ? info.divisions.map(division => (division && typeof division === 'object'
+        ? { ...division, playoff_rounds: stripEvents(division.playoff_rounds) }
+        : division))
+      : info.divisions
+  };
+
+  return { tournamentInfo, claimed };
+}
+
+/**
+ * Check each claimed quote against the PDF text. A quote found in the
+ * document is kept with the page it is actually on (the claimed page is
+ * tried first); one that isn't is kept with verified: false so it is
+ * never shown as a confirmed source.
+ */
+export function verifyCitations(claimed, pages) {
+  const normalizedPages = pages.map(({ page, text }) => ({ page, text: normalize(text) }));
+  const citations = {};
+
+  for (const [key, { page, quote }] of Object.entries(claimed)) {
+    if (typeof quote !== 'string' || !quote.trim()) continue;
+
+    const claimedPage = Number(page) || null;
+    const needle = normalize(quote);
+    const match = needle.length >= MIN_QUOTE_LENGTH && [
+      ...normalizedPages.filter(candidate => candidate.page === claimedPage),
+      ...normalizedPages.filter(candidate => candidate.page !== claimedPage)
+    ].find(candidate => candidate.text.includes(needle));
+
+    citations[key] = match
+      ? { page: match.page, quote: quote.trim(), verified: true }
+      : { page: claimedPage, quote: quote.trim(), verified: false };
+  }
+
+  return citations;
+}
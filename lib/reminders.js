@@ -0,0 +1,133 @@
+import { getStore } from './store';
+import { TOURNAMENT_COLLECTION, pickCanonicalRecord } from './tournaments';
+import { collectCalendarEvents } from './ccl-calendar';
+import { toIsoInstant } from './ccl-dates';
+import { notify } from './notify';
+
+export const REMINDER_LOG_COLLECTION = 'ccl-reminder-log';
+export const DEFAULT_LEAD_TIMES = '7d,1d,1h';
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a lead time list such as "7d,1d,1h" (minutes, hours or days),
+ * longest first.
+ */
+export function parseLeadTimes(spec = DEFAULT_LEAD_TIMES) {
+  return String(spec)
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(label => {
+      const match = label.match(/^(\d+)\s*([mhd])$/i);
+      if (!match) throw new Error(`Invalid reminder lead time "${label}"`);
+      return { label: `${match[1]}${match[2].toLowerCase()}`, ms: Number(match[1]) * UNIT_MS[match[2].toLowerCase()] };
+    })
+    .sort((a, b) => b.ms - a.ms);
+}
+
+/**
+ * Reminders due for a season at `now`. Only the shortest lead time that has
+ * been reached is returned per event, so a missed run doesn't send a
+ * "7 days" and a "1 day" reminder back to back.
+ */
+export function findDueReminders({ season, year, tournamentInfo }, leadTimes, now = new Date()) {
+  const due = [];
+
+  collectCalendarEvents(season, year, tournamentInfo).forEach(event => {
+    const at = toIsoInstant(event.displayDate);
+    if (!at) return;
+
+    const eventTime = new Date(at).getTime();
+    if (eventTime <= now.getTime()) return;
+
+    const reached = leadTimes.filter(lead => now.getTime() >= eventTime - lead.ms);
+    if (reached.length === 0) return;
+
+    const lead = reached[reached.length - 1];
+    due.push({
+      // Firestore ids can't contain "/", and the calendar uid is already stable
+      key: `${event.uid.split('@')[0]}--${lead.label}`,
+      season,
+      year,
+      event,
+      at,
+      lead
+    });
+  });
+
+  return due;
+}
+
+const describeLead = (ms) => {
+  if (ms >= UNIT_MS.d) return `${Math.round(ms / UNIT_MS.d)} day(s)`;
+  if (ms >= UNIT_MS.h) return `${Math.round(ms / UNIT_MS.h)} hour(s)`;
+  return `${Math.round(ms / UNIT_MS.m)} minute(s)`;
+};
+
+export function formatReminder(reminder) {
+  const seasonName = `${reminder.season.charAt(0).toUpperCase() + reminder.season.slice(1)} ${reminder.year}`;
+  return {
+    subject: `${reminder.event.summary} in ${describeLead(reminder.lead.ms)}`,
+    text: `${reminder.event.summary} (${seasonName}) is on ${reminder.event.displayDate}.`
+  };
+}
+
+/**
+ * Send every due reminder that hasn't been sent yet for the event's current
+ * date and log it in ccl-reminder-log. A reminder is only logged once at least one channel
+ * accepted it, so total failures are retried on the next run.
+ */
+export async function sendDueReminders({ channels, leadTimes = parseLeadTimes(process.env.CCL_REMINDER_LEAD_TIMES || DEFAULT_LEAD_TIMES), now = new Date(), dryRun = false }) {
+  const store = await getStore();
+  const log = store.collection(REMINDER_LOG_COLLECTION);
+  const records = await store.collection(TOURNAMENT_COLLECTION).find();
+
+  const summary = { sent: [], skipped: [], failed: [] };
+
+  // One canonical record per season
+  const seasons = new Map();
+  for (const record of records) {
+    const seasonKey = `${record.season}-${record.year}`;
+    seasons.set(seasonKey, [...(seasons.get(seasonKey) || []), record]);
+  }
+
+  for (const seasonRecords of seasons.values()) {
+    const record = pickCanonicalRecord(seasonRecords);
+    if (!record.tournamentInfo) continue;
+
+    for (const reminder of findDueReminders(record, leadTimes, now)) {
+      // The key only names the event, so a reminder sent for a date that has
+      // since been moved doesn't count; the new date gets its own reminder
+      const logged = await log.get(reminder.key);
+      if (logged && logged.eventDate === reminder.at) {
+        summary.skipped.push(reminder.key);
+        continue;
+      }
+
+      const message = formatReminder(reminder);
+      if (dryRun) {
+        summary.sent.push({ key: reminder.key, ...message, channels: [] });
+        continue;
+      }
+
+      const results = await notify(channels, message);
+      if (results.some(result => result.ok)) {
+        await log.set(reminder.key, {
+          season: record.season,
+          year: record.year,
+          event: reminder.event.uid,
+          eventDate: reminder.at,
+          lead: reminder.lead.label,
+          channels: results,
+          sentAt: new Date().toISOString()
+        });
+        summary.sent.push({ key: reminder.key, ...message, channels: results });
+      } else {
+        summary.failed.push({ key: reminder.key, channels: results });
+      }
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,117 @@
+import { TEAMS } from './roster';
+
+export const COLORS = ['white', 'black'];
+export const GAME_RESULTS = { win: 1, draw: 0.5, loss: 0 };
+
+// Olympiad-style match scoring
+export const MATCH_POINTS = { win: 2, draw: 1, loss: 0 };
+
+/**
+ * Titles of the extracted regular season rounds, in schedule order.
+ */
+export function getRegularSeasonRounds(tournamentInfo) {
+  return (tournamentInfo?.regular_season || [])
+    .filter(round => round && typeof round.title === 'string')
+    .map(round => round.title);
+}
+
+/**
+ * Check a match submitted for a team and round, returning a list of problems.
+ * A match is { opponent, boards: [{ board, player, games: [{ color, result }] }] }.
+ */
+export function validateMatch({ team, round, match }, rounds) {
+  const errors = [];
+
+  if (!TEAMS.includes(team)) errors.push(`Team must be one of ${TEAMS.join(', ')}`);
+  if (!rounds.includes(round)) errors.push(`Unknown round "${round}"`);
+  if (!match || typeof match !== 'object') return [...errors, 'Match details are required'];
+  if (!String(match.opponent || '').trim()) errors.push('Opponent is required');
+  if (!Array.isArray(match.boards) || match.boards.length === 0) return [...errors, 'At least one board is required'];
+
+  match.boards.forEach((board, i) => {
+    const label = `Board ${board?.board || i + 1}`;
+    if (!String(board?.player || '').trim()) errors.push(`${label}: player is required`);
+    if (!Array.isArray(board?.games) || board.games.length === 0) {
+      errors.push(`${label}: at least one game is required`);
+      return;
+    }
+    board.games.forEach((game, j) => {
+      if (!COLORS.includes(game?.color)) errors.push(`${label} game ${j + 1}: color must be white or black`);
+      if (!(game?.result in GAME_RESULTS)) errors.push(`${label} game ${j + 1}: result must be win, draw or loss`);
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Score one match from our side.
+ */
+export function scoreMatch(match) {
+  let gamePoints = 0;
+  let gamesPlayed = 0;
+
+  match.boards.forEach(board => {
+    board.games.forEach(game => {
+      gamePoints += GAME_RESULTS[game.result];
+      gamesPlayed += 1;
+    });
+  });
+
+  const opponentGamePoints = gamesPlayed - gamePoints;
+  const outcome = gamePoints > opponentGamePoints ? 'win' : gamePoints < opponentGamePoints ? 'loss' : 'draw';
+
+  return { gamePoints, opponentGamePoints, outcome, matchPoints: MATCH_POINTS[outcome] };
+}
+
+const emptyTally = () => ({ games: 0, points: 0, wins: 0, draws: 0, losses: 0 });
+
+function addGame(tally, result) {
+  tally.games += 1;
+  tally.points += GAME_RESULTS[result];
+  tally[{ win: 'wins', draw: 'draws', loss: 'losses' }[result]] += 1;
+}
+
+/**
+ * Standings for each of our teams from results keyed by team, then round title.
+ * Rounds are listed in schedule order; teams are ranked by match points,
+ * then game points.
+ */
+export function computeStandings(results, rounds) {
+  const standings = TEAMS.map(team => {
+    const teamResults = results?.[team] || {};
+    const row = { team, played: 0, wins: 0, draws: 0, losses: 0, matchPoints: 0, gamePoints: 0, rounds: [], players: [] };
+    const players = new Map();
+
+    rounds.forEach(round => {
+      const match = teamResults[round];
+      if (!match) return;
+
+      const score = scoreMatch(match);
+      row.played += 1;
+      row[{ win: 'wins', draw: 'draws', loss: 'losses' }[score.outcome]] += 1;
+      row.matchPoints += score.matchPoints;
+      row.gamePoints += score.gamePoints;
+      row.rounds.push({ round, opponent: match.opponent, ...score });
+
+      match.boards.forEach(board => {
+        const key = board.player.toLowerCase();
+        if (!players.has(key)) {
+          players.set(key, { player: board.player, ...emptyTally(), white: emptyTally(), black: emptyTally() });
+        }
+        const tally = players.get(key);
+        board.games.forEach(game => {
+          addGame(tally, game.result);
+          addGame(tally[game.color], game.result);
+        });
+      });
+    });
+
+    row.players = [...players.values()].sort((a, b) => b.points - a.points || a.player.localeCompare(b.player));
+    return row;
+  });
+
+  return standings
+    .filter(row => row.played > 0)
+    .sort((a, b) => b.matchPoints - a.matchPoints || b.gamePoints - a.gamePoints || a.team.localeCompare(b.team));
+}
@@ -0,0 +1,161 @@
+import { randomBytes } from 'crypto';
+import { toIsoInstant } from './ccl-dates';
+
+export const TEAMS = ['A', 'B', 'C'];
+export const LOCK_MODES = ['auto', 'locked', 'unlocked'];
+
+// chess.com usernames: 3-25 letters, digits, underscores or hyphens
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,25}$/;
+
+export const emptyRoster = () => ({ members: [], lockMode: 'auto' });
+
+/**
+ * ISO instant of the "Roster Lock" entry in tournamentInfo.logistics, or null.
+ */
+export function getRosterLockDate(tournamentInfo) {
+  const entry = (tournamentInfo?.logistics || []).find(item => item && typeof item.title === 'string' && item.title.trim().toLowerCase() === 'roster lock');
+  if (!entry) return null;
+  return entry.isoDate || toIsoInstant(entry.date);
+}
+
+/**
+ * Whether the season's roster is locked. In "auto" mode it locks at the
+ * extracted Roster Lock date; officers can force it locked or unlocked.
+ */
+export function getRosterLockState(record, now = Date.now()) {
+  const lockMode = record.roster?.lockMode || 'auto';
+  const lockDate = getRosterLockDate(record.tournamentInfo);
+
+  if (lockMode === 'locked') return { locked: true, reason: 'manual', lockMode, lockDate };
+  if (lockMode === 'unlocked') return { locked: false, reason: 'manual', lockMode, lockDate };
+
+  const locked = Boolean(lockDate) && new Date(lockDate).getTime() <= now;
+  return { locked, reason: locked ? 'date' : null, lockMode, lockDate };
+}
+
+const normalizeUsername = (username) => String(username || '').trim();
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * The roster entry a signed-in club member answers for, matched by the
+ * email an officer put on it.
+ */
+export function findMemberByEmail(members, email) {
+  const wanted = normalizeEmail(email);
+  return wanted ? members.find(member => normalizeEmail(member.email) === wanted) || null : null;
+}
+
+/**
+ * Whether the roster entry with this email is the captain of `team`.
+ */
+export function isTeamCaptain(members, email, team) {
+  const member = findMemberByEmail(members, email);
+  return Boolean(member && member.captain && member.team === team);
+}
+
+/**
+ * Check a member's fields, returning a list of problems.
+ */
+export function validateMember(member, members, ignoreId = null) {
+  const errors = [];
+  const username = normalizeUsername(member.username);
+
+  if (!USERNAME_PATTERN.test(username)) {
+    errors.push('A valid chess.com username is required');
+  } else if (members.some(other => other.id !== ignoreId && other.username.toLowerCase() === username.toLowerCase())) {
+    errors.push(`${username} is already on the roster`);
+  }
+  const email = normalizeEmail(member.email);
+  if (email && !/^[^\s@]+@[^\s@]+$/.test(email)) {
+    errors.push('Email must be a valid address');
+  } else if (email && members.some(other => other.id !== ignoreId && normalizeEmail(other.email) === email)) {
+    errors.push(`${email} is already on the roster`);
+  }
+  if (member.team && !TEAMS.includes(member.team)) {
+    errors.push(`Team must be one of ${TEAMS.join(', ')}`);
+  }
+  return errors;
+}
+
+export function createMember({ username, name, email, team, captain }) {
+  return {
+    id: randomBytes(6).toString('hex'),
+    username: normalizeUsername(username),
+    name: String(name || '').trim(),
+    email: normalizeEmail(email),
+    team: team || '',
+    captain: Boolean(captain),
+    addedAt: new Date().toISOString()
+  };
+}
+
+const rejected = (status, message, errors) => ({ error: { status, message, ...(errors ? { errors } : {}) } });
+
+/**
+ * Apply one roster request to a record: POST adds body.member, PUT changes
+ * body.lockMode or updates body.memberId with body.updates, DELETE removes
+ * body.memberId. Returns { roster } or { error: { status, message } }.
+ */
+export function changeRoster(record, method, body) {
+  const roster = { ...emptyRoster(), ...record.roster };
+  const lock = getRosterLockState(record);
+  const members = [...roster.members];
+
+  if (method === 'POST') {
+    // Add a member
+    if (lock.locked) {
+      return rejected(409, 'The roster is locked; new members cannot be added.');
+    }
+    const errors = validateMember(body.member || {}, members);
+    if (errors.length > 0) {
+      return rejected(400, errors.join('. '), errors);
+    }
+    return { roster: { ...roster, members: [...members, createMember(body.member)] } };
+  }
+
+  if (method === 'PUT') {
+    // Change the lock mode, or update a member
+    if (body.lockMode !== undefined) {
+      if (!LOCK_MODES.includes(body.lockMode)) {
+        return rejected(400, `Lock mode must be one of ${LOCK_MODES.join(', ')}`);
+      }
+      return { roster: { ...roster, lockMode: body.lockMode } };
+    }
+
+    const index = members.findIndex(member => member.id === body.memberId);
+    if (index === -1) {
+      return rejected(404, 'Member not found');
+    }
+
+    const updates = body.updates || {};
+    const updated = {
+      ...members[index],
+      ...(updates.name !== undefined ? { name: String(updates.name).trim() } : {}),
+      ...(updates.username !== undefined ? { username: String(updates.username).trim() } : {}),
+      ...(updates.email !== undefined ? { email: normalizeEmail(updates.email) } : {}),
+      ...(updates.team !== undefined ? { team: updates.team || '' } : {}),
+      ...(updates.captain !== undefined ? { captain: Boolean(updates.captain) } : {})
+    };
+
+    // After the lock only captaincy and display names may change
+    if (lock.locked && (updated.username !== members[index].username || updated.team !== members[index].team)) {
+      return rejected(409, 'The roster is locked; usernames and team assignments cannot change.');
+    }
+
+    const errors = validateMember(updated, members, updated.id);
+    if (errors.length > 0) {
+      return rejected(400, errors.join('. '), errors);
+    }
+    members[index] = updated;
+    return { roster: { ...roster, members } };
+  }
+
+  // Remove a member
+  if (lock.locked) {
+    return rejected(409, 'The roster is locked; members cannot be removed.');
+  }
+  if (!members.some(member => member.id === body.memberId)) {
+    return rejected(404, 'Member not found');
+  }
+  return { roster: { ...roster, members: members.filter(member => member.id !== body.memberId) } };
+}
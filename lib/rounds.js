@@ -0,0 +1,40 @@
+import { toIsoInstant } from './ccl-dates';
+
+const slugify = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * Every round in tournamentInfo, regular season first, each with a stable id
+ * built from its stage, division and title (dates can change between
+ * extractions, titles rarely do).
+ */
+export function getSeasonRounds(tournamentInfo) {
+  const rounds = [];
+
+  (tournamentInfo?.regular_season || []).forEach(round => {
+    if (!round || typeof round.title !== 'string') return;
+    rounds.push({
+      id: `regular-${slugify(round.title)}`,
+      title: round.title,
+      stage: 'regular',
+      division: null,
+      date: round.date,
+      isoDate: round.isoDate || toIsoInstant(round.date)
+    });
+  });
+
+  (tournamentInfo?.divisions || []).forEach(division => {
+    (division?.playoff_rounds || []).forEach(round => {
+      if (!round || typeof round.title !== 'string') return;
+      rounds.push({
+        id: `playoff-div-${slugify(division.division)}-${slugify(round.title)}`,
+        title: `Division ${division.division} ${round.title}`,
+        stage: 'playoff',
+        division: division.division,
+        date: round.date,
+        isoDate: round.isoDate || toIsoInstant(round.date)
+      });
+    });
+  });
+
+  return rounds;
+}
@@ -0,0 +1,116 @@
+import { RecursiveCharacterTextSplitter } from '@langchain/textsplitters';
+import { Document } from '@langchain/core/documents';
+import { readStoredFile, saveStoredFile } from './tournaments';
+import { extractPdfPages } from './pdf-text';
+import { createEmbeddings, getEmbeddingModel } from './llm';
+
+// Indexes loaded (or being built) by this server instance, keyed by
+// season/year. Entries hold the promise so concurrent first questions share
+// one build instead of each embedding the whole rulebook.
+const _indexCache = new Map();
+
+const indexPath = (season, year) => `ccl/${season}/${year}/rulebook-index.json`;
+
+async function buildIndex(pdfStorageUrl) {
+  const buffer = await readStoredFile(pdfStorageUrl);
+  if (!buffer) throw new Error('Stored PDF could not be found');
+  const { pages } = await extractPdfPages(buffer);
+
+  // Same chunking parameters as the old Express server
+  const textSplitter = new RecursiveCharacterTextSplitter({
+    chunkSize: 800,
+    chunkOverlap: 150,
+    separators: ['\n\n', '\n', '. ', ' ', ''],
+  });
+  const documents = pages.map(({ page, text }) => new Document({ pageContent: text, metadata: { page } }));
+  const chunks = await textSplitter.splitDocuments(documents);
+
+  const vectors = await createEmbeddings().embedDocuments(chunks.map(chunk => chunk.pageContent));
+
+  return {
+    pdfStorageUrl,
+    embeddingModel: getEmbeddingModel(),
+    createdAt: new Date().toISOString(),
+    chunks: chunks.map((chunk, i) => ({
+      text: chunk.pageContent,
+      page: chunk.metadata.page,
+      embedding: vectors[i]
+    }))
+  };
+}
+
+async function loadStoredIndex(season, year) {
+  try {
+    const bytes = await readStoredFile(indexPath(season, year));
+    return bytes ? JSON.parse(bytes.toString('utf8')) : null;
+  } catch (e) {
+    console.error('Failed to load stored rulebook index', e);
+    return null;
+  }
+}
+
+// Vectors from a different embedding model (or provider) can't be compared, so
+// switching models rebuilds the index
+const isCurrent = (index, pdfStorageUrl) =>
+  index && index.pdfStorageUrl === pdfStorageUrl && index.embeddingModel === getEmbeddingModel();
+
+async function loadOrBuildIndex(season, year, pdfStorageUrl) {
+  let index = await loadStoredIndex(season, year);
+  if (!isCurrent(index, pdfStorageUrl)) {
+    index = await buildIndex(pdfStorageUrl);
+    const bytes = Buffer.from(JSON.stringify(index));
+    await saveStoredFile(indexPath(season, year), bytes, 'application/json');
+  }
+  return index;
+}
+
+/**
+ * Get the embedding index for a season's rulebook. The index is built once per
+ * PDF, stored next to it in file storage and cached in memory; it is only
+ * rebuilt when the season's pdfStorageUrl or the embedding model changes.
+ */
+export async function getRulebookIndex({ season, year, pdfStorageUrl }) {
+  const key = `${season}-${year}`;
+
+  const cached = _indexCache.get(key);
+  if (isCurrent(cached, pdfStorageUrl)) return cached.promise;
+
+  const promise = loadOrBuildIndex(season, year, pdfStorageUrl);
+  _indexCache.set(key, { pdfStorageUrl, embeddingModel: getEmbeddingModel(), promise });
+
+  // A failed build isn't kept, so the next question tries again
+  promise.catch(() => {
+    if (_indexCache.get(key)?.promise === promise) _indexCache.delete(key);
+  });
+  return promise;
+}
+
+/**
+ * Clear the in-memory index cache to force reloading
+ */
+export function clearRulebookIndexCache() {
+  _indexCache.clear();
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Return the k chunks most similar to the question.
+ */
+export async function searchRulebookIndex(index, question, k = 5) {
+  const queryVector = await createEmbeddings().embedQuery(question);
+  return index.chunks
+    .map(chunk => ({ text: chunk.text, page: chunk.page, score: cosineSimilarity(queryVector, chunk.embedding) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
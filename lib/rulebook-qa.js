@@ -0,0 +1,68 @@
+import { createChatModel } from './llm';
+import { getRulebookIndex, searchRulebookIndex } from './rulebook-index';
+
+const normalize = (text) => text.replace(/\s+/g, ' ').trim().toLowerCase();
+
+function parseJsonResponse(content) {
+  const cleaned = content.replace(/```json/g, '').replace(/```/g, '').trim();
+  return JSON.parse(cleaned);
+}
+
+/**
+ * Answer a question about a season's rulebook using retrieval over its stored PDF.
+ * Returns the answer, the pages it relied on and the quoted snippets that
+ * support it; quotes the model invents (not present in the retrieved text) are dropped.
+ */
+export async function answerRulebookQuestion({ season, year, pdfStorageUrl, question }) {
+  const index = await getRulebookIndex({ season, year, pdfStorageUrl });
+  const sourceChunks = await searchRulebookIndex(index, question, 5);
+
+  const context = sourceChunks
+    .map(chunk => `[Page ${chunk.page}]\n${chunk.text}`)
+    .join('\n\n---\n\n');
+
+  const llm = createChatModel({ temperature: 0 });
+
+  const prompt = `Use the following pieces of context from the Collegiate Chess League rulebook to answer the question at the end.
+If you don't know the answer, just say that you don't know, don't try to make up an answer.
+Pay special attention to section numbers and specific requirements mentioned in the context.
+
+Return ONLY a JSON object in this format:
+{
+    "answer": "<answer>",
+    "citations": [
+        {"page": <page number from the [Page N] marker>, "quote": "<exact sentence copied from the context>"}
+    ]
+}
+
+Context:
+${context}
+
+Question: ${question}
+`;
+
+  const result = await llm.invoke(prompt);
+
+  let parsed;
+  try {
+    parsed = parseJsonResponse(result.content);
+  } catch (e) {
+    console.error('Failed to parse rulebook answer JSON', e);
+    parsed = { answer: result.content, citations: [] };
+  }
+
+  const citations = (parsed.citations || []).filter(citation => {
+    if (!citation || typeof citation.quote !== 'string' || !citation.quote.trim()) return false;
+    const quote = normalize(citation.quote);
+    return sourceChunks.some(chunk => chunk.page === Number(citation.page) && normalize(chunk.text).includes(quote));
+  }).map(citation => ({ page: Number(citation.page), quote: citation.quote.trim() }));
+
+  const sourcePages = [...new Set(sourceChunks.map(chunk => chunk.page))].sort((a, b) => a - b);
+
+  return {
+    answer: parsed.answer || '',
+    citations,
+    source_pages: sourcePages,
+    context_used: sourceChunks.map(({ page, text }) => ({ page, text }))
+  };
+}
@@ -0,0 +1,55 @@
+// A top-level numbered heading on a line of its own: "3. Playoffs",
+// "5. Player Eligibility". Numbered rules ("1.4 Rosters lock on ...") and
+// sentences ending in a period are not headings.
+const HEADING = /^(\d{1,2})\.\s+([A-Za-z][A-Za-z0-9 &/,'()+-]{0,60})$/;
+
+/**
+ * Split the rulebook into its numbered top-level sections. Each section
+ * keeps the pages it spans and [Page N] markers wherever a page starts, so
+ * quotes from it can still be traced to a page. Text before the first
+ * heading becomes a section with number null.
+ */
+export function splitIntoSections(pages) {
+  const sections = [];
+  let current = null;
+  let lastNumber = 0;
+
+  const startSection = (number, title, page) => {
+    current = { number, title, heading: number ? `${number}. ${title}` : title, pages: [page], lines: [`[Page ${page}]`] };
+    sections.push(current);
+  };
+
+  for (const { page, text } of pages) {
+    for (const line of text.split('\n')) {
+      const match = line.trim().match(HEADING);
+      // Numbers must go up, so a numbered list inside a section isn't mistaken for headings
+      if (match && Number(match[1]) > lastNumber) {
+        lastNumber = Number(match[1]);
+        startSection(match[1], match[2].trim(), page);
+      } else if (!current) {
+        startSection(null, 'Preamble', page);
+      } else if (current.pages.at(-1) !== page) {
+        current.pages.push(page);
+        current.lines.push(`[Page ${page}]`);
+      }
+      current.lines.push(line);
+    }
+  }
+
+  return sections.map(({ lines, ...section }) => ({ ...section, text: lines.join('\n') }));
+}
+
+/**
+ * The sections a field should be read from: those whose heading matches,
+ * else those whose text mentions it, else (for rulebooks without usable
+ * headings) the whole document.
+ */
+export function routeSections(sections, { headings, keywords }) {
+  const byHeading = sections.filter(section => section.number && headings.test(section.title));
+  if (byHeading.length > 0) return byHeading;
+
+  const byText = sections.filter(section => keywords.test(section.text));
+  if (byText.length > 0) return byText;
+
+  return sections;
+}
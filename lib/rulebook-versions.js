@@ -0,0 +1,207 @@
+import { createHash } from 'crypto';
+import { modifySeasonRecord, saveSeasonPdf, readStoredFile, saveStoredFile } from './tournaments';
+import { listTournamentFields } from './tournament-schema';
+
+export function hashPdf(bytes) {
+  return createHash('sha256').update(bytes).digest('hex');
+}
+
+/**
+ * A record's version history. Records uploaded before versions were tracked
+ * get a first version built from their current PDF, carrying the record's
+ * info until it is stored (see storeRulebookVersion).
+ */
+export async function getVersionHistory(record) {
+  if (Array.isArray(record.pdfVersions) && record.pdfVersions.length > 0) {
+    return record.pdfVersions;
+  }
+  if (!record.pdfStorageUrl) return [];
+
+  const bytes = await readStoredFile(record.pdfStorageUrl);
+  if (!bytes) return [];
+
+  return [{
+    version: 1,
+    hash: hashPdf(bytes),
+    pdfStorageUrl: record.pdfStorageUrl,
+    source: 'legacy',
+    sourceUrl: record.pdf || '',
+    uploadedAt: record.extractedAt || new Date().toISOString(),
+    ...(record.tournamentInfo ? { tournamentInfo: record.tournamentInfo } : {})
+  }];
+}
+
+/**
+ * Store a rulebook PDF as the record's newest version, unless it is
+ * byte-for-byte the same as the current one. The version is appended to
+ * the history as stored at write time, so two uploads at once both land.
+ * Returns { changed, version, pdfStorageUrl }.
+ */
+export async function storeRulebookVersion(record, bytes, { source, sourceUrl = '' }) {
+  const hash = hashPdf(bytes);
+  let history = await getVersionHistory(record);
+  const current = history[history.length - 1];
+
+  if (current && current.hash === hash) {
+    return { changed: false, version: current, pdfStorageUrl: current.pdfStorageUrl };
+  }
+
+  // The first version built for an older record moves its info to a file
+  if (!(record.pdfVersions && record.pdfVersions.length > 0)) {
+    history = await Promise.all(history.map(async ({ tournamentInfo, ...version }) => {
+      if (!tournamentInfo) return version;
+      await saveVersionInfo(record, version, tournamentInfo);
+      return { ...version, extractedAt: record.extractedAt || new Date().toISOString() };
+    }));
+  }
+
+  const pdfStorageUrl = await saveSeasonPdf(record.season, record.year, bytes);
+  let version = null;
+  let stored = null;
+  await modifySeasonRecord(record.id, (latest) => {
+    const versions = latest.pdfVersions && latest.pdfVersions.length > 0 ? latest.pdfVersions : history;
+    // Someone stored the same PDF in the meantime
+    stored = versions[versions.length - 1];
+    if (stored && stored.hash === hash) return null;
+
+    stored = null;
+    version = {
+      version: versions.length + 1,
+      hash,
+      pdfStorageUrl,
+      source,
+      sourceUrl,
+      uploadedAt: new Date().toISOString()
+    };
+    return {
+      pdfStorageUrl,
+      pdfHash: hash,
+      pdfVersions: [...versions, version]
+    };
+  });
+
+  if (stored) {
+    return { changed: false, version: stored, pdfStorageUrl: stored.pdfStorageUrl };
+  }
+  return { changed: true, version, pdfStorageUrl };
+}
+
+const versionInfoPath = (record, version) =>
+  `ccl/${record.season}/${record.year}/tournament-info/pdf-version-${version.version}.json`;
+
+/**
+ * Store the tournament info extracted from one version, so later versions
+ * can be compared with it field by field. Kept out of the record, which
+ * would otherwise grow with every version.
+ */
+export async function saveVersionInfo(record, version, tournamentInfo) {
+  await saveStoredFile(versionInfoPath(record, version), Buffer.from(JSON.stringify(tournamentInfo)), 'application/json');
+}
+
+/**
+ * The tournament info extracted from a version, or null when it has not
+ * been extracted.
+ */
+export async function loadVersionInfo(record, version) {
+  // Versions stored before the info moved out of the record carry it inline
+  if (version.tournamentInfo) return version.tournamentInfo;
+  if (!version.extractedAt) return null;
+
+  const bytes = await readStoredFile(versionInfoPath(record, version));
+  return bytes ? JSON.parse(bytes.toString('utf8')) : null;
+}
+
+/**
+ * Mark the version a PDF was extracted from (see saveVersionInfo).
+ */
+export function markExtracted(versions, pdfStorageUrl, extractedAt) {
+  return versions.map(version => {
+    if (version.pdfStorageUrl !== pdfStorageUrl) return version;
+    const { tournamentInfo, ...rest } = version;
+    return { ...rest, extractedAt };
+  });
+}
+
+// Flatten tournamentInfo into "path -> value" pairs. Missing values become
+// null so the changes can be stored (Firestore rejects undefined).
+function flattenTournamentInfo(info) {
+  return Object.fromEntries(listTournamentFields(info).map(({ key, value }) => [key, value === undefined ? null : value]));
+}
+
+/**
+ * Field-level differences between two tournamentInfo objects.
+ */
+export function diffTournamentInfo(before, after) {
+  const a = flattenTournamentInfo(before);
+  const b = flattenTournamentInfo(after);
+  const changes = [];
+
+  for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (!(field in b)) {
+      changes.push({ field, type: 'removed', before: a[field] });
+    } else if (!(field in a)) {
+      changes.push({ field, type: 'added', after: b[field] });
+    } else if (JSON.stringify(a[field]) !== JSON.stringify(b[field])) {
+      changes.push({ field, type: 'changed', before: a[field], after: b[field] });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Line diff of two texts (longest common subsequence), returned as hunks of
+ * changed lines with a little surrounding context.
+ */
+export function diffText(before, after, context = 2) {
+  const normalize = (text) => text.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  const a = normalize(before);
+  const b = normalize(after);
+
+  // lcs[i * (m + 1) + j] = LCS length of a[i:] and b[j:]
+  const n = a.length;
+  const m = b.length;
+  const lcs = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * (m + 1) + j] = a[i] === b[j]
+        ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[i] === b[j]) {
+      ops.push({ type: 'same', line: a[i] });
+      i++;
+      j++;
+    } else if (i < n && (j >= m || lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1])) {
+      ops.push({ type: 'removed', line: a[i] });
+      i++;
+    } else {
+      ops.push({ type: 'added', line: b[j] });
+      j++;
+    }
+  }
+
+  // Group changes into hunks, keeping `context` unchanged lines around them
+  const hunks = [];
+  let hunk = null;
+  ops.forEach((op, index) => {
+    const nearChange = ops
+      .slice(Math.max(0, index - context), index + context + 1)
+      .some(other => other.type !== 'same');
+    if (!nearChange) {
+      hunk = null;
+      return;
+    }
+    if (!hunk) {
+      hunk = [];
+      hunks.push(hunk);
+    }
+    hunk.push(op);
+  });
+  return hunks;
+}
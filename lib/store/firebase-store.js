@@ -0,0 +1,102 @@
+import { randomUUID } from 'crypto';
+import { getDownloadURL } from 'firebase-admin/storage';
+import { getAdminDb, getAdminBucket } from '../firebase-admin';
+
+function createCollection(name) {
+  const docs = () => getAdminDb().collection(name);
+
+  return {
+    async find(filters = {}) {
+      const querySnapshot = await Object.entries(filters)
+        .reduce((query, [field, value]) => query.where(field, "==", value), docs())
+        .get();
+      return querySnapshot.docs.map(document => ({ id: document.id, ...document.data() }));
+    },
+
+    async get(id) {
+      const snapshot = await docs().doc(id).get();
+      return snapshot.exists ? { id: snapshot.id, ...snapshot.data() } : null;
+    },
+
+    async add(data) {
+      const docRef = await docs().add(data);
+      return { id: docRef.id, ...data };
+    },
+
+    async set(id, data) {
+      await docs().doc(id).set(data);
+      return { id, ...data };
+    },
+
+    async update(id, patch) {
+      await docs().doc(id).update(patch);
+    },
+
+    // Firestore retries the transaction when the document changes under it,
+    // so fn may run more than once
+    async modify(id, fn) {
+      const docRef = docs().doc(id);
+      return getAdminDb().runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(docRef);
+        const data = snapshot.exists ? snapshot.data() : null;
+        const patch = await fn(data ? { id, ...data } : null);
+        if (!patch) return data ? { id, ...data } : null;
+        if (data) {
+          transaction.update(docRef, patch);
+        } else {
+          transaction.set(docRef, patch);
+        }
+        return { id, ...data, ...patch };
+      });
+    },
+
+    async delete(id) {
+      await docs().doc(id).delete();
+    }
+  };
+}
+
+// Download URLs look like
+// https://firebasestorage.googleapis.com/v0/b/<bucket>/o/<encoded path>?alt=media&token=<token>
+const DOWNLOAD_URL = /^https:\/\/firebasestorage\.googleapis\.com\/v0\/b\/[^/]+\/o\/([^?]+)/;
+
+const files = {
+  async save(path, bytes, contentType) {
+    const file = getAdminBucket().file(path);
+    // The token lets the rulebook links work while the storage rules deny clients
+    await file.save(Buffer.from(bytes), {
+      contentType,
+      metadata: { metadata: { firebaseStorageDownloadTokens: randomUUID() } }
+    });
+    return getDownloadURL(file);
+  },
+
+  // Accepts either a storage path or a download URL
+  async read(pathOrUrl) {
+    const match = pathOrUrl.match(DOWNLOAD_URL);
+    if (!match && /^https?:\/\//.test(pathOrUrl)) {
+      const response = await fetch(pathOrUrl);
+      if (!response.ok) throw new Error(`Failed to fetch ${pathOrUrl}: ${response.statusText}`);
+      return Buffer.from(await response.arrayBuffer());
+    }
+    try {
+      const [bytes] = await getAdminBucket().file(match ? decodeURIComponent(match[1]) : pathOrUrl).download();
+      return bytes;
+    } catch (e) {
+      if (e.code === 404) return null;
+      throw e;
+    }
+  }
+};
+
+/**
+ * Store backed by Firestore (collections) and Firebase Storage (files),
+ * through the Admin SDK's service account.
+ */
+export function createFirebaseStore() {
+  return {
+    backend: 'firebase',
+    collection: createCollection,
+    files
+  };
+}
@@ -0,0 +1,37 @@
+import path from 'path';
+
+// Collections and files can live in Firebase (default) or on local disk:
+//   CCL_STORAGE_BACKEND=local CCL_LOCAL_DATA_DIR=./.local-data npm run dev
+let _store = null;
+
+/**
+ * Get the configured store. Each store exposes:
+ *   collection(name) -> { find(filters), get(id), add(data), set(id, data), update(id, patch), modify(id, fn), delete(id) }
+ *     modify reads a document, passes it to fn and writes the patch fn returns
+ *     (nothing when it returns null) with no other write in between; fn gets
+ *     null for a missing document, and a patch then creates it
+ *   files -> { save(path, bytes, contentType) -> url, read(pathOrUrl) -> Buffer | null }
+ */
+export async function getStore() {
+  if (_store) return _store;
+
+  if (process.env.CCL_STORAGE_BACKEND === 'local') {
+    const { createLocalStore } = await import('./local-store');
+    _store = createLocalStore({
+      dataDir: process.env.CCL_LOCAL_DATA_DIR || path.join(process.cwd(), '.local-data')
+    });
+  } else {
+    // Imported lazily so the local backend never initializes Firebase
+    const { createFirebaseStore } = await import('./firebase-store');
+    _store = createFirebaseStore();
+  }
+
+  return _store;
+}
+
+/**
+ * Replace the store, e.g. with a local store pointing at a temp directory in tests.
+ */
+export function setStore(store) {
+  _store = store;
+}
@@ -0,0 +1,143 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomBytes } from 'crypto';
+
+export const LOCAL_FILES_ROUTE = '/api/local-files/';
+
+const generateId = () => randomBytes(15).toString('base64url').slice(0, 20);
+
+/**
+ * Store that keeps each collection in a JSON file and files on disk under
+ * dataDir, for running the app and its tests without a Firebase project.
+ */
+export function createLocalStore({ dataDir }) {
+  const collectionsDir = path.join(dataDir, 'collections');
+  const filesDir = path.join(dataDir, 'files');
+
+  // Writes to the same collection are queued so concurrent requests
+  // don't overwrite each other's changes.
+  const queues = new Map();
+
+  const collectionFile = (name) => path.join(collectionsDir, `${name}.json`);
+
+  async function readCollection(name) {
+    try {
+      return JSON.parse(await fs.readFile(collectionFile(name), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return {};
+      throw e;
+    }
+  }
+
+  async function writeCollection(name, docs) {
+    await fs.mkdir(collectionsDir, { recursive: true });
+    const tmpFile = `${collectionFile(name)}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(docs, null, 2));
+    await fs.rename(tmpFile, collectionFile(name));
+  }
+
+  function mutate(name, fn) {
+    const previous = queues.get(name) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const docs = await readCollection(name);
+      const result = await fn(docs);
+      await writeCollection(name, docs);
+      return result;
+    });
+    queues.set(name, next);
+    return next;
+  }
+
+  // Round-trip through JSON so callers never share references with the store
+  const clone = (value) => JSON.parse(JSON.stringify(value));
+
+  function createCollection(name) {
+    return {
+      async find(filters = {}) {
+        const docs = await readCollection(name);
+        return Object.entries(docs)
+          .filter(([, data]) => Object.entries(filters).every(([field, value]) => data[field] === value))
+          .map(([id, data]) => ({ id, ...data }));
+      },
+
+      async get(id) {
+        const docs = await readCollection(name);
+        return docs[id] ? { id, ...docs[id] } : null;
+      },
+
+      add(data) {
+        return mutate(name, docs => {
+          const id = generateId();
+          docs[id] = clone(data);
+          return { id, ...data };
+        });
+      },
+
+      set(id, data) {
+        return mutate(name, docs => {
+          docs[id] = clone(data);
+          return { id, ...data };
+        });
+      },
+
+      update(id, patch) {
+        return mutate(name, docs => {
+          if (!docs[id]) throw new Error(`No document to update: ${name}/${id}`);
+          docs[id] = { ...docs[id], ...clone(patch) };
+        });
+      },
+
+      modify(id, fn) {
+        return mutate(name, async docs => {
+          const patch = await fn(docs[id] ? { id, ...clone(docs[id]) } : null);
+          if (patch) docs[id] = { ...docs[id], ...clone(patch) };
+          return docs[id] ? { id, ...clone(docs[id]) } : null;
+        });
+      },
+
+      delete(id) {
+        return mutate(name, docs => {
+          delete docs[id];
+        });
+      }
+    };
+  }
+
+  // Resolve a storage path (or a /api/local-files/ URL) inside filesDir,
+  // refusing anything that would escape it.
+  function resolveFile(pathOrUrl) {
+    const relative = pathOrUrl.startsWith(LOCAL_FILES_ROUTE)
+      ? decodeURIComponent(pathOrUrl.slice(LOCAL_FILES_ROUTE.length))
+      : pathOrUrl;
+    const resolved = path.resolve(filesDir, relative);
+    if (!resolved.startsWith(path.resolve(filesDir) + path.sep)) {
+      throw new Error(`Invalid file path: ${pathOrUrl}`);
+    }
+    return resolved;
+  }
+
+  const files = {
+    async save(filePath, bytes) {
+      const target = resolveFile(filePath);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, bytes);
+      return `${LOCAL_FILES_ROUTE}${filePath.split('/').map(encodeURIComponent).join('/')}`;
+    },
+
+    async read(pathOrUrl) {
+      try {
+        return await fs.readFile(resolveFile(pathOrUrl));
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    }
+  };
+
+  return {
+    backend: 'local',
+    dataDir,
+    collection: createCollection,
+    files
+  };
+}
@@ -0,0 +1,132 @@
+import { diffTournamentInfo } from './rulebook-versions';
+import { readStoredFile, saveStoredFile } from './tournaments';
+
+// The parts of tournamentInfo an officer's edit is tracked by. Event lists
+// are tracked whole, since adding or removing a round changes the list.
+export const EDITABLE_FIELDS = [
+  'logistics',
+  'regular_season',
+  'divisions',
+  'requirements.minimum_account_age',
+  'requirements.minimum_games'
+];
+
+export function getField(info, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), info);
+}
+
+function setField(info, field, value) {
+  const [key, ...rest] = field.split('.');
+  if (rest.length === 0) return { ...info, [key]: value };
+  return { ...info, [key]: setField(info?.[key] || {}, rest.join('.'), value) };
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * The tracked fields that differ between two tournamentInfo objects.
+ */
+export function changedFields(before, after) {
+  return EDITABLE_FIELDS.filter(field => !sameValue(getField(before, field), getField(after, field)));
+}
+
+/**
+ * Lay an extraction over the current info, keeping every field an officer
+ * edited by hand. `preserved` lists the kept fields whose extracted value
+ * differs, so the officer can decide whether to take the new value.
+ */
+export function applyManualFields(extracted, current, manualFields = {}) {
+  let tournamentInfo = extracted;
+  const preserved = [];
+
+  for (const field of Object.keys(manualFields)) {
+    const manual = getField(current, field);
+    const fresh = getField(extracted, field);
+    tournamentInfo = setField(tournamentInfo, field, manual);
+    if (!sameValue(manual, fresh)) preserved.push({ field, manual, extracted: fresh });
+  }
+
+  return { tournamentInfo, preserved };
+}
+
+/**
+ * Restore one field to its last extracted value.
+ */
+export function revertField(current, extracted, field) {
+  return setField(current, field, getField(extracted, field));
+}
+
+// The tracked field a citation key (see listTournamentFields) belongs to
+function citationField(key) {
+  const [prefix, name] = key.split(' › ');
+  if (prefix === 'requirements') return `requirements.${name}`;
+  if (/^Division .* playoffs$/.test(prefix)) return 'divisions';
+  return prefix;
+}
+
+/**
+ * The extraction's citations, minus those for fields edited by hand: their
+ * values no longer come from the quoted rulebook text.
+ */
+export function citationsFor(extractedCitations = {}, manualFields = {}) {
+  return Object.fromEntries(Object.entries(extractedCitations).filter(([key]) => !manualFields[citationField(key)]));
+}
+
+/**
+ * Append a revision to a record's tournamentInfoHistory. Entries only say
+ * who changed what: the info itself stays on the record while it is
+ * current and moves to a stored file once replaced (see archiveRevision).
+ */
+export function addRevision(history = [], { tournamentInfo, previous, source, changedBy }) {
+  // Info extracted before revisions were kept becomes the first one
+  if (history.length === 0 && previous) {
+    history = [{ revision: 1, source: 'extract', changedBy: null, changedAt: null, fields: [], changes: [] }];
+  }
+
+  const revision = {
+    revision: history.length + 1,
+    source,
+    changedBy: changedBy || null,
+    changedAt: new Date().toISOString(),
+    fields: changedFields(previous, tournamentInfo),
+    changes: previous ? diffTournamentInfo(previous, tournamentInfo) : []
+  };
+  return [...history, revision];
+}
+
+const revisionPath = (record, revision) =>
+  `ccl/${record.season}/${record.year}/tournament-info/revision-${revision}.json`;
+
+// The revision the record's current info is: the newest one, or revision 1
+// for info extracted before revisions were kept (see addRevision)
+const latestRevision = (record) => Math.max((record.tournamentInfoHistory || []).length, 1);
+
+/**
+ * Store the record's current tournamentInfo under its revision number,
+ * before a new revision replaces it. Safe to repeat.
+ */
+export async function archiveRevision(record) {
+  if (!record.tournamentInfo) return;
+  const bytes = Buffer.from(JSON.stringify(record.tournamentInfo));
+  await saveStoredFile(revisionPath(record, latestRevision(record)), bytes, 'application/json');
+}
+
+/**
+ * The tournamentInfo saved as one revision of the record, or null when it
+ * is no longer stored.
+ */
+export async function loadRevision(record, entry) {
+  // Revisions saved before the info moved out of the record carry it inline
+  if (entry.tournamentInfo) return entry.tournamentInfo;
+  if (entry.revision === latestRevision(record)) return record.tournamentInfo;
+
+  const bytes = await readStoredFile(revisionPath(record, entry.revision));
+  return bytes ? JSON.parse(bytes.toString('utf8')) : null;
+}
+
+/**
+ * A revision without its full tournamentInfo, for listing the history.
+ */
+export function summarizeRevision({ tournamentInfo, ...summary }) {
+  return summary;
+}
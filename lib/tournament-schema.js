@@ -0,0 +1,151 @@
+import { parseCclDate, cclDateSortKey } from './ccl-dates';
+
+export const REQUIRED_LOGISTICS_TITLES = ['Registration Opens', 'Registration Closes', 'Schedule Release', 'Roster Lock'];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const isNonNegativeInteger = (value) => typeof value === 'number' && Number.isInteger(value) && value >= 0;
+
+const findLogistic = (logistics, title) =>
+  logistics.find(item => item && isNonEmptyString(item.title) && item.title.trim().toLowerCase() === title.toLowerCase());
+
+// Validates a list of {title, date} entries and returns the parsed dates
+// (null for entries whose date could not be parsed).
+function validateEvents(events, path, errors) {
+  if (!Array.isArray(events)) {
+    errors.push(`${path} must be an array`);
+    return [];
+  }
+  if (events.length === 0) {
+    errors.push(`${path} must contain at least one entry`);
+    return [];
+  }
+
+  return events.map((event, i) => {
+    const eventPath = `${path}[${i}]`;
+    if (!event || typeof event !== 'object') {
+      errors.push(`${eventPath} must be an object with "title" and "date"`);
+      return null;
+    }
+    if (!isNonEmptyString(event.title)) {
+      errors.push(`${eventPath}.title is required`);
+    }
+    const parsed = parseCclDate(event.date);
+    if (!parsed) {
+      errors.push(`${eventPath}.date "${event.date}" is not in the format "YYYY-MM-DD HH:MM AM/PM PT"`);
+    }
+    return parsed;
+  });
+}
+
+function checkChronological(dates, events, path, errors, { strict }) {
+  for (let i = 1; i < dates.length; i++) {
+    if (!dates[i] || !dates[i - 1]) continue;
+    const previous = cclDateSortKey(dates[i - 1]);
+    const current = cclDateSortKey(dates[i]);
+    if (strict ? current <= previous : current < previous) {
+      errors.push(`${path}[${i}] "${events[i].title}" (${events[i].date}) must come after "${events[i - 1].title}" (${events[i - 1].date})`);
+    }
+  }
+}
+
+/**
+ * Validate LLM-extracted tournamentInfo against the structure requested in
+ * extract-ccl-info.js. Returns a list of human-readable problems; an empty
+ * list means the info is safe to save.
+ */
+export function validateTournamentInfo(info) {
+  const errors = [];
+
+  if (!info || typeof info !== 'object' || Array.isArray(info)) {
+    return ['tournamentInfo must be a JSON object'];
+  }
+
+  // Logistics
+  validateEvents(info.logistics, 'logistics', errors);
+  if (Array.isArray(info.logistics)) {
+    for (const title of REQUIRED_LOGISTICS_TITLES) {
+      if (!findLogistic(info.logistics, title)) {
+        errors.push(`logistics is missing the "${title}" entry`);
+      }
+    }
+
+    const opens = findLogistic(info.logistics, 'Registration Opens');
+    const closes = findLogistic(info.logistics, 'Registration Closes');
+    const opensDate = opens && parseCclDate(opens.date);
+    const closesDate = closes && parseCclDate(closes.date);
+    if (opensDate && closesDate && cclDateSortKey(closesDate) <= cclDateSortKey(opensDate)) {
+      errors.push(`"Registration Closes" (${closes.date}) must come after "Registration Opens" (${opens.date})`);
+    }
+  }
+
+  // Regular season
+  const regularDates = validateEvents(info.regular_season, 'regular_season', errors);
+  checkChronological(regularDates, info.regular_season, 'regular_season', errors, { strict: true });
+  const lastRegular = regularDates.filter(Boolean).map(cclDateSortKey).reduce((max, key) => Math.max(max, key), -Infinity);
+
+  // Playoffs
+  if (!Array.isArray(info.divisions) || info.divisions.length === 0) {
+    errors.push('divisions must be a non-empty array');
+  } else {
+    info.divisions.forEach((division, i) => {
+      const path = `divisions[${i}]`;
+      if (!division || typeof division !== 'object') {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      if (division.division === undefined || division.division === null || division.division === '') {
+        errors.push(`${path}.division is required`);
+      }
+      const playoffPath = `${path}.playoff_rounds`;
+      const playoffDates = validateEvents(division.playoff_rounds, playoffPath, errors);
+      // The final and 3rd place match may share a time slot
+      checkChronological(playoffDates, division.playoff_rounds, playoffPath, errors, { strict: false });
+
+      const firstPlayoff = playoffDates.find(Boolean);
+      if (firstPlayoff && cclDateSortKey(firstPlayoff) <= lastRegular) {
+        errors.push(`${playoffPath}[0] "${division.playoff_rounds[0].title}" must come after the last regular season round`);
+      }
+    });
+  }
+
+  // Requirements
+  const requirements = info.requirements;
+  if (!requirements || typeof requirements !== 'object') {
+    errors.push('requirements must be an object');
+  } else {
+    for (const field of ['minimum_account_age', 'minimum_games']) {
+      if (!isNonNegativeInteger(requirements[field])) {
+        errors.push(`requirements.${field} must be a non-negative integer, got ${JSON.stringify(requirements[field])}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Every date and requirement in tournamentInfo as { key, value, event }.
+ * Event lists are keyed by title rather than position so an inserted round
+ * doesn't shift every row; `event` is the entry a date came from.
+ */
+export function listTournamentFields(info = {}) {
+  const fields = [];
+  const addEvents = (prefix, events) => {
+    (events || []).forEach((event, i) => {
+      const key = event && event.title ? event.title : `#${i + 1}`;
+      fields.push({ key: `${prefix} › ${key}`, value: event ? event.date : undefined, event });
+    });
+  };
+
+  addEvents('logistics', info.logistics);
+  addEvents('regular_season', info.regular_season);
+  (info.divisions || []).forEach((division, i) => {
+    const key = division && division.division !== undefined ? division.division : `#${i + 1}`;
+    addEvents(`Division ${key} playoffs`, division && division.playoff_rounds);
+  });
+  Object.entries(info.requirements || {}).forEach(([field, value]) => {
+    fields.push({ key: `requirements › ${field}`, value, event: null });
+  });
+  return fields;
+}
@@ -0,0 +1,168 @@
+import { getStore } from './store';
+
+export const TOURNAMENT_COLLECTION = 'ccl-tournament-info';
+
+async function tournaments() {
+  const store = await getStore();
+  return store.collection(TOURNAMENT_COLLECTION);
+}
+
+/**
+ * All ccl-tournament-info records for a season, each with its id.
+ */
+export async function findSeasonRecords(season, year) {
+  return (await tournaments()).find({ season, year });
+}
+
+export async function getSeasonRecord(id) {
+  return (await tournaments()).get(id);
+}
+
+export async function createSeasonRecord(data) {
+  return (await tournaments()).add(data);
+}
+
+export async function updateSeasonRecord(id, patch) {
+  return (await tournaments()).update(id, patch);
+}
+
+/**
+ * Update a record from its current contents without losing a concurrent
+ * write: `fn(record)` returns the patch to apply, or null to leave it as
+ * is. It may be called more than once, so anything it does besides
+ * working out the patch must be safe to repeat. Returns the record as saved.
+ */
+export async function modifySeasonRecord(id, fn) {
+  return (await tournaments()).modify(id, (record) => {
+    if (!record) throw new Error(`No document to update: ${TOURNAMENT_COLLECTION}/${id}`);
+    return fn(record);
+  });
+}
+
+/**
+ * Store a rulebook PDF under ccl/{season}/{year}/ and return its URL.
+ */
+export async function saveSeasonPdf(season, year, bytes) {
+  const store = await getStore();
+  const fileName = `ccl/${season}/${year}/${Date.now()}_ccl_${season}_${year}.pdf`;
+  return store.files.save(fileName, bytes, 'application/pdf');
+}
+
+/**
+ * Read a stored file back, by storage path or by the URL saveSeasonPdf returned.
+ */
+export async function readStoredFile(pathOrUrl) {
+  const store = await getStore();
+  return store.files.read(pathOrUrl);
+}
+
+export async function saveStoredFile(path, bytes, contentType) {
+  const store = await getStore();
+  return store.files.save(path, bytes, contentType);
+}
+
+// Links scraped from each announcement page (see lib/pipeline/search)
+export const LINK_FIELDS = ['pdf', 'instructions', 'registration', 'fairPlay', 'platform'];
+
+// Data officers enter for a season, which follows the canonical record
+export const SEASON_DATA_FIELDS = ['roster', 'results', 'lineups', 'availability'];
+
+/**
+ * Pick the canonical record out of a season's records: the one marked
+ * canonical, else the first one (seasons searched before records were
+ * marked).
+ */
+export function pickCanonicalRecord(records) {
+  return records.find(record => record.canonical) || records[0] || null;
+}
+
+/**
+ * The record every route reads and writes for a season: its rulebook,
+ * schedule, roster and so on. Returns null when the season has not been
+ * searched yet.
+ */
+export async function getCanonicalRecord(season, year) {
+  return pickCanonicalRecord(await findSeasonRecords(season, year));
+}
+
+/**
+ * Make `id` the season's canonical record. The old canonical record's
+ * season data is copied across, replacing whatever `id` kept from an
+ * earlier turn as canonical, so switching back and forth loses nothing.
+ */
+export async function setCanonicalRecord(season, year, id) {
+  const records = await findSeasonRecords(season, year);
+  const next = records.find(record => record.id === id);
+  if (!next) return null;
+
+  const previous = pickCanonicalRecord(records);
+  const carried = {};
+  if (previous && previous.id !== id) {
+    for (const field of SEASON_DATA_FIELDS) {
+      if (previous[field] !== undefined) carried[field] = previous[field];
+    }
+  }
+
+  for (const record of records) {
+    if (record.id === id) {
+      await updateSeasonRecord(id, { ...carried, canonical: true });
+    } else if (record.canonical || (previous && record.id === previous.id)) {
+      await updateSeasonRecord(record.id, { canonical: false });
+    }
+  }
+
+  return { id, ...(await getSeasonRecord(id)) };
+}
+
+/**
+ * Fill the canonical record's empty links from the season's other records
+ * and remember which pages they came from. Returns the updated canonical
+ * record, or null when the season has no records.
+ */
+export async function mergeSeasonLinks(season, year) {
+  const records = await findSeasonRecords(season, year);
+  const canonical = pickCanonicalRecord(records);
+  if (!canonical) return null;
+
+  const patch = {};
+  const mergedFrom = new Set(canonical.mergedFrom || []);
+
+  for (const record of records) {
+    if (record.id === canonical.id) continue;
+    for (const field of LINK_FIELDS) {
+      if (!canonical[field] && !patch[field] && record[field]) {
+        patch[field] = record[field];
+        mergedFrom.add(record.source);
+      }
+    }
+  }
+
+  await updateSeasonRecord(canonical.id, { ...patch, canonical: true, mergedFrom: [...mergedFrom] });
+  return { ...canonical, ...patch, canonical: true, mergedFrom: [...mergedFrom] };
+}
+
+/**
+ * What get-ccl-status reports for a season: { exists, id, data }.
+ */
+export async function getSeasonStatus(season, year) {
+  const record = await getCanonicalRecord(season, year);
+  if (!record) return { exists: false };
+
+  const { id, ...data } = record;
+  return { exists: true, id, data };
+}
+
+/**
+ * The season in play at `now` (Pacific time): spring for January through
+ * June, fall for the rest of the year. CCL_CURRENT_SEASON=fall-2026
+ * overrides it.
+ */
+export function getCurrentSeason(now = new Date()) {
+  const override = process.env.CCL_CURRENT_SEASON?.match(/^(spring|fall)-(\d{4})$/);
+  if (override) return { season: override[1], year: override[2] };
+
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: 'America/Los_Angeles', year: 'numeric', month: 'numeric' }).formatToParts(now);
+  const month = Number(parts.find(part => part.type === 'month').value);
+  const year = parts.find(part => part.type === 'year').value;
+  return { season: month <= 6 ? 'spring' : 'fall', year };
+}
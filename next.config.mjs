@@ -1,7 +1,12 @@
+// The browser only needs the Firebase Auth config for sign-in; everything
+// else stays on the server
+const FIREBASE_ENV = ['REACT_APP_API', 'REACT_APP_AUTH', 'REACT_APP_PROJ', 'REACT_APP_APP'];
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   /* config options here */
   reactStrictMode: true,
+  env: Object.fromEntries(FIREBASE_ENV.map(key => [key, process.env[key] || ''])),
 };
 
 export default nextConfig;
@@ -1,5 +1,11 @@
 import "@/styles/globals.css";
+import { AuthProvider, AuthStatus } from "@/components/AuthProvider";
 
 export default function App({ Component, pageProps }) {
-  return <Component {...pageProps} />;
+  return (
+    <AuthProvider>
+      <AuthStatus />
+      <Component {...pageProps} />
+    </AuthProvider>
+  );
 }
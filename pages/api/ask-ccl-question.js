@@ -0,0 +1,46 @@
+import { getCanonicalRecord } from '../../lib/tournaments';
+import { answerRulebookQuestion } from '../../lib/rulebook-qa';
+import { withAuth } from '../../lib/auth';
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { season, year, question } = req.body;
+
+  if (!season || !year) {
+    return res.status(400).json({ message: 'Season and year are required' });
+  }
+
+  if (typeof question !== 'string' || !question.trim()) {
+    return res.status(400).json({ message: 'Question is required' });
+  }
+
+  try {
+    const docData = await getCanonicalRecord(season, year);
+
+    if (!docData) {
+      return res.status(404).json({ message: `No tournament info found for ${season} ${year}.` });
+    }
+
+    if (!docData.pdfStorageUrl) {
+      return res.status(400).json({ message: 'PDF has not been uploaded yet.' });
+    }
+
+    const result = await answerRulebookQuestion({
+      season,
+      year,
+      pdfStorageUrl: docData.pdfStorageUrl,
+      question: question.trim()
+    });
+
+    return res.status(200).json({ ...result, pdfStorageUrl: docData.pdfStorageUrl });
+
+  } catch (error) {
+    console.error('Error processing question:', error);
+    return res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+}
+
+export default withAuth(handler, 'member');
@@ -0,0 +1,12 @@
+import { withAuth } from '../../../lib/auth';
+
+function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { email, role } = req.user;
+  return res.status(200).json({ email, role });
+}
+
+export default withAuth(handler, 'public');
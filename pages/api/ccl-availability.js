@@ -0,0 +1,83 @@
+import { getCanonicalRecord, modifySeasonRecord } from '../../lib/tournaments';
+import { findMemberByEmail } from '../../lib/roster';
+import { getSeasonRounds } from '../../lib/rounds';
+import { RESPONSES, summarizeAvailability, availablePlayersCsv } from '../../lib/availability';
+import { withAuth, hasRole } from '../../lib/auth';
+
+const METHODS = ['GET', 'PUT'];
+
+async function handler(req, res) {
+  if (!METHODS.includes(req.method)) {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { season, year } = req.method === 'GET' ? req.query : req.body;
+
+  if (!season || !year) {
+    return res.status(400).json({ message: 'Season and year are required' });
+  }
+
+  try {
+    const record = await getCanonicalRecord(season, year);
+
+    if (!record) {
+      return res.status(404).json({ message: `No tournament info found for ${season} ${year}.` });
+    }
+
+    // Rounds always come from the latest extraction
+    const rounds = getSeasonRounds(record.tournamentInfo);
+    const members = record.roster?.members || [];
+    let availability = record.availability || {};
+
+    if (req.method === 'PUT') {
+      const { memberId, roundId, response } = req.body;
+      const round = rounds.find(r => r.id === roundId);
+
+      if (!members.some(member => member.id === memberId)) {
+        return res.status(404).json({ message: 'Member not found' });
+      }
+      // Members answer for themselves; officers may fill in anyone's
+      if (!hasRole(req.user, 'officer') && findMemberByEmail(members, req.user.email)?.id !== memberId) {
+        return res.status(403).json({ message: 'You can only answer for your own roster entry. Ask an officer to add your email to the roster.' });
+      }
+      if (!round) {
+        return res.status(400).json({ message: 'Unknown round' });
+      }
+      if (response !== null && !RESPONSES.includes(response)) {
+        return res.status(400).json({ message: `Response must be one of ${RESPONSES.join(', ')}` });
+      }
+
+      const answer = { response, roundDate: round.isoDate || null, updatedAt: new Date().toISOString() };
+
+      // Only this member's cell changes, against the stored answers, so
+      // members answering at the same time don't overwrite each other
+      const saved = await modifySeasonRecord(record.id, (current) => {
+        const currentAvailability = current.availability || {};
+        const { [roundId]: _previous, ...otherRounds } = currentAvailability[memberId] || {};
+        const memberAvailability = response === null ? otherRounds : { ...otherRounds, [roundId]: answer };
+        return { availability: { ...currentAvailability, [memberId]: memberAvailability } };
+      });
+      availability = saved.availability;
+    }
+
+    const summary = summarizeAvailability(rounds, members, availability);
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="ccl-${season}-${year}-availability.csv"`);
+      return res.status(200).send(availablePlayersCsv(summary));
+    }
+
+    return res.status(200).json({
+      rounds: summary,
+      // The roster entry the caller answers for, if their email is on it
+      memberId: findMemberByEmail(members, req.user.email)?.id || null
+    });
+
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+}
+
+export default withAuth(handler, 'member');
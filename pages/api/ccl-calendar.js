@@ -0,0 +1,47 @@
+import { getCanonicalRecord } from '../../lib/tournaments';
+import { buildSeasonCalendar } from '../../lib/ccl-calendar';
+import { withAuth } from '../../lib/auth';
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { season, year } = req.query;
+
+  if (!season || !year) {
+    return res.status(400).json({ message: 'Season and year are required' });
+  }
+
+  try {
+    const data = await getCanonicalRecord(season, year);
+
+    if (!data) {
+      return res.status(404).json({ message: `No tournament info found for ${season} ${year}.` });
+    }
+
+    if (!data.tournamentInfo) {
+      return res.status(404).json({ message: 'Tournament info has not been extracted yet.' });
+    }
+
+    const calendar = buildSeasonCalendar({
+      season,
+      year,
+      tournamentInfo: data.tournamentInfo,
+      source: data.source,
+      updatedAt: data.extractedAt
+    });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="ccl-${season}-${year}.ics"`);
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    return res.status(200).send(calendar);
+
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+}
+
+// Calendar apps subscribe without signing in
+export default withAuth(handler, 'public');
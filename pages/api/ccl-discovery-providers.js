@@ -0,0 +1,18 @@
+import { listDiscoveryProviders, DEFAULT_DISCOVERY_PROVIDER } from '../../lib/discovery';
+import { withAuth } from '../../lib/auth';
+
+// The search options Step 1 of /ccl-search offers
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const providers = listDiscoveryProviders();
+  const defaultProvider = providers.some(provider => provider.name === DEFAULT_DISCOVERY_PROVIDER)
+    ? DEFAULT_DISCOVERY_PROVIDER
+    : providers[0].name;
+
+  return res.status(200).json({ providers, defaultProvider });
+}
+
+export default withAuth(handler, 'officer');
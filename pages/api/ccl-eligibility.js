@@ -0,0 +1,56 @@
+import { getCanonicalRecord } from '../../lib/tournaments';
+import { getRosterLockDate } from '../../lib/roster';
+import { checkEligibility } from '../../lib/eligibility';
+import { withAuth } from '../../lib/auth';
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { season, year, usernames } = req.query;
+
+  if (!season || !year) {
+    return res.status(400).json({ message: 'Season and year are required' });
+  }
+
+  try {
+    const record = await getCanonicalRecord(season, year);
+
+    if (!record) {
+      return res.status(404).json({ message: `No tournament info found for ${season} ${year}.` });
+    }
+
+    const requirements = record.tournamentInfo?.requirements;
+    if (!requirements) {
+      return res.status(400).json({ message: 'Requirements have not been extracted yet.' });
+    }
+
+    // 1. Check the given usernames, or everyone on the roster
+    const list = usernames
+      ? String(usernames).split(',').map(name => name.trim()).filter(Boolean)
+      : (record.roster?.members || []).map(member => member.username);
+
+    if (list.length === 0) {
+      return res.status(400).json({ message: 'No usernames to check.' });
+    }
+
+    // 2. Look players up on chess.com
+    const report = await checkEligibility(list, requirements);
+
+    // 3. Flag players who will only qualify after the roster locks
+    const lockDate = getRosterLockDate(record.tournamentInfo);
+    const players = report.map(player => ({
+      ...player,
+      eligibleByRosterLock: player.status === 'pass' || Boolean(lockDate && player.eligibleOn && player.eligibleOn <= lockDate)
+    }));
+
+    return res.status(200).json({ requirements, rosterLock: lockDate, players });
+
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+}
+
+export default withAuth(handler, 'officer');
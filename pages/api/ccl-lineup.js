@@ -0,0 +1,109 @@
+import { getCanonicalRecord, modifySeasonRecord } from '../../lib/tournaments';
+import { getRosterLockDate, isTeamCaptain, TEAMS } from '../../lib/roster';
+import { getSeasonRounds } from '../../lib/rounds';
+import { lookupRatings, proposeLineup, getLineupWarnings } from '../../lib/lineups';
+import { withAuth, hasRole } from '../../lib/auth';
+
+const METHODS = ['GET', 'POST', 'PUT'];
+
+const cleanUsernames = (list) => (Array.isArray(list) ? list : [])
+  .map(username => String(username).trim())
+  .filter(Boolean);
+
+const cleanPlayers = (list) => (Array.isArray(list) ? list : [])
+  .map(player => ({
+    username: String(player?.username || '').trim(),
+    rating: typeof player?.rating === 'number' ? player.rating : null
+  }))
+  .filter(player => player.username);
+
+async function handler(req, res) {
+  if (!METHODS.includes(req.method)) {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { season, year, team, roundId } = req.method === 'GET' ? req.query : req.body;
+
+  if (!season || !year) {
+    return res.status(400).json({ message: 'Season and year are required' });
+  }
+
+  try {
+    const record = await getCanonicalRecord(season, year);
+
+    if (!record) {
+      return res.status(404).json({ message: `No tournament info found for ${season} ${year}.` });
+    }
+
+    const rounds = getSeasonRounds(record.tournamentInfo);
+    const rosterLock = getRosterLockDate(record.tournamentInfo);
+    const members = record.roster?.members || [];
+
+    if (req.method === 'GET') {
+      // Rounds plus any saved lineup for the team and round
+      const lineup = team && roundId ? record.lineups?.[team]?.[roundId] || null : null;
+      return res.status(200).json({ rounds, rosterLock, lineup });
+    }
+
+    if (!TEAMS.includes(team)) {
+      return res.status(400).json({ message: `Team must be one of ${TEAMS.join(', ')}` });
+    }
+    // Officers set any team's lineup; captains their own team's
+    if (!hasRole(req.user, 'officer') && !isTeamCaptain(members, req.user.email, team)) {
+      return res.status(403).json({ message: "Only officers and the team's captain can set its lineup." });
+    }
+    const round = rounds.find(r => r.id === roundId);
+    if (!round) {
+      return res.status(400).json({ message: 'Unknown round' });
+    }
+
+    if (req.method === 'POST') {
+      // Propose a rating-sorted order for the given usernames
+      const usernames = cleanUsernames(req.body.usernames);
+      if (usernames.length === 0) {
+        return res.status(400).json({ message: 'At least one username is required' });
+      }
+
+      const players = await lookupRatings(usernames);
+      return res.status(200).json({
+        ...proposeLineup(players),
+        warnings: getLineupWarnings(usernames, { round, rosterLock, members })
+      });
+    }
+
+    // PUT: save the captain's final order
+    const boards = cleanPlayers(req.body.boards);
+    const substitutes = cleanPlayers(req.body.substitutes);
+
+    if (boards.length === 0) {
+      return res.status(400).json({ message: 'At least one board is required' });
+    }
+    const allNames = [...boards, ...substitutes].map(player => player.username.toLowerCase());
+    if (new Set(allNames).size !== allNames.length) {
+      return res.status(400).json({ message: 'A player can only appear once in a lineup' });
+    }
+
+    const warnings = getLineupWarnings([...boards, ...substitutes].map(player => player.username), { round, rosterLock, members });
+    const lineup = {
+      roundTitle: round.title,
+      boards: boards.map((player, i) => ({ board: i + 1, ...player })),
+      substitutes,
+      warnings,
+      updatedAt: new Date().toISOString()
+    };
+
+    // Merged into the stored lineups so other teams' concurrent saves are kept
+    await modifySeasonRecord(record.id, (current) => {
+      const lineups = current.lineups || {};
+      return { lineups: { ...lineups, [team]: { ...lineups[team], [roundId]: lineup } } };
+    });
+
+    return res.status(200).json({ lineup });
+
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+}
+
+export default withAuth(handler, 'member');
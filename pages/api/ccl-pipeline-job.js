@@ -0,0 +1,45 @@
+import { startPipelineJob, resumePipelineJob, getPipelineJob, getLatestPipelineJob, isJobActive } from '../../lib/pipeline/jobs';
+import { sendPipelineError } from '../../lib/pipeline/errors';
+import { withAuth } from '../../lib/auth';
+
+// Jobs keep running after the response is sent, so this needs a long-lived
+// Node server (next start / next dev) rather than a short serverless timeout.
+async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { id, season, year } = req.query;
+      if (!id && (!season || !year)) {
+        return res.status(400).json({ message: 'Season and year are required' });
+      }
+
+      const job = id ? await getPipelineJob(id) : await getLatestPipelineJob(season, year);
+      if (!job) {
+        return id ? res.status(404).json({ message: 'Pipeline job not found' }) : res.status(200).json({ job: null });
+      }
+      return res.status(200).json({ job: { ...job, active: isJobActive(job) } });
+    }
+
+    // POST { id, action: 'resume' } resumes a job; anything else starts one
+    if (req.body.action === 'resume') {
+      const job = await resumePipelineJob(req.body.id, { resumedBy: req.user.email });
+      return res.status(202).json({ job: { ...job, active: true } });
+    }
+
+    const { season, year, provider, urls } = req.body;
+    if (!season || !year) {
+      return res.status(400).json({ message: 'Season and year are required' });
+    }
+
+    const job = await startPipelineJob({ season, year, options: { provider, urls }, createdBy: req.user.email });
+    return res.status(202).json({ job: { ...job, active: true } });
+
+  } catch (error) {
+    return sendPipelineError(res, error);
+  }
+}
+
+export default withAuth(handler, { GET: 'member', default: 'officer' });
@@ -0,0 +1,85 @@
+import { getCanonicalRecord, modifySeasonRecord } from '../../lib/tournaments';
+import { getRegularSeasonRounds, validateMatch, computeStandings } from '../../lib/results';
+import { isTeamCaptain } from '../../lib/roster';
+import { withAuth, hasRole } from '../../lib/auth';
+
+const METHODS = ['GET', 'PUT', 'DELETE'];
+
+async function handler(req, res) {
+  if (!METHODS.includes(req.method)) {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { season, year } = req.method === 'GET' ? req.query : req.body;
+
+  if (!season || !year) {
+    return res.status(400).json({ message: 'Season and year are required' });
+  }
+
+  try {
+    const record = await getCanonicalRecord(season, year);
+
+    if (!record) {
+      return res.status(404).json({ message: `No tournament info found for ${season} ${year}.` });
+    }
+
+    const rounds = getRegularSeasonRounds(record.tournamentInfo);
+    let results = record.results || {};
+
+    if (req.method !== 'GET') {
+      const { team, round } = req.body;
+      let match = null;
+
+      // Officers record any team's results; captains their own team's
+      if (!hasRole(req.user, 'officer') && !isTeamCaptain(record.roster?.members || [], req.user.email, team)) {
+        return res.status(403).json({ message: "Only officers and the team's captain can record its results." });
+      }
+
+      if (req.method === 'PUT') {
+        // Save (or replace) one team's match for a round
+        const errors = validateMatch(req.body, rounds);
+        if (errors.length > 0) {
+          return res.status(400).json({ message: errors.join('. '), errors });
+        }
+
+        const { opponent, boards } = req.body.match;
+        match = {
+          opponent: opponent.trim(),
+          boards: boards.map((board, i) => ({
+            board: Number(board.board) || i + 1,
+            player: board.player.trim(),
+            games: board.games.map(({ color, result }) => ({ color, result }))
+          })),
+          updatedAt: new Date().toISOString()
+        };
+      }
+
+      // Changed against the stored results so other teams' concurrent saves are kept
+      let missing = false;
+      const saved = await modifySeasonRecord(record.id, (current) => {
+        const currentResults = current.results || {};
+        if (match) {
+          return { results: { ...currentResults, [team]: { ...currentResults[team], [round]: match } } };
+        }
+
+        missing = !currentResults[team]?.[round];
+        if (missing) return null;
+        const { [round]: _removed, ...rest } = currentResults[team];
+        return { results: { ...currentResults, [team]: rest } };
+      });
+
+      if (missing) {
+        return res.status(404).json({ message: `No result recorded for team ${team} in ${round}` });
+      }
+      results = saved.results;
+    }
+
+    return res.status(200).json({ rounds, results, standings: computeStandings(results, rounds) });
+
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+}
+
+export default withAuth(handler, 'member');
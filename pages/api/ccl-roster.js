@@ -0,0 +1,53 @@
+import { getCanonicalRecord, modifySeasonRecord } from '../../lib/tournaments';
+import { emptyRoster, getRosterLockState, changeRoster } from '../../lib/roster';
+import { withAuth } from '../../lib/auth';
+
+const METHODS = ['GET', 'POST', 'PUT', 'DELETE'];
+
+async function handler(req, res) {
+  if (!METHODS.includes(req.method)) {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { season, year } = req.method === 'GET' ? req.query : req.body;
+
+  if (!season || !year) {
+    return res.status(400).json({ message: 'Season and year are required' });
+  }
+
+  try {
+    const record = await getCanonicalRecord(season, year);
+
+    if (!record) {
+      return res.status(404).json({ message: `No tournament info found for ${season} ${year}.` });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ roster: { ...emptyRoster(), ...record.roster }, lock: getRosterLockState(record) });
+    }
+
+    // Worked out from the stored roster at write time, so concurrent changes all land
+    let rejection = null;
+    const saved = await modifySeasonRecord(record.id, (current) => {
+      const change = changeRoster(current, req.method, req.body);
+      rejection = change.error || null;
+      return change.error ? null : { roster: change.roster };
+    });
+
+    if (rejection) {
+      const { status, ...body } = rejection;
+      return res.status(status).json(body);
+    }
+
+    return res.status(200).json({
+      roster: saved.roster,
+      lock: getRosterLockState(saved)
+    });
+
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+}
+
+export default withAuth(handler, { GET: 'member', default: 'officer' });
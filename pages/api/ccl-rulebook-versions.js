@@ -0,0 +1,69 @@
+import { getCanonicalRecord, readStoredFile } from '../../lib/tournaments';
+import { getVersionHistory, loadVersionInfo, diffTournamentInfo, diffText } from '../../lib/rulebook-versions';
+import { parsePdf } from '../../lib/pdf-text';
+import { withAuth } from '../../lib/auth';
+
+async function readPdfText(pdfStorageUrl) {
+  const buffer = await readStoredFile(pdfStorageUrl);
+  if (!buffer) throw new Error(`Stored PDF could not be found: ${pdfStorageUrl}`);
+  const data = await parsePdf(buffer);
+  return data.text;
+}
+
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { season, year, from, to } = req.query;
+
+  if (!season || !year) {
+    return res.status(400).json({ message: 'Season and year are required' });
+  }
+
+  try {
+    const record = await getCanonicalRecord(season, year);
+
+    if (!record) {
+      return res.status(404).json({ message: `No tournament info found for ${season} ${year}.` });
+    }
+
+    const versions = await getVersionHistory(record);
+    const summary = versions.map(({ tournamentInfo, ...version }) => ({ ...version, hasTournamentInfo: Boolean(tournamentInfo || version.extractedAt) }));
+
+    if (!from && !to) {
+      return res.status(200).json({ versions: summary });
+    }
+
+    const before = versions.find(version => String(version.version) === String(from));
+    const after = versions.find(version => String(version.version) === String(to));
+
+    if (!before || !after) {
+      return res.status(404).json({ message: 'Rulebook version not found' });
+    }
+
+    const [beforeText, afterText, beforeInfo, afterInfo] = await Promise.all([
+      readPdfText(before.pdfStorageUrl),
+      readPdfText(after.pdfStorageUrl),
+      loadVersionInfo(record, before),
+      loadVersionInfo(record, after)
+    ]);
+
+    return res.status(200).json({
+      versions: summary,
+      diff: {
+        from: before.version,
+        to: after.version,
+        // Field changes are only known once both versions have been extracted
+        fields: beforeInfo && afterInfo ? diffTournamentInfo(beforeInfo, afterInfo) : null,
+        text: diffText(beforeText, afterText)
+      }
+    });
+
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+}
+
+export default withAuth(handler, 'member');
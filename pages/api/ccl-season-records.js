@@ -0,0 +1,65 @@
+import { findSeasonRecords, pickCanonicalRecord, setCanonicalRecord, mergeSeasonLinks, LINK_FIELDS } from '../../lib/tournaments';
+import { withAuth } from '../../lib/auth';
+
+const METHODS = ['GET', 'PUT', 'POST'];
+
+// What the candidates view needs from each record, without the bulky
+// extracted data and version history
+const summarize = (record, canonicalId) => ({
+  id: record.id,
+  canonical: record.id === canonicalId,
+  source: record.source,
+  discoveryProvider: record.discoveryProvider || null,
+  ...Object.fromEntries(LINK_FIELDS.map(field => [field, record[field] || ''])),
+  pdfStorageUrl: record.pdfStorageUrl || '',
+  hasTournamentInfo: Boolean(record.tournamentInfo),
+  mergedFrom: record.mergedFrom || []
+});
+
+async function handler(req, res) {
+  if (!METHODS.includes(req.method)) {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { season, year } = req.method === 'GET' ? req.query : req.body;
+
+  if (!season || !year) {
+    return res.status(400).json({ message: 'Season and year are required' });
+  }
+
+  try {
+    let records = await findSeasonRecords(season, year);
+
+    if (records.length === 0) {
+      return res.status(404).json({ message: `No tournament info found for ${season} ${year}.` });
+    }
+
+    if (req.method === 'PUT') {
+      // Mark one candidate as the canonical record
+      const { id } = req.body;
+      if (!records.some(record => record.id === id)) {
+        return res.status(404).json({ message: `Record ${id} is not a candidate for ${season} ${year}` });
+      }
+      await setCanonicalRecord(season, year, id);
+      records = await findSeasonRecords(season, year);
+    } else if (req.method === 'POST') {
+      if (req.body.action !== 'merge') {
+        return res.status(400).json({ message: 'Unknown action' });
+      }
+      await mergeSeasonLinks(season, year);
+      records = await findSeasonRecords(season, year);
+    }
+
+    const canonical = pickCanonicalRecord(records);
+    return res.status(200).json({
+      canonicalId: canonical.id,
+      records: records.map(record => summarize(record, canonical.id))
+    });
+
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+}
+
+export default withAuth(handler, { GET: 'member', default: 'officer' });
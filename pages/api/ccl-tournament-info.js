@@ -0,0 +1,150 @@
+import { getCanonicalRecord, modifySeasonRecord } from '../../lib/tournaments';
+import { validateTournamentInfo } from '../../lib/tournament-schema';
+import { normalizeTournamentDates } from '../../lib/ccl-dates';
+import { EDITABLE_FIELDS, changedFields, revertField, citationsFor, addRevision, archiveRevision, loadRevision, summarizeRevision } from '../../lib/tournament-edits';
+import { withAuth } from '../../lib/auth';
+
+const METHODS = ['GET', 'PUT', 'DELETE'];
+
+const currentRevision = (record) => (record.tournamentInfoHistory || []).length;
+
+const editorState = (record) => ({
+  tournamentInfo: record.tournamentInfo,
+  citations: record.citations || {},
+  validationErrors: record.validationErrors || [],
+  manualFields: record.manualFields || {},
+  revision: currentRevision(record),
+  history: (record.tournamentInfoHistory || []).map(summarizeRevision)
+});
+
+/**
+ * Work out an edit (PUT) or revert (DELETE) against the record as stored.
+ * Returns { patch, message }, { message } when nothing changed, or
+ * { error: { status, message } }.
+ */
+function applyEdit(record, req) {
+  if (Number(req.body.baseRevision) !== currentRevision(record)) {
+    return { error: { status: 409, message: 'The tournament info was changed by someone else. Reload it before saving.' } };
+  }
+
+  const manualFields = { ...record.manualFields };
+  let tournamentInfo;
+
+  if (req.method === 'PUT') {
+    tournamentInfo = normalizeTournamentDates(req.body.tournamentInfo);
+    const fields = changedFields(record.tournamentInfo, tournamentInfo);
+    if (fields.length === 0) {
+      return { message: 'Nothing changed' };
+    }
+
+    const editedAt = new Date().toISOString();
+    for (const field of fields) {
+      manualFields[field] = { editedBy: req.user.email, editedAt };
+    }
+  } else {
+    // Drop the manual mark on a field and go back to the extracted value
+    const { field } = req.body;
+    if (!manualFields[field]) {
+      return { error: { status: 404, message: `${field} has not been edited by hand` } };
+    }
+    if (!record.extractedTournamentInfo) {
+      return { error: { status: 409, message: 'There is no extracted value to go back to. Extract the info again first.' } };
+    }
+
+    tournamentInfo = revertField(record.tournamentInfo, record.extractedTournamentInfo, field);
+    delete manualFields[field];
+  }
+
+  // Records extracted before extractedCitations was kept have only citations
+  const extractedCitations = record.extractedCitations || record.citations || {};
+  return {
+    message: req.method === 'PUT' ? 'Tournament info saved' : 'Field restored to the extracted value',
+    patch: {
+      tournamentInfo,
+      validationErrors: validateTournamentInfo(tournamentInfo),
+      manualFields,
+      extractedCitations,
+      citations: citationsFor(extractedCitations, manualFields),
+      tournamentInfoHistory: addRevision(record.tournamentInfoHistory, {
+        tournamentInfo,
+        previous: record.tournamentInfo,
+        source: req.method === 'PUT' ? 'manual' : 'revert',
+        changedBy: req.user.email
+      })
+    }
+  };
+}
+
+async function handler(req, res) {
+  if (!METHODS.includes(req.method)) {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { season, year } = req.method === 'GET' ? req.query : req.body;
+
+  if (!season || !year) {
+    return res.status(400).json({ message: 'Season and year are required' });
+  }
+
+  try {
+    const record = await getCanonicalRecord(season, year);
+
+    if (!record) {
+      return res.status(404).json({ message: `No tournament info found for ${season} ${year}.` });
+    }
+
+    if (!record.tournamentInfo) {
+      return res.status(404).json({ message: 'Tournament info has not been extracted yet.' });
+    }
+
+    if (req.method === 'GET') {
+      // One earlier revision in full, or the editor's current state
+      if (req.query.revision) {
+        const entry = (record.tournamentInfoHistory || []).find(entry => String(entry.revision) === String(req.query.revision));
+        const tournamentInfo = entry && await loadRevision(record, entry);
+        if (!tournamentInfo) {
+          return res.status(404).json({ message: `Revision ${req.query.revision} not found` });
+        }
+        return res.status(200).json({ revision: { ...summarizeRevision(entry), tournamentInfo } });
+      }
+      return res.status(200).json(editorState(record));
+    }
+
+    // Edits say which revision they were made on, so a stale one can be turned away
+    const { baseRevision } = req.body;
+    if (baseRevision == null || baseRevision === '') {
+      return res.status(400).json({ message: 'baseRevision is required' });
+    }
+
+    if (req.method === 'PUT') {
+      const errors = validateTournamentInfo(req.body.tournamentInfo);
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'The tournament info has problems', errors });
+      }
+    } else if (!EDITABLE_FIELDS.includes(req.body.field)) {
+      return res.status(400).json({ message: `Unknown field: ${req.body.field}` });
+    }
+
+    // Checked and applied against the record as stored at write time, so a
+    // concurrent edit or extraction is either kept or turned away with 409
+    let outcome = null;
+    const saved = await modifySeasonRecord(record.id, async (current) => {
+      outcome = applyEdit(current, req);
+      if (!outcome.patch) return null;
+      await archiveRevision(current);
+      return outcome.patch;
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.error.status).json({ message: outcome.error.message });
+    }
+
+    return res.status(200).json({ message: outcome.message, ...editorState(saved) });
+
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+}
+
+export default withAuth(handler, { GET: 'member', default: 'officer' });
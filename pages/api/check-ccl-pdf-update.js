@@ -0,0 +1,52 @@
+import { getCanonicalRecord } from '../../lib/tournaments';
+import { downloadRulebookPdf } from '../../lib/pdf-resolver';
+import { storeRulebookVersion } from '../../lib/rulebook-versions';
+import { withAuth } from '../../lib/auth';
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { season, year } = req.body;
+
+  if (!season || !year) {
+    return res.status(400).json({ message: 'Season and year are required' });
+  }
+
+  try {
+    const record = await getCanonicalRecord(season, year);
+
+    if (!record) {
+      return res.status(404).json({ message: `No tournament info found for ${season} ${year}.` });
+    }
+
+    const results = [];
+
+    if (record.pdf) {
+      try {
+        // Re-download the source link and keep it only if the bytes changed
+        const { bytes } = await downloadRulebookPdf(record.pdf);
+        const { changed, version, pdfStorageUrl } = await storeRulebookVersion(record, bytes, { source: 'link', sourceUrl: record.pdf });
+        results.push({ id: record.id, changed, version: version.version, pdfStorageUrl });
+      } catch (e) {
+        console.error(`Failed to check ${record.pdf} for updates`, e);
+        results.push({ id: record.id, changed: false, error: e.message });
+      }
+    }
+
+    const changed = results.some(result => result.changed);
+
+    return res.status(200).json({
+      message: changed ? 'A new rulebook version was found. Extract the info again to update the schedule.' : 'The rulebook has not changed.',
+      changed,
+      results
+    });
+
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+}
+
+export default withAuth(handler, 'officer');
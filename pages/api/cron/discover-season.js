@@ -0,0 +1,36 @@
+import { getNotificationChannels } from '../../../lib/notify';
+import { runAutoDiscovery } from '../../../lib/pipeline/discover';
+import { sendPipelineError } from '../../../lib/pipeline/errors';
+import { getDiscoveryProvider, DEFAULT_DISCOVERY_PROVIDER } from '../../../lib/discovery';
+import { checkCronSecret } from '../../../lib/auth';
+
+// Meant to be hit once or twice a day by a scheduler (e.g. Vercel Cron),
+// which sends "Authorization: Bearer $CRON_SECRET". A discovered season is
+// uploaded and extracted before this returns, so allow a long timeout.
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const denied = checkCronSecret(req);
+  if (denied) {
+    return res.status(denied.status).json({ message: denied.message });
+  }
+
+  // Checked up front so a bad name is refused before anything is searched
+  const { provider } = req.query;
+  if (!getDiscoveryProvider(provider)) {
+    return res.status(400).json({ message: `Unknown discovery provider: ${provider || DEFAULT_DISCOVERY_PROVIDER}` });
+  }
+
+  const dryRun = req.query.dryRun === '1';
+  const channels = getNotificationChannels();
+
+  try {
+    const summary = await runAutoDiscovery({ channels, provider, dryRun });
+    return res.status(200).json({ channels: channels.map(channel => channel.name), dryRun, ...summary });
+
+  } catch (error) {
+    return sendPipelineError(res, error);
+  }
+}
@@ -0,0 +1,32 @@
+import { getNotificationChannels } from '../../../lib/notify';
+import { sendDueReminders } from '../../../lib/reminders';
+import { checkCronSecret } from '../../../lib/auth';
+
+// Meant to be hit every few minutes by a scheduler (e.g. Vercel Cron),
+// which sends "Authorization: Bearer $CRON_SECRET".
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const denied = checkCronSecret(req);
+  if (denied) {
+    return res.status(denied.status).json({ message: denied.message });
+  }
+
+  const dryRun = req.query.dryRun === '1';
+  const channels = getNotificationChannels();
+
+  if (channels.length === 0 && !dryRun) {
+    return res.status(400).json({ message: 'No notification channels are configured.' });
+  }
+
+  try {
+    const summary = await sendDueReminders({ channels, dryRun });
+    return res.status(200).json({ channels: channels.map(channel => channel.name), dryRun, ...summary });
+
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+}
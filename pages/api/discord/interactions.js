@@ -0,0 +1,64 @@
+import { readRawBody, PayloadTooLargeError } from '../../../lib/multipart';
+import { getSeasonStatus, getCurrentSeason } from '../../../lib/tournaments';
+import { verifyDiscordRequest, answerCclCommand, InteractionType, InteractionResponseType } from '../../../lib/discord';
+
+// Signature verification needs the exact bytes Discord sent
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+const MAX_BODY_SIZE = 64 * 1024;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    // 1. Verify the request came from Discord
+    const body = await readRawBody(req, MAX_BODY_SIZE);
+    const verified = verifyDiscordRequest({
+      publicKey: process.env.DISCORD_PUBLIC_KEY,
+      signature: req.headers['x-signature-ed25519'],
+      timestamp: req.headers['x-signature-timestamp'],
+      body
+    });
+
+    if (!verified) {
+      return res.status(401).json({ message: 'Invalid request signature' });
+    }
+
+    const interaction = JSON.parse(body.toString('utf8'));
+
+    // 2. Discord pings the endpoint when it is registered
+    if (interaction.type === InteractionType.PING) {
+      return res.status(200).json({ type: InteractionResponseType.PONG });
+    }
+
+    if (interaction.type !== InteractionType.APPLICATION_COMMAND || interaction.data?.name !== 'ccl') {
+      return res.status(400).json({ message: 'Unsupported interaction' });
+    }
+
+    // 3. Answer /ccl <subcommand> from the current season's status
+    const subcommand = interaction.data.options?.[0]?.name;
+    const { season, year } = getCurrentSeason();
+    const status = await getSeasonStatus(season, year);
+
+    return res.status(200).json({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: answerCclCommand(subcommand, { season, year, status }),
+        allowed_mentions: { parse: [] }
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof PayloadTooLargeError) {
+      return res.status(413).json({ message: error.message });
+    }
+    console.error(error);
+    return res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+}
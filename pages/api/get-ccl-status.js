@@ -1,7 +1,7 @@
-import { db } from '../../lib/firebase';
-import { collection, query, where, getDocs } from 'firebase/firestore';
+import { getSeasonStatus } from '../../lib/tournaments';
+import { withAuth } from '../../lib/auth';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ message: 'Method not allowed' });
   }
@@ -13,23 +13,12 @@ export default async function handler(req, res) {
   }
 
   try {
-    const tournamentsRef = collection(db, "ccl-tournament-info");
-    const q = query(tournamentsRef, where("season", "==", season), where("year", "==", year));
-    const querySnapshot = await getDocs(q);
-
-    if (querySnapshot.empty) {
-      return res.status(200).json({ exists: false });
-    }
-
-    const doc = querySnapshot.docs[0].data();
-    
-    return res.status(200).json({
-      exists: true,
-      data: doc
-    });
+    return res.status(200).json(await getSeasonStatus(season, year));
 
   } catch (error) {
     console.error(error);
     return res.status(500).json({ message: 'Internal server error', error: error.message });
   }
 }
+
+export default withAuth(handler, 'member');
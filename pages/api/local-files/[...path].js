@@ -0,0 +1,38 @@
+import { getStore } from '../../../lib/store';
+import { withAuth } from '../../../lib/auth';
+
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  json: 'application/json'
+};
+
+// Serves files saved by the local store; with Firebase they come from Storage download URLs.
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const store = await getStore();
+    if (store.backend !== 'local') {
+      return res.status(404).json({ message: 'Local file storage is not enabled' });
+    }
+
+    const filePath = [].concat(req.query.path || []).join('/');
+    const bytes = await store.files.read(filePath);
+    if (!bytes) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    const extension = filePath.split('.').pop().toLowerCase();
+    res.setHeader('Content-Type', CONTENT_TYPES[extension] || 'application/octet-stream');
+    return res.status(200).send(bytes);
+
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+}
+
+// Rulebook links are opened directly in the browser, without a token
+export default withAuth(handler, 'public');
@@ -0,0 +1,82 @@
+import { getCanonicalRecord, updateSeasonRecord } from '../../lib/tournaments';
+import { storeRulebookVersion } from '../../lib/rulebook-versions';
+import { parseMultipartForm, PayloadTooLargeError } from '../../lib/multipart';
+import { isPdfBytes } from '../../lib/pdf-text';
+import { withAuth } from '../../lib/auth';
+
+export const MAX_PDF_SIZE = 20 * 1024 * 1024;
+
+// The PDF arrives as multipart/form-data, so Next must not parse the body
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    let form;
+    try {
+      // Leave room for the multipart boundaries and text fields
+      form = await parseMultipartForm(req, MAX_PDF_SIZE + 64 * 1024);
+    } catch (e) {
+      if (e instanceof PayloadTooLargeError) {
+        return res.status(413).json({ message: e.message });
+      }
+      return res.status(400).json({ message: 'Malformed multipart upload' });
+    }
+
+    if (!form) {
+      return res.status(415).json({ message: 'Request must be multipart/form-data' });
+    }
+
+    const season = form.get('season');
+    const year = form.get('year');
+    const file = form.get('file');
+
+    if (!season || !year) {
+      return res.status(400).json({ message: 'Season and year are required' });
+    }
+
+    if (!file || typeof file === 'string') {
+      return res.status(400).json({ message: 'A PDF file is required' });
+    }
+
+    if (file.type && file.type !== 'application/pdf') {
+      return res.status(415).json({ message: `Expected application/pdf, got ${file.type}` });
+    }
+
+    if (file.size > MAX_PDF_SIZE) {
+      return res.status(413).json({ message: `PDF exceeds the ${MAX_PDF_SIZE / (1024 * 1024)} MB limit` });
+    }
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    if (!isPdfBytes(bytes)) {
+      return res.status(415).json({ message: 'Uploaded file is not a PDF' });
+    }
+
+    const record = await getCanonicalRecord(season, year);
+
+    if (!record) {
+      return res.status(404).json({ message: `No tournament info found for ${season} ${year}.` });
+    }
+
+    const { pdfStorageUrl, version, changed } = await storeRulebookVersion(record, bytes, { source: 'upload', sourceUrl: file.name || '' });
+    await updateSeasonRecord(record.id, { pdfUploadedFileName: file.name || '' });
+
+    return res.status(200).json({
+      message: changed ? 'PDF uploaded successfully' : 'This PDF is already the current version',
+      updatedDocs: [{ id: record.id, pdfStorageUrl, version: version.version, exists: !changed }]
+    });
+
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+}
+
+export default withAuth(handler, 'officer');
@@ -0,0 +1,239 @@
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { ToastContainer, toast } from 'react-toastify';
+import 'react-toastify/dist/ReactToastify.css';
+import { authFetch } from '../lib/auth-client';
+import { useAuth } from '../components/AuthProvider';
+
+const RESPONSES = ['yes', 'maybe', 'no'];
+
+export default function AvailabilityPage() {
+  const { role } = useAuth();
+  const isOfficer = role === 'officer';
+  const [season, setSeason] = useState('spring');
+  const [year, setYear] = useState('2026');
+  const [rounds, setRounds] = useState([]);
+  const [memberId, setMemberId] = useState('');
+  const [teamFilter, setTeamFilter] = useState('');
+  const [error, setError] = useState('');
+
+  const loadAvailability = useCallback(async () => {
+    setError('');
+    try {
+      const response = await authFetch(`/api/ccl-availability?season=${season}&year=${year}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message);
+      setRounds(data.rounds);
+      // Start on the caller's own roster entry
+      setMemberId(data.memberId || '');
+    } catch (err) {
+      setRounds([]);
+      setError(err.message);
+    }
+  }, [season, year]);
+
+  // Reload once sign-in finishes, since these routes need a token
+  useEffect(() => {
+    loadAvailability();
+  }, [loadAvailability, role]);
+
+  const respond = async (roundId, response) => {
+    try {
+      const res = await authFetch('/api/ccl-availability', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ season, year, memberId, roundId, response }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message);
+      setRounds(data.rounds);
+    } catch (err) {
+      console.error(err);
+      toast.error(err.message);
+    }
+  };
+
+  // The export needs the auth header, so download it as a blob
+  const handleExport = async () => {
+    try {
+      const res = await authFetch(`/api/ccl-availability?season=${season}&year=${year}&format=csv`);
+      if (!res.ok) throw new Error((await res.json()).message);
+
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `ccl-${season}-${year}-availability.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error(err);
+      toast.error(err.message);
+    }
+  };
+
+  // Every round lists the full roster, so the first one gives us the members
+  const members = rounds[0]?.responses || [];
+  const visibleMembers = members.filter(member => !teamFilter || member.team === teamFilter);
+  const responseFor = (round, id) => round.responses.find(response => response.memberId === id);
+
+  return (
+    <div style={{ padding: '2rem', maxWidth: '1100px', margin: '0 auto' }}>
+      <ToastContainer />
+      <h1>CCL Availability</h1>
+      <p><Link href="/roster">Back to Team Roster</Link></p>
+
+      <div style={{ marginBottom: '2rem', display: 'flex', alignItems: 'center', gap: '1rem' }}>
+        <label>
+          Season:
+          <select value={season} onChange={(e) => setSeason(e.target.value)} style={{ marginLeft: '0.5rem', padding: '0.25rem' }}>
+            <option value="fall">Fall</option>
+            <option value="spring">Spring</option>
+          </select>
+        </label>
+        <label>
+          Year:
+          <input type="number" value={year} onChange={(e) => setYear(e.target.value)} min="2025" max="2030" style={{ marginLeft: '0.5rem', width: '80px', padding: '0.25rem' }} />
+        </label>
+      </div>
+
+      {error && <p style={{ color: 'red' }}>{error} Run the search on the CCL page first.</p>}
+
+      {rounds.length > 0 && members.length === 0 && (
+        <p>Add players on the <Link href="/roster">roster page</Link> before collecting availability.</p>
+      )}
+
+      {rounds.length > 0 && members.length > 0 && (
+        <>
+          <h2>My Availability</h2>
+          {isOfficer ? (
+            <label>
+              Answering for:
+              <select value={memberId} onChange={(e) => setMemberId(e.target.value)} style={{ marginLeft: '0.5rem', padding: '0.25rem' }}>
+                <option value="">Choose a player</option>
+                {members.map(member => <option key={member.memberId} value={member.memberId}>{member.username}</option>)}
+              </select>
+            </label>
+          ) : !memberId && (
+            <p>Your email isn&apos;t on the roster yet. Ask an officer to add it so you can answer.</p>
+          )}
+
+          {memberId && (
+            <table style={{ ...tableStyle, marginTop: '1rem' }}>
+              <tbody>
+                {rounds.map(round => {
+                  const mine = responseFor(round, memberId);
+                  return (
+                    <tr key={round.id}>
+                      <td style={cellStyle}>{round.title}</td>
+                      <td style={cellStyle}>{round.isoDate ? new Date(round.isoDate).toLocaleString() : round.date}</td>
+                      <td style={cellStyle}>
+                        {RESPONSES.map(option => (
+                          <button
+                            key={option}
+                            onClick={() => respond(round.id, mine?.response === option ? null : option)}
+                            style={{ ...choiceStyle, ...(mine?.response === option ? responseStyles[option] : {}) }}
+                          >
+                            {option}
+                          </button>
+                        ))}
+                        {mine?.stale && <span style={{ color: '#8a6d3b', marginLeft: '0.5rem' }}>Date changed &mdash; please confirm</span>}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+
+          <h2 style={{ marginTop: '2rem' }}>Team Grid</h2>
+          <div style={{ display: 'flex', gap: '1rem', alignItems: 'center', marginBottom: '1rem' }}>
+            <label>
+              Team:
+              <select value={teamFilter} onChange={(e) => setTeamFilter(e.target.value)} style={{ marginLeft: '0.5rem', padding: '0.25rem' }}>
+                <option value="">All</option>
+                <option value="A">A</option>
+                <option value="B">B</option>
+                <option value="C">C</option>
+              </select>
+            </label>
+            <button onClick={handleExport} style={linkButtonStyle}>
+              Export available players (CSV)
+            </button>
+          </div>
+
+          <div style={{ overflowX: 'auto' }}>
+            <table style={tableStyle}>
+              <thead>
+                <tr>
+                  <th style={cellStyle}>Player</th>
+                  {rounds.map(round => <th key={round.id} style={cellStyle}>{round.title}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {visibleMembers.map(member => (
+                  <tr key={member.memberId}>
+                    <td style={cellStyle}>{member.username}{member.team && ` (${member.team})`}</td>
+                    {rounds.map(round => {
+                      const entry = responseFor(round, member.memberId);
+                      return (
+                        <td key={round.id} style={{ ...cellStyle, ...(entry?.response ? responseStyles[entry.response] : {}) }}>
+                          {entry?.response || '-'}{entry?.stale && ' *'}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+                <tr>
+                  <td style={cellStyle}><strong>Yes / Maybe / No</strong></td>
+                  {rounds.map(round => {
+                    const counted = round.responses.filter(response => !teamFilter || response.team === teamFilter);
+                    const count = (value) => counted.filter(response => response.response === value).length;
+                    return <td key={round.id} style={cellStyle}><strong>{count('yes')} / {count('maybe')} / {count('no')}</strong></td>;
+                  })}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+          <p style={{ fontSize: '0.85rem', color: '#666' }}>* answered before the round&apos;s date changed</p>
+        </>
+      )}
+    </div>
+  );
+}
+
+const tableStyle = {
+    width: '100%',
+    borderCollapse: 'collapse'
+};
+
+const cellStyle = {
+    borderBottom: '1px solid #ddd',
+    padding: '0.4rem',
+    textAlign: 'left',
+    whiteSpace: 'nowrap'
+};
+
+const choiceStyle = {
+    padding: '0.2rem 0.6rem',
+    marginRight: '0.25rem',
+    border: '1px solid #ccc',
+    borderRadius: '4px',
+    background: 'white',
+    cursor: 'pointer'
+};
+
+const responseStyles = {
+    yes: { background: '#e8f5e9', color: '#1b5e20' },
+    maybe: { background: '#fff8e1', color: '#8a6d3b' },
+    no: { background: '#fdecea', color: '#b71c1c' }
+};
+
+const linkButtonStyle = {
+    background: 'none',
+    border: 'none',
+    padding: 0,
+    color: '#007bff',
+    textDecoration: 'underline',
+    cursor: 'pointer',
+    fontSize: '1rem'
+};
@@ -0,0 +1,159 @@
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { ToastContainer, toast } from 'react-toastify';
+import 'react-toastify/dist/ReactToastify.css';
+import { authFetch } from '../lib/auth-client';
+
+export default function CCLAskPage() {
+  const [season, setSeason] = useState('spring');
+  const [year, setYear] = useState('2026');
+  const [question, setQuestion] = useState('');
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Answers belong to one rulebook, so start over when the season changes
+  useEffect(() => {
+    setMessages([]);
+  }, [season, year]);
+
+  const handleAsk = async (e) => {
+    e.preventDefault();
+    const text = question.trim();
+    if (!text) return;
+
+    setMessages(prev => [...prev, { role: 'user', text }]);
+    setQuestion('');
+    setLoading(true);
+
+    try {
+      const response = await authFetch('/api/ask-ccl-question', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ season, year, question: text }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message);
+
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        text: data.answer,
+        citations: data.citations,
+        sourcePages: data.source_pages,
+        pdfStorageUrl: data.pdfStorageUrl
+      }]);
+    } catch (error) {
+      console.error(error);
+      toast.error(error.message);
+      setMessages(prev => [...prev, { role: 'error', text: error.message }]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={{ padding: '2rem', maxWidth: '800px', margin: '0 auto' }}>
+      <ToastContainer />
+      <h1>Ask the CCL Rulebook</h1>
+      <p><Link href="/ccl-search">Back to CCL Tournament Manager</Link></p>
+
+      <div style={{ marginBottom: '2rem', display: 'flex', alignItems: 'center', gap: '1rem' }}>
+        <label>
+          Season:
+          <select value={season} onChange={(e) => setSeason(e.target.value)} style={{ marginLeft: '0.5rem', padding: '0.25rem' }}>
+            <option value="fall">Fall</option>
+            <option value="spring">Spring</option>
+          </select>
+        </label>
+        <label>
+          Year:
+          <input type="number" value={year} onChange={(e) => setYear(e.target.value)} min="2025" max="2030" style={{ marginLeft: '0.5rem', width: '80px', padding: '0.25rem' }} />
+        </label>
+      </div>
+
+      <div style={chatStyle}>
+        {messages.length === 0 && (
+          <p style={{ color: '#888' }}>Ask anything about the {season} {year} rules, e.g. &quot;What is the minimum account age?&quot;</p>
+        )}
+        {messages.map((message, i) => (
+          <div key={i} style={message.role === 'user' ? userMessageStyle : message.role === 'error' ? errorMessageStyle : assistantMessageStyle}>
+            <div style={{ whiteSpace: 'pre-wrap' }}>{message.text}</div>
+            {message.citations && message.citations.length > 0 && (
+              <ul style={{ marginTop: '10px', paddingLeft: '1.2rem' }}>
+                {message.citations.map((citation, j) => (
+                  <li key={j} style={{ marginBottom: '5px' }}>
+                    <a href={`${message.pdfStorageUrl}#page=${citation.page}`} target="_blank" rel="noreferrer">Page {citation.page}</a>
+                    : <em>&ldquo;{citation.quote}&rdquo;</em>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {message.sourcePages && message.sourcePages.length > 0 && (
+              <p style={{ marginTop: '5px', fontSize: '0.8rem', color: '#666' }}>
+                Sources: {message.sourcePages.map(page => `p. ${page}`).join(', ')}
+              </p>
+            )}
+          </div>
+        ))}
+        {loading && <div style={assistantMessageStyle}>Thinking...</div>}
+      </div>
+
+      <form onSubmit={handleAsk} style={{ display: 'flex', gap: '10px', marginTop: '1rem' }}>
+        <input
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder="Ask a question about the rulebook"
+          style={{ flex: 1, padding: '0.5rem', fontSize: '1rem' }}
+        />
+        <button type="submit" disabled={loading || !question.trim()} style={buttonStyle}>
+          Ask
+        </button>
+      </form>
+    </div>
+  );
+}
+
+const chatStyle = {
+    border: '1px solid #ddd',
+    borderRadius: '8px',
+    padding: '1rem',
+    minHeight: '300px',
+    background: 'white'
+};
+
+const messageStyle = {
+    padding: '0.75rem 1rem',
+    borderRadius: '8px',
+    marginBottom: '0.75rem',
+    fontSize: '0.95rem'
+};
+
+const userMessageStyle = {
+    ...messageStyle,
+    background: '#e7f1ff',
+    marginLeft: '20%'
+};
+
+const assistantMessageStyle = {
+    ...messageStyle,
+    background: '#f8f9fa',
+    border: '1px solid #eee',
+    marginRight: '20%'
+};
+
+const errorMessageStyle = {
+    ...messageStyle,
+    background: '#fdecea',
+    color: '#b71c1c',
+    marginRight: '20%'
+};
+
+const buttonStyle = {
+    padding: '0.5rem 1rem',
+    background: '#007bff',
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '1rem'
+};
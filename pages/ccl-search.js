@@ -1,23 +1,40 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
+import RulebookVersions from '../components/RulebookVersions';
+import SeasonCandidates from '../components/SeasonCandidates';
+import TournamentInfoEditor from '../components/TournamentInfoEditor';
+import ScheduleTable from '../components/ScheduleTable';
+import Citation from '../components/Citation';
+import { authFetch } from '../lib/auth-client';
+import { useAuth } from '../components/AuthProvider';
 
 export default function CCLSearchPage() {
   const [season, setSeason] = useState('spring');
   const [year, setYear] = useState('2026');
+  const { user, role, loading: authLoading } = useAuth();
+  const isOfficer = role === 'officer';
   
   // Step 1: Search
   const [searchStatus, setSearchStatus] = useState('idle'); // idle, loading, success, error
   const [searchData, setSearchData] = useState(null);
+  const [provider, setProvider] = useState('perplexity');
+  const [providers, setProviders] = useState([]);
+  const [manualUrls, setManualUrls] = useState('');
 
   // Step 2: Upload PDF
   const [uploadStatus, setUploadStatus] = useState('idle');
   const [uploadData, setUploadData] = useState(null);
+  const [pdfFile, setPdfFile] = useState(null);
 
   // Step 3: Extract Info
   const [extractStatus, setExtractStatus] = useState('idle');
   const [extractData, setExtractData] = useState(null);
 
+  // Full pipeline job (all three steps on the server)
+  const [job, setJob] = useState(null);
+  const [statusVersion, setStatusVersion] = useState(0);
+
   useEffect(() => {
     const checkStatus = async () => {
         // Reset states
@@ -29,7 +46,7 @@ export default function CCLSearchPage() {
         setExtractData(null);
 
         try {
-            const res = await fetch(`/api/get-ccl-status?season=${season}&year=${year}`);
+            const res = await authFetch(`/api/get-ccl-status?season=${season}&year=${year}`);
             const data = await res.json();
             
             if (data.exists) {
@@ -46,7 +63,13 @@ export default function CCLSearchPage() {
                 // Step 3 check
                 if (data.data.tournamentInfo) {
                     setExtractStatus('success');
-                    setExtractData({ tournamentInfo: data.data.tournamentInfo });
+                    setExtractData({
+                        tournamentInfo: data.data.tournamentInfo,
+                        validationErrors: data.data.validationErrors,
+                        citations: data.data.citations,
+                        pdfStorageUrl: data.data.pdfStorageUrl,
+                        usage: data.data.extractionUsage
+                    });
                 }
             }
         } catch (e) {
@@ -54,16 +77,79 @@ export default function CCLSearchPage() {
         }
     };
 
-    checkStatus();
+    // Status is members-only, so wait for sign-in before asking
+    if (!authLoading) checkStatus();
+  }, [season, year, role, authLoading, statusVersion]);
+
+  // Only the providers this server allows (fixtures need the local backend)
+  useEffect(() => {
+    if (!isOfficer) return;
+    authFetch('/api/ccl-discovery-providers')
+      .then(res => res.json())
+      .then(data => {
+        setProviders(data.providers);
+        setProvider(data.defaultProvider);
+      })
+      .catch(e => console.error("Error loading discovery providers", e));
+  }, [isOfficer]);
+
+  const loadJob = useCallback(async () => {
+    try {
+      const res = await authFetch(`/api/ccl-pipeline-job?season=${season}&year=${year}`);
+      if (!res.ok) return setJob(null);
+      const data = await res.json();
+      setJob(data.job);
+      return data.job;
+    } catch (e) {
+      console.error("Error loading pipeline job", e);
+    }
   }, [season, year]);
 
+  useEffect(() => {
+    if (!authLoading) loadJob();
+  }, [loadJob, role, authLoading]);
+
+  // Poll while the job runs, then refresh the steps from the saved record
+  useEffect(() => {
+    if (!job?.active) return;
+    const timer = setTimeout(async () => {
+      const latest = await loadJob();
+      if (latest && !latest.active) {
+        setStatusVersion(v => v + 1);
+        if (latest.status === 'succeeded') toast.success('All steps completed!');
+        else toast.error(latest.error || 'Pipeline job failed');
+      }
+    }, JOB_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [job, loadJob]);
+
+  const startJob = async (body) => {
+    try {
+      const response = await authFetch('/api/ccl-pipeline-job', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message);
+      setJob(data.job);
+    } catch (error) {
+      console.error(error);
+      toast.error(error.message);
+    }
+  };
+
+  const handleRunAll = () => startJob({ season, year, provider, urls: provider === 'manual' ? manualUrls : undefined });
+
+  const handleResume = () => startJob({ id: job.id, action: 'resume' });
+
   const handleSearch = async () => {
     setSearchStatus('loading');
     try {
-      const response = await fetch('/api/run-ccl-search', {
+      const response = await authFetch('/api/run-ccl-search', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ season, year }),
+        body: JSON.stringify({ season, year, provider, urls: provider === 'manual' ? manualUrls : undefined }),
       });
       const data = await response.json();
       if (!response.ok) throw new Error(data.message);
@@ -88,7 +174,7 @@ export default function CCLSearchPage() {
   const handleUpload = async () => {
     setUploadStatus('loading');
     try {
-      const response = await fetch('/api/upload-ccl-pdf', {
+      const response = await authFetch('/api/upload-ccl-pdf', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ season, year }),
@@ -97,6 +183,13 @@ export default function CCLSearchPage() {
       if (!response.ok) throw new Error(data.message);
 
       setUploadData(data);
+
+      if (data.needsManualUpload) {
+        setUploadStatus('idle');
+        toast.info(data.message);
+        return;
+      }
+
       setUploadStatus('success');
       
       const alreadyExists = data.updatedDocs.some(doc => doc.exists);
@@ -109,10 +202,46 @@ export default function CCLSearchPage() {
     }
   };
 
+  const handleFileUpload = async () => {
+    if (!pdfFile) return;
+    if (pdfFile.type && pdfFile.type !== 'application/pdf') {
+      toast.error('Please choose a PDF file.');
+      return;
+    }
+    if (pdfFile.size > MAX_PDF_SIZE) {
+      toast.error('PDF is larger than 20 MB.');
+      return;
+    }
+
+    setUploadStatus('loading');
+    try {
+      const formData = new FormData();
+      formData.append('season', season);
+      formData.append('year', year);
+      formData.append('file', pdfFile);
+
+      const response = await authFetch('/api/upload-ccl-pdf-file', {
+        method: 'POST',
+        body: formData,
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message);
+
+      setUploadData(data);
+      setUploadStatus('success');
+      setPdfFile(null);
+      toast.success('PDF uploaded successfully!');
+    } catch (error) {
+      console.error(error);
+      setUploadStatus('error');
+      toast.error(error.message);
+    }
+  };
+
   const handleExtract = async () => {
     setExtractStatus('loading');
     try {
-      const response = await fetch('/api/extract-ccl-info', {
+      const response = await authFetch('/api/extract-ccl-info', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ season, year }),
@@ -122,7 +251,11 @@ export default function CCLSearchPage() {
 
       setExtractData(data);
       setExtractStatus('success');
-      toast.success('Info extracted and saved!');
+      if (data.validationErrors && data.validationErrors.length > 0) {
+        toast.warn(`Info saved with ${data.validationErrors.length} validation problem(s).`);
+      } else {
+        toast.success('Info extracted and saved!');
+      }
     } catch (error) {
       console.error(error);
       setExtractStatus('error');
@@ -149,13 +282,80 @@ export default function CCLSearchPage() {
         </label>
       </div>
 
+      {!authLoading && role !== 'officer' && (
+        <div style={warningStyle}>
+          {!user ? 'Sign in to see season data. Only officers can run the steps below.'
+            : role === 'member' ? 'Read-only: only officers can run the steps below.'
+            : `${user.email} is not a club member. Sign in with your club account to see season data.`}
+        </div>
+      )}
+
+      {(isOfficer || job) && (
+        <div style={stepStyle}>
+          <div style={headerStyle}>
+            <h3>Run All Steps</h3>
+            {isOfficer && (
+              <button onClick={handleRunAll} disabled={job?.active} style={{ ...buttonStyle, opacity: job?.active ? 0.6 : 1 }}>
+                {job?.active ? 'Running...' : 'Run All Steps'}
+              </button>
+            )}
+            {isOfficer && job && !job.active && job.status !== 'succeeded' && (
+              <button onClick={handleResume} style={{ ...buttonStyle, background: '#6c757d' }}>
+                Resume
+              </button>
+            )}
+          </div>
+          <p style={{ fontSize: '0.9rem', color: '#666', margin: 0 }}>
+            Searches with the discovery source chosen in Step 1, then downloads and extracts the rulebook on the server. You can leave this page while it runs.
+          </p>
+          {job && (
+            <div style={resultStyle}>
+              <div style={{ marginBottom: '0.5rem' }}>
+                <strong>{jobStatusLabel(job)}</strong>
+                {' '}&middot; started by {job.createdBy || 'unknown'} {formatTime(job.createdAt)}
+                {job.resumedBy && <> &middot; resumed by {job.resumedBy} {formatTime(job.resumedAt)}</>}
+              </div>
+              <ol style={{ margin: 0, paddingLeft: '1.5rem' }}>
+                {JOB_STEPS.map(({ name, label }) => {
+                  const step = job.steps?.[name] || {};
+                  return (
+                    <li key={name} style={{ marginBottom: '0.25rem' }}>
+                      {label}: <span style={{ color: STEP_COLORS[step.status] || '#666' }}>{step.status || 'pending'}</span>
+                      {step.durationMs != null && ` (${(step.durationMs / 1000).toFixed(1)}s)`}
+                      {step.error && <div style={{ color: '#dc3545' }}>{step.error}</div>}
+                    </li>
+                  );
+                })}
+              </ol>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Step 1 */}
       <div style={stepStyle}>
         <div style={headerStyle}>
           <input type="checkbox" checked={searchStatus === 'success'} readOnly style={{ transform: 'scale(1.5)' }} />
           <h3>Step 1: Search & Save Metadata</h3>
         </div>
-        <button onClick={handleSearch} disabled={searchStatus === 'loading'} style={buttonStyle}>
+        <div style={{ marginBottom: '1rem' }}>
+          <label>
+            Discovery:
+            <select value={provider} onChange={(e) => setProvider(e.target.value)} style={{ marginLeft: '0.5rem', padding: '0.25rem' }}>
+              {providers.map(({ name, label }) => <option key={name} value={name}>{label}</option>)}
+            </select>
+          </label>
+          {provider === 'manual' && (
+            <textarea
+              value={manualUrls}
+              onChange={(e) => setManualUrls(e.target.value)}
+              placeholder="One chess.com announcement URL per line"
+              rows={3}
+              style={{ display: 'block', width: '100%', marginTop: '0.5rem', padding: '0.25rem' }}
+            />
+          )}
+        </div>
+        <button onClick={handleSearch} disabled={!isOfficer || searchStatus === 'loading'} style={buttonStyle}>
           {searchStatus === 'loading' ? 'Searching...' : 'Run Search'}
         </button>
         {searchData && (
@@ -169,6 +369,9 @@ export default function CCLSearchPage() {
                 ))}
             </div>
         )}
+        {searchStatus === 'success' && (
+          <SeasonCandidates season={season} year={year} canEdit={isOfficer} onChange={() => setStatusVersion(v => v + 1)} />
+        )}
       </div>
 
       {/* Step 2 */}
@@ -179,13 +382,26 @@ export default function CCLSearchPage() {
         </div>
         <button 
             onClick={handleUpload} 
-            disabled={uploadStatus === 'loading'} 
+            disabled={!isOfficer || uploadStatus === 'loading'} 
             style={buttonStyle}
         >
           {uploadStatus === 'loading' ? 'Uploading...' : 'Upload PDF'}
         </button>
+        <div style={{ marginTop: '1rem', display: 'flex', alignItems: 'center', gap: '10px' }}>
+          <span>or attach the rulebook:</span>
+          <input type="file" accept="application/pdf,.pdf" onChange={(e) => setPdfFile(e.target.files[0] || null)} />
+          <button onClick={handleFileUpload} disabled={!isOfficer || !pdfFile || uploadStatus === 'loading'} style={buttonStyle}>
+            Upload File
+          </button>
+        </div>
         {uploadData && (
             <div style={resultStyle}>
+                {uploadData.needsManualUpload && <p>{uploadData.message}</p>}
+                {uploadData.failedDocs && uploadData.failedDocs.map((doc, i) => (
+                    <p key={`failed-${i}`} style={{color: '#b71c1c'}}>
+                        Could not download <a href={doc.pdf} target="_blank" rel="noreferrer">rulebook link</a>: {doc.error}
+                    </p>
+                ))}
                 {uploadData.updatedDocs.map((doc, i) => (
                     <div key={i}>
                         <p><strong>Status:</strong> {doc.exists ? <span style={{color: 'green'}}>(already exists)</span> : 'New PDF uploaded'}</p>
@@ -196,6 +412,7 @@ export default function CCLSearchPage() {
                 ))}
             </div>
         )}
+        {uploadStatus === 'success' && <RulebookVersions season={season} year={year} canCheck={isOfficer} />}
       </div>
 
       {/* Step 3 */}
@@ -206,19 +423,63 @@ export default function CCLSearchPage() {
         </div>
         <button 
             onClick={handleExtract} 
-            disabled={extractStatus === 'loading'} 
+            disabled={!isOfficer || extractStatus === 'loading'} 
             style={buttonStyle}
         >
           {extractStatus === 'loading' ? 'Extracting...' : extractStatus === 'success' ? 'Extract Again' : 'Extract Info'}
         </button>
         {extractData && (
             <div style={resultStyle}>
+                {extractData.validationErrors && extractData.validationErrors.length > 0 && (
+                    <div style={warningStyle}>
+                        <strong>Validation problems (please double-check against the PDF):</strong>
+                        <ul style={{margin: '5px 0 0', paddingLeft: '1.2rem'}}>
+                            {extractData.validationErrors.map((error, i) => <li key={i}>{error}</li>)}
+                        </ul>
+                    </div>
+                )}
+                {extractData.preservedFields && extractData.preservedFields.length > 0 && (
+                    <div style={warningStyle}>
+                        <strong>Kept your manual edits</strong> for {extractData.preservedFields.map(({ field }) => field).join(', ')}.
+                        {' '}The new extraction found different values; use &quot;Use Extracted Value&quot; below to take them.
+                    </div>
+                )}
+                {extractData.usage && (
+                    <p style={{ fontSize: '0.85rem', color: '#666', marginTop: 0 }}>
+                        Read {Object.entries(extractData.usage.byTask).map(([name, task]) => `${TASK_LABELS[name] || name} from ${task.sections.join(', ')}`).join('; ')}.
+                        {' '}Used {extractData.usage.totalTokens.toLocaleString()} tokens ({extractData.usage.inputTokens.toLocaleString()} in, {extractData.usage.outputTokens.toLocaleString()} out) in {extractData.usage.calls} calls.
+                    </p>
+                )}
+                <ScheduleTable tournamentInfo={extractData.tournamentInfo} citations={extractData.citations || {}} pdfUrl={extractData.pdfStorageUrl} />
+                {extractData.tournamentInfo.requirements && (
+                    <ul style={{ margin: '0 0 10px', paddingLeft: '1.2rem' }}>
+                        {REQUIREMENT_LABELS.map(([field, label]) => (
+                            <li key={field}>
+                                {label}: <strong>{extractData.tournamentInfo.requirements[field] ?? 'unknown'}</strong>
+                                <Citation citation={extractData.citations?.[`requirements › ${field}`]} pdfUrl={extractData.pdfStorageUrl} />
+                            </li>
+                        ))}
+                    </ul>
+                )}
+                <TournamentInfoEditor
+                    season={season}
+                    year={year}
+                    tournamentInfo={extractData.tournamentInfo}
+                    canEdit={isOfficer}
+                    onSaved={(data) => setExtractData(current => ({ ...current, tournamentInfo: data.tournamentInfo, validationErrors: data.validationErrors, citations: data.citations }))}
+                />
                 <details>
                     <summary style={{cursor: 'pointer', fontWeight: 'bold'}}>View Extracted JSON</summary>
                     <pre style={{background: '#f4f4f4', padding: '10px', overflow: 'auto', maxHeight: '300px', marginTop: '10px'}}>
                         {JSON.stringify(extractData.tournamentInfo, null, 2)}
                     </pre>
                 </details>
+                <p style={{marginTop: '10px'}}>
+                    <a href={`/api/ccl-calendar?season=${season}&year=${year}`}>Download Calendar (.ics)</a>
+                    {typeof window !== 'undefined' && (
+                        <span> | <a href={`webcal://${window.location.host}/api/ccl-calendar?season=${season}&year=${year}`}>Subscribe</a></span>
+                    )}
+                </p>
             </div>
         )}
       </div>
@@ -227,6 +488,54 @@ export default function CCLSearchPage() {
   );
 }
 
+const MAX_PDF_SIZE = 20 * 1024 * 1024;
+
+const JOB_POLL_MS = 2000;
+
+// Parts of the extraction, as named in EXTRACTION_TASKS (lib/pipeline/extract.js)
+const TASK_LABELS = {
+    logistics: 'logistics',
+    regular_season: 'regular season',
+    playoffs: 'playoffs',
+    requirements: 'requirements'
+};
+
+const REQUIREMENT_LABELS = [
+    ['minimum_account_age', 'Minimum account age (days)'],
+    ['minimum_games', 'Minimum rated blitz games']
+];
+
+// Mirrors PIPELINE_STEPS in lib/pipeline/jobs.js
+const JOB_STEPS = [
+    { name: 'search', label: 'Search' },
+    { name: 'upload', label: 'Upload PDF' },
+    { name: 'extract', label: 'Extract Info' }
+];
+
+const JOB_STATUS_LABELS = {
+    queued: 'Queued',
+    running: 'Running',
+    succeeded: 'Completed',
+    failed: 'Failed'
+};
+
+const STEP_COLORS = {
+    running: '#007bff',
+    succeeded: '#28a745',
+    failed: '#dc3545'
+};
+
+// A job left running by a server that stopped is shown as interrupted
+function jobStatusLabel(job) {
+    if (job.active) return JOB_STATUS_LABELS.running;
+    if (job.status === 'running' || job.status === 'queued') return 'Interrupted';
+    return JOB_STATUS_LABELS[job.status] || job.status;
+}
+
+function formatTime(iso) {
+    return iso ? new Date(iso).toLocaleString() : '';
+}
+
 const stepStyle = {
     border: '1px solid #ddd',
     borderRadius: '8px',
@@ -261,3 +570,12 @@ const resultStyle = {
     fontSize: '0.9rem',
     border: '1px solid #eee'
 };
+
+const warningStyle = {
+    marginBottom: '10px',
+    padding: '0.75rem',
+    background: '#fff8e1',
+    border: '1px solid #ffe082',
+    borderRadius: '4px',
+    color: '#795548'
+};
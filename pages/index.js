@@ -32,6 +32,21 @@ export default function Home() {
               Go to CCL Search Page
             </Link>
           </div>
+          <div style={{ marginTop: '1rem' }}>
+            <Link href="/ccl-ask" style={{ fontSize: '1.2rem', color: '#007bff', textDecoration: 'underline' }}>
+              Ask the CCL Rulebook
+            </Link>
+          </div>
+          <div style={{ marginTop: '1rem' }}>
+            <Link href="/roster" style={{ fontSize: '1.2rem', color: '#007bff', textDecoration: 'underline' }}>
+              Manage Team Roster
+            </Link>
+          </div>
+          <div style={{ marginTop: '1rem' }}>
+            <Link href="/results" style={{ fontSize: '1.2rem', color: '#007bff', textDecoration: 'underline' }}>
+              Results &amp; Standings
+            </Link>
+          </div>
         </main>
       </div>
     </>
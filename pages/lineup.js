@@ -0,0 +1,292 @@
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { ToastContainer, toast } from 'react-toastify';
+import 'react-toastify/dist/ReactToastify.css';
+import { authFetch } from '../lib/auth-client';
+import { useAuth } from '../components/AuthProvider';
+
+const TEAMS = ['A', 'B', 'C'];
+
+export default function LineupPage() {
+  const { role } = useAuth();
+  const [season, setSeason] = useState('spring');
+  const [year, setYear] = useState('2026');
+  const [team, setTeam] = useState('A');
+  const [rounds, setRounds] = useState([]);
+  const [roundId, setRoundId] = useState('');
+  const [rosterLock, setRosterLock] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [usernames, setUsernames] = useState('');
+  const [boards, setBoards] = useState([]);
+  const [substitutes, setSubstitutes] = useState([]);
+  const [warnings, setWarnings] = useState([]);
+  const [savedAt, setSavedAt] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadSeason = useCallback(async () => {
+    setError('');
+    try {
+      const [lineupResponse, rosterResponse] = await Promise.all([
+        authFetch(`/api/ccl-lineup?season=${season}&year=${year}`),
+        authFetch(`/api/ccl-roster?season=${season}&year=${year}`)
+      ]);
+      const data = await lineupResponse.json();
+      if (!lineupResponse.ok) throw new Error(data.message);
+      const roster = rosterResponse.ok ? await rosterResponse.json() : { roster: { members: [] } };
+
+      setRounds(data.rounds);
+      setRosterLock(data.rosterLock);
+      setMembers(roster.roster.members);
+      setRoundId(current => data.rounds.some(r => r.id === current) ? current : data.rounds[0]?.id || '');
+    } catch (err) {
+      setRounds([]);
+      setError(err.message);
+    }
+  }, [season, year]);
+
+  // Reload once sign-in finishes, since these routes need a token
+  useEffect(() => {
+    loadSeason();
+  }, [loadSeason, role]);
+
+  // Load the saved lineup for the selected team and round
+  useEffect(() => {
+    if (!roundId) return;
+    const loadLineup = async () => {
+      const response = await authFetch(`/api/ccl-lineup?season=${season}&year=${year}&team=${team}&roundId=${roundId}`);
+      const data = await response.json();
+      if (!response.ok) return;
+      setBoards(data.lineup?.boards || []);
+      setSubstitutes(data.lineup?.substitutes || []);
+      setWarnings(data.lineup?.warnings || []);
+      setSavedAt(data.lineup?.updatedAt || null);
+    };
+    loadLineup().catch(console.error);
+  }, [season, year, team, roundId]);
+
+  const fillFromRoster = () => {
+    setUsernames(members.filter(member => member.team === team).map(member => member.username).join('\n'));
+  };
+
+  const sendLineup = async (method, body) => {
+    setLoading(true);
+    try {
+      const response = await authFetch('/api/ccl-lineup', {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ season, year, team, roundId, ...body }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message);
+      return data;
+    } catch (err) {
+      console.error(err);
+      toast.error(err.message);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePropose = async () => {
+    const list = usernames.split(/[\s,]+/).filter(Boolean);
+    const data = await sendLineup('POST', { usernames: list });
+    if (!data) return;
+
+    setBoards(data.boards);
+    setSubstitutes(data.substitutes);
+    setWarnings(data.warnings);
+    data.boards.concat(data.substitutes)
+      .filter(player => player.error)
+      .forEach(player => toast.warn(`${player.username}: ${player.error}`));
+  };
+
+  const handleSave = async () => {
+    const data = await sendLineup('PUT', { boards, substitutes });
+    if (!data) return;
+
+    setWarnings(data.lineup.warnings);
+    setSavedAt(data.lineup.updatedAt);
+    toast.success('Lineup saved');
+  };
+
+  const moveBoard = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= boards.length) return;
+    const next = [...boards];
+    [next[index], next[target]] = [next[target], next[index]];
+    setBoards(next.map((player, i) => ({ ...player, board: i + 1 })));
+  };
+
+  const benchPlayer = (index) => {
+    setSubstitutes([...substitutes, boards[index]]);
+    setBoards(boards.filter((_, i) => i !== index).map((player, i) => ({ ...player, board: i + 1 })));
+  };
+
+  const startPlayer = (index) => {
+    setBoards([...boards, { ...substitutes[index], board: boards.length + 1 }]);
+    setSubstitutes(substitutes.filter((_, i) => i !== index));
+  };
+
+  const selectedRound = rounds.find(r => r.id === roundId);
+  const afterLock = Boolean(selectedRound?.isoDate && rosterLock && selectedRound.isoDate > rosterLock);
+
+  return (
+    <div style={{ padding: '2rem', maxWidth: '800px', margin: '0 auto' }}>
+      <ToastContainer />
+      <h1>CCL Lineup Builder</h1>
+      <p><Link href="/roster">Back to Team Roster</Link></p>
+
+      <div style={{ marginBottom: '2rem', display: 'flex', alignItems: 'center', gap: '1rem', flexWrap: 'wrap' }}>
+        <label>
+          Season:
+          <select value={season} onChange={(e) => setSeason(e.target.value)} style={{ marginLeft: '0.5rem', padding: '0.25rem' }}>
+            <option value="fall">Fall</option>
+            <option value="spring">Spring</option>
+          </select>
+        </label>
+        <label>
+          Year:
+          <input type="number" value={year} onChange={(e) => setYear(e.target.value)} min="2025" max="2030" style={{ marginLeft: '0.5rem', width: '80px', padding: '0.25rem' }} />
+        </label>
+        <label>
+          Team:
+          <select value={team} onChange={(e) => setTeam(e.target.value)} style={{ marginLeft: '0.5rem', padding: '0.25rem' }}>
+            {TEAMS.map(t => <option key={t} value={t}>{t}</option>)}
+          </select>
+        </label>
+        <label>
+          Round:
+          <select value={roundId} onChange={(e) => setRoundId(e.target.value)} style={{ marginLeft: '0.5rem', padding: '0.25rem' }}>
+            {rounds.map(r => <option key={r.id} value={r.id}>{r.title}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {error && <p style={{ color: 'red' }}>{error} Run the search on the CCL page first.</p>}
+
+      {selectedRound && (
+        <p style={{ color: '#555' }}>
+          {selectedRound.title}: {selectedRound.isoDate ? new Date(selectedRound.isoDate).toLocaleString() : selectedRound.date}
+          {afterLock && <strong> &mdash; after Roster Lock</strong>}
+        </p>
+      )}
+
+      {selectedRound && (
+        <div style={{ marginBottom: '1.5rem' }}>
+          <textarea
+            value={usernames}
+            onChange={(e) => setUsernames(e.target.value)}
+            placeholder="chess.com usernames, one per line"
+            rows={6}
+            style={{ width: '100%', padding: '0.5rem', fontFamily: 'monospace' }}
+          />
+          <div style={{ display: 'flex', gap: '10px', marginTop: '0.5rem' }}>
+            <button onClick={fillFromRoster} style={secondaryButtonStyle}>Use Team {team} Roster</button>
+            <button onClick={handlePropose} disabled={loading || !usernames.trim()} style={buttonStyle}>
+              {loading ? 'Looking up ratings...' : 'Propose Board Order'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {warnings.length > 0 && (
+        <div style={warningStyle}>
+          <strong>Roster Lock warnings</strong>
+          <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.2rem' }}>
+            {warnings.map((warning, i) => <li key={i}>{warning}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {(boards.length > 0 || substitutes.length > 0) && (
+        <>
+          <h3>Boards</h3>
+          <table style={tableStyle}>
+            <tbody>
+              {boards.map((player, i) => (
+                <tr key={player.username}>
+                  <td style={cellStyle}>Board {player.board}</td>
+                  <td style={cellStyle}>{player.username}</td>
+                  <td style={cellStyle}>{player.rating ?? 'unrated'}</td>
+                  <td style={cellStyle}>
+                    <button onClick={() => moveBoard(i, -1)} disabled={i === 0} style={smallButtonStyle}>&uarr;</button>
+                    <button onClick={() => moveBoard(i, 1)} disabled={i === boards.length - 1} style={smallButtonStyle}>&darr;</button>
+                    <button onClick={() => benchPlayer(i)} style={smallButtonStyle}>Substitute</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h3>Substitutes</h3>
+          {substitutes.length === 0 ? <p style={{ color: '#888' }}>None.</p> : (
+            <table style={tableStyle}>
+              <tbody>
+                {substitutes.map((player, i) => (
+                  <tr key={player.username}>
+                    <td style={cellStyle}>{player.username}</td>
+                    <td style={cellStyle}>{player.rating ?? 'unrated'}</td>
+                    <td style={cellStyle}>
+                      <button onClick={() => startPlayer(i)} style={smallButtonStyle}>Add to boards</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <button onClick={handleSave} disabled={loading || boards.length === 0} style={{ ...buttonStyle, marginTop: '1rem' }}>
+            Save Lineup
+          </button>
+          {savedAt && <span style={{ marginLeft: '1rem', color: '#666' }}>Last saved {new Date(savedAt).toLocaleString()}</span>}
+        </>
+      )}
+    </div>
+  );
+}
+
+const tableStyle = {
+    width: '100%',
+    borderCollapse: 'collapse'
+};
+
+const cellStyle = {
+    borderBottom: '1px solid #ddd',
+    padding: '0.4rem',
+    textAlign: 'left'
+};
+
+const warningStyle = {
+    padding: '0.75rem 1rem',
+    marginBottom: '1.5rem',
+    borderRadius: '4px',
+    background: '#fff8e1',
+    color: '#8a6d3b',
+    border: '1px solid #ffe082'
+};
+
+const buttonStyle = {
+    padding: '0.5rem 1rem',
+    background: '#007bff',
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '1rem'
+};
+
+const secondaryButtonStyle = {
+    ...buttonStyle,
+    background: '#6c757d'
+};
+
+const smallButtonStyle = {
+    padding: '0.2rem 0.5rem',
+    marginRight: '0.25rem',
+    border: '1px solid #ccc',
+    borderRadius: '4px',
+    background: 'white',
+    cursor: 'pointer'
+};
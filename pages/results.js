@@ -0,0 +1,304 @@
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { ToastContainer, toast } from 'react-toastify';
+import 'react-toastify/dist/ReactToastify.css';
+import { authFetch } from '../lib/auth-client';
+import { useAuth } from '../components/AuthProvider';
+
+const TEAMS = ['A', 'B', 'C'];
+const DEFAULT_BOARDS = 4;
+
+const blankBoard = (board) => ({
+  board,
+  player: '',
+  games: [{ color: 'white', result: 'win' }, { color: 'black', result: 'win' }]
+});
+
+const blankMatch = () => ({
+  opponent: '',
+  boards: Array.from({ length: DEFAULT_BOARDS }, (_, i) => blankBoard(i + 1))
+});
+
+export default function ResultsPage() {
+  const { role } = useAuth();
+  const [season, setSeason] = useState('spring');
+  const [year, setYear] = useState('2026');
+  const [data, setData] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [error, setError] = useState('');
+  const [team, setTeam] = useState('A');
+  const [round, setRound] = useState('');
+  const [match, setMatch] = useState(blankMatch());
+  const [saving, setSaving] = useState(false);
+
+  const loadResults = useCallback(async () => {
+    setError('');
+    try {
+      const [resultsResponse, rosterResponse] = await Promise.all([
+        authFetch(`/api/ccl-results?season=${season}&year=${year}`),
+        authFetch(`/api/ccl-roster?season=${season}&year=${year}`)
+      ]);
+      const results = await resultsResponse.json();
+      if (!resultsResponse.ok) throw new Error(results.message);
+      const roster = rosterResponse.ok ? await rosterResponse.json() : { roster: { members: [] } };
+
+      setData(results);
+      setMembers(roster.roster.members);
+      setRound(current => results.rounds.includes(current) ? current : results.rounds[0] || '');
+    } catch (err) {
+      setData(null);
+      setError(err.message);
+    }
+  }, [season, year]);
+
+  // Reload once sign-in finishes, since these routes need a token
+  useEffect(() => {
+    loadResults();
+  }, [loadResults, role]);
+
+  // Show the saved match when switching team or round
+  useEffect(() => {
+    const saved = data?.results?.[team]?.[round];
+    setMatch(saved ? { opponent: saved.opponent, boards: saved.boards } : blankMatch());
+  }, [data, team, round]);
+
+  const updateBoard = (index, changes) => {
+    setMatch(prev => ({
+      ...prev,
+      boards: prev.boards.map((board, i) => i === index ? { ...board, ...changes } : board)
+    }));
+  };
+
+  const updateGame = (boardIndex, gameIndex, changes) => {
+    const board = match.boards[boardIndex];
+    updateBoard(boardIndex, { games: board.games.map((game, i) => i === gameIndex ? { ...game, ...changes } : game) });
+  };
+
+  const sendResults = async (method, body) => {
+    setSaving(true);
+    try {
+      const response = await authFetch('/api/ccl-results', {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ season, year, team, round, ...body }),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.message);
+      setData(result);
+      return true;
+    } catch (err) {
+      console.error(err);
+      toast.error(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const boards = match.boards.filter(board => board.player.trim());
+    if (await sendResults('PUT', { match: { ...match, boards } })) {
+      toast.success(`Saved team ${team} result for ${round}`);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (window.confirm(`Delete team ${team}'s result for ${round}?`)) {
+      if (await sendResults('DELETE', {})) toast.success('Result deleted');
+    }
+  };
+
+  const teamMembers = members.filter(member => member.team === team);
+
+  return (
+    <div style={{ padding: '2rem', maxWidth: '900px', margin: '0 auto' }}>
+      <ToastContainer />
+      <h1>CCL Results &amp; Standings</h1>
+      <p><Link href="/ccl-search">Back to CCL Tournament Manager</Link></p>
+
+      <div style={{ marginBottom: '2rem', display: 'flex', alignItems: 'center', gap: '1rem' }}>
+        <label>
+          Season:
+          <select value={season} onChange={(e) => setSeason(e.target.value)} style={{ marginLeft: '0.5rem', padding: '0.25rem' }}>
+            <option value="fall">Fall</option>
+            <option value="spring">Spring</option>
+          </select>
+        </label>
+        <label>
+          Year:
+          <input type="number" value={year} onChange={(e) => setYear(e.target.value)} min="2025" max="2030" style={{ marginLeft: '0.5rem', width: '80px', padding: '0.25rem' }} />
+        </label>
+      </div>
+
+      {error && <p style={{ color: 'red' }}>{error} Run the search on the CCL page first.</p>}
+
+      {data && data.rounds.length === 0 && (
+        <p>No regular season rounds have been extracted for this season yet.</p>
+      )}
+
+      {data && data.rounds.length > 0 && (
+        <>
+          <h2>Standings</h2>
+          {data.standings.length === 0 ? (
+            <p style={{ color: '#888' }}>No results entered yet.</p>
+          ) : (
+            <table style={tableStyle}>
+              <thead>
+                <tr>
+                  <th style={cellStyle}>Team</th>
+                  <th style={cellStyle}>Played</th>
+                  <th style={cellStyle}>W-D-L</th>
+                  <th style={cellStyle}>Match Pts</th>
+                  <th style={cellStyle}>Game Pts</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.standings.map(row => (
+                  <tr key={row.team}>
+                    <td style={cellStyle}>Team {row.team}</td>
+                    <td style={cellStyle}>{row.played}</td>
+                    <td style={cellStyle}>{row.wins}-{row.draws}-{row.losses}</td>
+                    <td style={cellStyle}>{row.matchPoints}</td>
+                    <td style={cellStyle}>{row.gamePoints}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {data.standings.map(row => (
+            <div key={row.team} style={{ marginTop: '1.5rem' }}>
+              <h3>Team {row.team}</h3>
+              <ul style={{ paddingLeft: '1.2rem' }}>
+                {row.rounds.map(result => (
+                  <li key={result.round}>
+                    {result.round} vs {result.opponent}: {result.gamePoints}&ndash;{result.opponentGamePoints} ({result.outcome})
+                  </li>
+                ))}
+              </ul>
+              <table style={tableStyle}>
+                <thead>
+                  <tr>
+                    <th style={cellStyle}>Player</th>
+                    <th style={cellStyle}>Score</th>
+                    <th style={cellStyle}>As White</th>
+                    <th style={cellStyle}>As Black</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {row.players.map(player => (
+                    <tr key={player.player}>
+                      <td style={cellStyle}>{player.player}</td>
+                      <td style={cellStyle}>{player.points}/{player.games}</td>
+                      <td style={cellStyle}>{player.white.points}/{player.white.games}</td>
+                      <td style={cellStyle}>{player.black.points}/{player.black.games}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+
+          <h2 style={{ marginTop: '2rem' }}>Enter a Result</h2>
+          <form onSubmit={handleSave} style={formStyle}>
+            <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap', marginBottom: '1rem' }}>
+              <label>
+                Team:
+                <select value={team} onChange={(e) => setTeam(e.target.value)} style={{ marginLeft: '0.5rem', padding: '0.25rem' }}>
+                  {TEAMS.map(t => <option key={t} value={t}>{t}</option>)}
+                </select>
+              </label>
+              <label>
+                Round:
+                <select value={round} onChange={(e) => setRound(e.target.value)} style={{ marginLeft: '0.5rem', padding: '0.25rem' }}>
+                  {data.rounds.map(title => <option key={title} value={title}>{title}</option>)}
+                </select>
+              </label>
+              <label>
+                Opponent:
+                <input type="text" value={match.opponent} onChange={(e) => setMatch({ ...match, opponent: e.target.value })} placeholder="e.g. UC Davis A" style={{ marginLeft: '0.5rem', padding: '0.25rem' }} />
+              </label>
+            </div>
+
+            <datalist id="team-members">
+              {teamMembers.map(member => <option key={member.id} value={member.username} />)}
+            </datalist>
+
+            <table style={tableStyle}>
+              <thead>
+                <tr>
+                  <th style={cellStyle}>Board</th>
+                  <th style={cellStyle}>Player</th>
+                  <th style={cellStyle}>Game 1</th>
+                  <th style={cellStyle}>Game 2</th>
+                </tr>
+              </thead>
+              <tbody>
+                {match.boards.map((board, i) => (
+                  <tr key={i}>
+                    <td style={cellStyle}>{board.board}</td>
+                    <td style={cellStyle}>
+                      <input type="text" list="team-members" value={board.player} onChange={(e) => updateBoard(i, { player: e.target.value })} style={{ padding: '0.25rem' }} />
+                    </td>
+                    {board.games.map((game, j) => (
+                      <td key={j} style={cellStyle}>
+                        <select value={game.color} onChange={(e) => updateGame(i, j, { color: e.target.value })}>
+                          <option value="white">White</option>
+                          <option value="black">Black</option>
+                        </select>
+                        <select value={game.result} onChange={(e) => updateGame(i, j, { result: e.target.value })} style={{ marginLeft: '0.25rem' }}>
+                          <option value="win">Win</option>
+                          <option value="draw">Draw</option>
+                          <option value="loss">Loss</option>
+                        </select>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div style={{ display: 'flex', gap: '10px', marginTop: '1rem' }}>
+              <button type="submit" disabled={saving || !round} style={buttonStyle}>
+                {saving ? 'Saving...' : 'Save Result'}
+              </button>
+              {data.results?.[team]?.[round] && (
+                <button type="button" onClick={handleDelete} disabled={saving} style={{ ...buttonStyle, background: '#dc3545' }}>
+                  Delete
+                </button>
+              )}
+            </div>
+          </form>
+        </>
+      )}
+    </div>
+  );
+}
+
+const tableStyle = {
+    width: '100%',
+    borderCollapse: 'collapse'
+};
+
+const cellStyle = {
+    borderBottom: '1px solid #ddd',
+    padding: '0.4rem',
+    textAlign: 'left'
+};
+
+const formStyle = {
+    padding: '1rem',
+    border: '1px solid #ddd',
+    borderRadius: '8px'
+};
+
+const buttonStyle = {
+    padding: '0.5rem 1rem',
+    background: '#007bff',
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '1rem'
+};
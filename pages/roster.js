@@ -0,0 +1,332 @@
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { ToastContainer, toast } from 'react-toastify';
+import 'react-toastify/dist/ReactToastify.css';
+import { authFetch } from '../lib/auth-client';
+import { useAuth } from '../components/AuthProvider';
+
+const TEAMS = ['A', 'B', 'C'];
+
+export default function RosterPage() {
+  const { role } = useAuth();
+  const [season, setSeason] = useState('spring');
+  const [year, setYear] = useState('2026');
+  const [roster, setRoster] = useState(null);
+  const [lock, setLock] = useState(null);
+  const [error, setError] = useState('');
+  const [newMember, setNewMember] = useState({ username: '', name: '', email: '', team: '', captain: false });
+  const [eligibility, setEligibility] = useState({});
+  const [checking, setChecking] = useState(false);
+
+  const loadRoster = useCallback(async () => {
+    setError('');
+    try {
+      const response = await authFetch(`/api/ccl-roster?season=${season}&year=${year}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message);
+      setRoster(data.roster);
+      setLock(data.lock);
+    } catch (err) {
+      setRoster(null);
+      setLock(null);
+      setError(err.message);
+    }
+  }, [season, year]);
+
+  // Reload once sign-in finishes, since these routes need a token
+  useEffect(() => {
+    loadRoster();
+    setEligibility({});
+  }, [loadRoster, role]);
+
+  const handleCheckEligibility = async () => {
+    setChecking(true);
+    try {
+      const response = await authFetch(`/api/ccl-eligibility?season=${season}&year=${year}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message);
+
+      const byUsername = {};
+      data.players.forEach(player => {
+        byUsername[player.username.toLowerCase()] = player;
+      });
+      setEligibility(byUsername);
+
+      const failing = data.players.filter(player => player.status !== 'pass').length;
+      if (failing > 0) {
+        toast.warn(`${failing} player(s) do not meet the requirements yet`);
+      } else {
+        toast.success('Everyone meets the requirements');
+      }
+    } catch (err) {
+      console.error(err);
+      toast.error(err.message);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const sendRosterRequest = async (method, body) => {
+    try {
+      const response = await authFetch('/api/ccl-roster', {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ season, year, ...body }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message);
+      setRoster(data.roster);
+      setLock(data.lock);
+      return true;
+    } catch (err) {
+      console.error(err);
+      toast.error(err.message);
+      return false;
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (await sendRosterRequest('POST', { member: newMember })) {
+      toast.success(`Added ${newMember.username}`);
+      setNewMember({ username: '', name: '', email: '', team: '', captain: false });
+    }
+  };
+
+  const updateMember = (memberId, updates) => sendRosterRequest('PUT', { memberId, updates });
+  const removeMember = (member) => {
+    if (window.confirm(`Remove ${member.username} from the roster?`)) {
+      sendRosterRequest('DELETE', { memberId: member.id });
+    }
+  };
+
+  const groups = roster ? [...TEAMS, ''].map(team => ({
+    team,
+    members: roster.members.filter(member => member.team === team)
+  })) : [];
+
+  return (
+    <div style={{ padding: '2rem', maxWidth: '900px', margin: '0 auto' }}>
+      <ToastContainer />
+      <h1>CCL Team Roster</h1>
+      <p>
+        <Link href="/ccl-search">Back to CCL Tournament Manager</Link>
+        {' | '}
+        <Link href="/lineup">Build a Lineup</Link>
+        {' | '}
+        <Link href="/availability">Availability</Link>
+      </p>
+
+      <div style={{ marginBottom: '2rem', display: 'flex', alignItems: 'center', gap: '1rem' }}>
+        <label>
+          Season:
+          <select value={season} onChange={(e) => setSeason(e.target.value)} style={{ marginLeft: '0.5rem', padding: '0.25rem' }}>
+            <option value="fall">Fall</option>
+            <option value="spring">Spring</option>
+          </select>
+        </label>
+        <label>
+          Year:
+          <input type="number" value={year} onChange={(e) => setYear(e.target.value)} min="2025" max="2030" style={{ marginLeft: '0.5rem', width: '80px', padding: '0.25rem' }} />
+        </label>
+      </div>
+
+      {error && <p style={{ color: 'red' }}>{error} Run the search on the CCL page first.</p>}
+
+      {lock && (
+        <div style={lock.locked ? lockedStyle : unlockedStyle}>
+          <strong>{lock.locked ? 'Roster locked' : 'Roster open'}</strong>
+          {lock.lockDate
+            ? <span> &mdash; Roster Lock: {new Date(lock.lockDate).toLocaleString()}</span>
+            : <span> &mdash; No Roster Lock date extracted yet</span>}
+          <label style={{ marginLeft: '1rem' }}>
+            Lock:
+            <select value={lock.lockMode} onChange={(e) => sendRosterRequest('PUT', { lockMode: e.target.value })} style={{ marginLeft: '0.5rem', padding: '0.25rem' }}>
+              <option value="auto">Follow Roster Lock date</option>
+              <option value="locked">Locked</option>
+              <option value="unlocked">Unlocked</option>
+            </select>
+          </label>
+        </div>
+      )}
+
+      {roster && (
+        <>
+          <button onClick={handleCheckEligibility} disabled={checking || roster.members.length === 0} style={{ ...buttonStyle, marginBottom: '1.5rem' }}>
+            {checking ? 'Checking chess.com...' : 'Check Eligibility'}
+          </button>
+
+          {groups.map(group => (
+            <div key={group.team || 'none'} style={{ marginBottom: '1.5rem' }}>
+              <h3>{group.team ? `Team ${group.team}` : 'Unassigned'} ({group.members.length})</h3>
+              {group.members.length === 0 ? (
+                <p style={{ color: '#888' }}>No players.</p>
+              ) : (
+                <table style={tableStyle}>
+                  <thead>
+                    <tr>
+                      <th style={cellStyle}>chess.com</th>
+                      <th style={cellStyle}>Name</th>
+                      <th style={cellStyle}>Club email</th>
+                      <th style={cellStyle}>Team</th>
+                      <th style={cellStyle}>Captain</th>
+                      <th style={cellStyle}>Eligibility</th>
+                      <th style={cellStyle}></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {group.members.map(member => (
+                      <tr key={member.id}>
+                        <td style={cellStyle}>
+                          <a href={`https://www.chess.com/member/${member.username}`} target="_blank" rel="noreferrer">{member.username}</a>
+                        </td>
+                        <td style={cellStyle}>{member.name}</td>
+                        <td style={cellStyle}>
+                          {/* Lets the player answer availability for this entry */}
+                          <input
+                            type="email"
+                            defaultValue={member.email || ''}
+                            onBlur={(e) => e.target.value.trim().toLowerCase() !== (member.email || '') && updateMember(member.id, { email: e.target.value })}
+                            placeholder="-"
+                            style={{ width: '170px' }}
+                          />
+                        </td>
+                        <td style={cellStyle}>
+                          <select value={member.team} disabled={lock?.locked} onChange={(e) => updateMember(member.id, { team: e.target.value })}>
+                            <option value="">-</option>
+                            {TEAMS.map(team => <option key={team} value={team}>{team}</option>)}
+                          </select>
+                        </td>
+                        <td style={cellStyle}>
+                          <input type="checkbox" checked={member.captain} onChange={(e) => updateMember(member.id, { captain: e.target.checked })} />
+                        </td>
+                        <td style={cellStyle}>
+                          <EligibilityCell result={eligibility[member.username.toLowerCase()]} />
+                        </td>
+                        <td style={cellStyle}>
+                          <button onClick={() => removeMember(member)} disabled={lock?.locked} style={smallButtonStyle}>Remove</button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          ))}
+
+          <form onSubmit={handleAdd} style={formStyle}>
+            <h3 style={{ width: '100%', margin: 0 }}>Add Player</h3>
+            <input
+              type="text"
+              value={newMember.username}
+              onChange={(e) => setNewMember({ ...newMember, username: e.target.value })}
+              placeholder="chess.com username"
+              style={inputStyle}
+            />
+            <input
+              type="text"
+              value={newMember.name}
+              onChange={(e) => setNewMember({ ...newMember, name: e.target.value })}
+              placeholder="Name (optional)"
+              style={inputStyle}
+            />
+            <input
+              type="email"
+              value={newMember.email}
+              onChange={(e) => setNewMember({ ...newMember, email: e.target.value })}
+              placeholder="Club email (optional)"
+              style={inputStyle}
+            />
+            <select value={newMember.team} onChange={(e) => setNewMember({ ...newMember, team: e.target.value })} style={inputStyle}>
+              <option value="">No team</option>
+              {TEAMS.map(team => <option key={team} value={team}>Team {team}</option>)}
+            </select>
+            <label>
+              <input type="checkbox" checked={newMember.captain} onChange={(e) => setNewMember({ ...newMember, captain: e.target.checked })} /> Captain
+            </label>
+            <button type="submit" disabled={lock?.locked || !newMember.username.trim()} style={buttonStyle}>
+              Add
+            </button>
+          </form>
+        </>
+      )}
+    </div>
+  );
+}
+
+function EligibilityCell({ result }) {
+  if (!result) return <span style={{ color: '#888' }}>-</span>;
+
+  const color = result.status === 'pass' ? '#1b5e20' : result.status === 'error' ? '#8a6d3b' : '#b71c1c';
+  return (
+    <div style={{ color, fontSize: '0.85rem' }}>
+      <strong>{result.status === 'pass' ? 'Eligible' : result.status === 'error' ? 'Lookup failed' : 'Not eligible'}</strong>
+      {result.reasons.map((reason, i) => <div key={i}>{reason}</div>)}
+      {result.eligibleOn && (
+        <div>
+          Eligible from {new Date(result.eligibleOn).toLocaleDateString()}
+          {!result.eligibleByRosterLock && ' (after Roster Lock)'}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const lockedStyle = {
+    padding: '0.75rem 1rem',
+    marginBottom: '1.5rem',
+    borderRadius: '4px',
+    background: '#fdecea',
+    color: '#b71c1c'
+};
+
+const unlockedStyle = {
+    ...lockedStyle,
+    background: '#e8f5e9',
+    color: '#1b5e20'
+};
+
+const tableStyle = {
+    width: '100%',
+    borderCollapse: 'collapse'
+};
+
+const cellStyle = {
+    borderBottom: '1px solid #ddd',
+    padding: '0.4rem',
+    textAlign: 'left'
+};
+
+const formStyle = {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '10px',
+    padding: '1rem',
+    border: '1px solid #ddd',
+    borderRadius: '8px'
+};
+
+const inputStyle = {
+    padding: '0.4rem',
+    fontSize: '0.95rem'
+};
+
+const buttonStyle = {
+    padding: '0.5rem 1rem',
+    background: '#007bff',
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '1rem'
+};
+
+const smallButtonStyle = {
+    padding: '0.2rem 0.5rem',
+    background: '#dc3545',
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer'
+};
@@ -0,0 +1,36 @@
+// Ask a running site to look for newly announced CCL seasons, for hosts
+// where a system cron is easier to set up than a hosted scheduler:
+//
+//   CCL_PUBLIC_URL=https://<your-site> CRON_SECRET=... node scripts/discover-season.mjs [--dry-run]
+//
+// e.g. in crontab, twice a day:
+//   0 8,20 * * * cd /path/to/app && CCL_PUBLIC_URL=... CRON_SECRET=... node scripts/discover-season.mjs
+
+const { CCL_PUBLIC_URL = 'http://localhost:3000', CRON_SECRET } = process.env;
+const dryRun = process.argv.includes('--dry-run');
+
+if (!CRON_SECRET) {
+  console.error('CRON_SECRET is required');
+  process.exit(1);
+}
+
+const url = `${CCL_PUBLIC_URL.replace(/\/$/, '')}/api/cron/discover-season${dryRun ? '?dryRun=1' : ''}`;
+
+const response = await fetch(url, {
+  method: 'POST',
+  headers: { Authorization: `Bearer ${CRON_SECRET}` }
+});
+const summary = await response.json();
+
+if (!response.ok) {
+  console.error(`${url} returned ${response.status}: ${summary.message}`);
+  process.exit(1);
+}
+
+const describe = ({ season, year }) => `${season} ${year}`;
+for (const found of summary.found) console.log(`Found ${describe(found)}: pipeline job ${found.jobId} ${found.status}`);
+for (const skipped of summary.skipped) console.log(`Skipped ${describe(skipped)} (${skipped.reason})`);
+for (const missing of summary.notFound) console.log(`No announcement yet for ${describe(missing)}`);
+for (const failed of summary.failed) console.error(`Search for ${describe(failed)} failed: ${failed.error}`);
+
+if (summary.failed.length > 0) process.exit(1);
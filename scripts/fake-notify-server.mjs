@@ -0,0 +1,109 @@
+// Local stand-ins for a Discord webhook and an SMTP server that record what
+// they receive. Run directly to watch reminders arrive during development:
+//
+//   node scripts/fake-notify-server.mjs
+//   CCL_DISCORD_WEBHOOK_URL=http://localhost:8025/webhook \
+//   CCL_SMTP_URL=smtp://localhost:2525 CCL_NOTIFY_EMAIL_TO=officers@example.com npm run dev
+import http from 'http';
+import net from 'net';
+import { fileURLToPath } from 'url';
+
+const listen = (server, port) => new Promise((resolve, reject) => {
+  server.once('error', reject);
+  server.listen(port, '127.0.0.1', () => resolve(server.address().port));
+});
+
+/**
+ * HTTP server that accepts webhook POSTs and keeps their JSON bodies.
+ */
+export async function startFakeWebhook({ port = 0, status = 204, onMessage } = {}) {
+  const messages = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const message = { path: req.url, body: body ? JSON.parse(body) : null };
+      messages.push(message);
+      onMessage?.(message);
+      res.writeHead(status);
+      res.end();
+    });
+  });
+
+  const boundPort = await listen(server, port);
+  return {
+    url: `http://127.0.0.1:${boundPort}/webhook`,
+    messages,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Minimal SMTP sink: accepts any sender and recipient, no TLS or auth,
+ * and keeps each message as { from, to, data }.
+ */
+export async function startFakeSmtp({ port = 0, onMessage } = {}) {
+  const messages = [];
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let readingData = false;
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply('220 fake-smtp ready');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+
+      while (buffer.length > 0) {
+        if (readingData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          const message = { ...envelope, data: buffer.slice(0, end).replace(/^\.\./gm, '.') };
+          messages.push(message);
+          onMessage?.(message);
+          buffer = buffer.slice(end + 5);
+          readingData = false;
+          envelope = { from: null, to: [] };
+          reply('250 OK: queued');
+          continue;
+        }
+
+        const lineEnd = buffer.indexOf('\r\n');
+        if (lineEnd === -1) return;
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO' || command === 'HELO') reply('250 fake-smtp');
+        else if (command === 'MAIL') { envelope.from = line.replace(/^MAIL FROM:\s*/i, ''); reply('250 OK'); }
+        else if (command === 'RCPT') { envelope.to.push(line.replace(/^RCPT TO:\s*/i, '')); reply('250 OK'); }
+        else if (command === 'DATA') { readingData = true; reply('354 End data with <CR><LF>.<CR><LF>'); }
+        else if (command === 'QUIT') { reply('221 Bye'); socket.end(); return; }
+        else reply('250 OK');
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  const boundPort = await listen(server, port);
+  return {
+    url: `smtp://127.0.0.1:${boundPort}`,
+    messages,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const webhook = await startFakeWebhook({
+    port: Number(process.env.FAKE_WEBHOOK_PORT || 8025),
+    onMessage: ({ body }) => console.log(`[webhook] ${body?.content}`)
+  });
+  const smtp = await startFakeSmtp({
+    port: Number(process.env.FAKE_SMTP_PORT || 2525),
+    onMessage: ({ to, data }) => console.log(`[smtp] to ${to.join(', ')}\n${data}\n`)
+  });
+  console.log(`Fake Discord webhook: ${webhook.url}`);
+  console.log(`Fake SMTP server:     ${smtp.url}`);
+}
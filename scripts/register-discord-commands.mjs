@@ -0,0 +1,44 @@
+// Register the /ccl slash command with Discord (run once, and again after
+// changing the command definition):
+//
+//   DISCORD_APPLICATION_ID=... DISCORD_BOT_TOKEN=... node scripts/register-discord-commands.mjs
+//
+// Then set the application's Interactions Endpoint URL to
+// https://<your-site>/api/discord/interactions.
+
+const SUBCOMMAND = 1;
+
+const command = {
+  name: 'ccl',
+  description: 'Collegiate Chess League info for the current season',
+  options: [
+    { type: SUBCOMMAND, name: 'next', description: 'The next deadline or round' },
+    { type: SUBCOMMAND, name: 'schedule', description: 'All deadlines and rounds' },
+    { type: SUBCOMMAND, name: 'requirements', description: 'Player eligibility requirements' },
+    { type: SUBCOMMAND, name: 'links', description: 'Announcement, rulebook and registration links' }
+  ]
+};
+
+const { DISCORD_APPLICATION_ID, DISCORD_BOT_TOKEN, DISCORD_GUILD_ID } = process.env;
+
+if (!DISCORD_APPLICATION_ID || !DISCORD_BOT_TOKEN) {
+  console.error('DISCORD_APPLICATION_ID and DISCORD_BOT_TOKEN are required');
+  process.exit(1);
+}
+
+// Guild commands update instantly; global ones can take up to an hour
+const url = DISCORD_GUILD_ID
+  ? `https://discord.com/api/v10/applications/${DISCORD_APPLICATION_ID}/guilds/${DISCORD_GUILD_ID}/commands`
+  : `https://discord.com/api/v10/applications/${DISCORD_APPLICATION_ID}/commands`;
+
+const response = await fetch(url, {
+  method: 'PUT',
+  headers: { 'Content-Type': 'application/json', Authorization: `Bot ${DISCORD_BOT_TOKEN}` },
+  body: JSON.stringify([command])
+});
+
+if (!response.ok) {
+  console.error(`Discord returned ${response.status}: ${await response.text()}`);
+  process.exit(1);
+}
+console.log('Registered /ccl');
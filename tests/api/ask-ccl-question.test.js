@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import handler from '../../pages/api/ask-ccl-question';
+import { clearRulebookIndexCache } from '../../lib/rulebook-index';
+import { callHandler } from '../helpers/http';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+import { readFixture } from '../helpers/recorded-fetch';
+import { fakeLlm } from '../helpers/fake-llm';
+
+const ROSTER_LOCK = '1.4 Rosters lock on March 20, 2026 at 11:59 PM PT.';
+
+describe('POST /api/ask-ccl-question', () => {
+  let store;
+
+  const ask = (question) => callHandler(handler, { as: 'member', method: 'POST', body: { season: 'spring', year: '2026', question } });
+
+  beforeEach(async () => {
+    store = await useTempStore();
+    fakeLlm.reset();
+    clearRulebookIndexCache();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    clearRulebookIndexCache();
+    await removeTempStore(store);
+  });
+
+  const seedSeason = async () => {
+    const pdfStorageUrl = await store.files.save('ccl/spring/2026/1_ccl_spring_2026.pdf', readFixture('tests/fixtures/ccl-spring-2026-rules.pdf'), 'application/pdf');
+    await store.collection('ccl-tournament-info').add({ season: 'spring', year: '2026', pdfStorageUrl });
+    return pdfStorageUrl;
+  };
+
+  it('requires a question', async () => {
+    await seedSeason();
+    expect((await ask('   ')).statusCode).toBe(400);
+
+    const notText = await ask({ text: 'When do rosters lock?' });
+    expect(notText.statusCode).toBe(400);
+    expect(notText.body.message).toBe('Question is required');
+  });
+
+  it('returns 400 until the rulebook has been uploaded', async () => {
+    await store.collection('ccl-tournament-info').add({ season: 'spring', year: '2026' });
+    const res = await ask('When do rosters lock?');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('PDF has not been uploaded yet.');
+  });
+
+  it('keeps only quotes that are really on the cited page', async () => {
+    const pdfStorageUrl = await seedSeason();
+    fakeLlm.queue({
+      answer: 'Rosters lock on March 20, 2026 at 11:59 PM PT.',
+      citations: [
+        { page: 1, quote: ROSTER_LOCK },
+        { page: 2, quote: ROSTER_LOCK },
+        { page: 1, quote: 'Rosters may be changed at any time before the final.' }
+      ]
+    });
+
+    const res = await ask('When do rosters lock?');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.answer).toBe('Rosters lock on March 20, 2026 at 11:59 PM PT.');
+    expect(res.body.citations).toEqual([{ page: 1, quote: ROSTER_LOCK }]);
+    expect(res.body.source_pages).toEqual([1, 2]);
+    expect(res.body.pdfStorageUrl).toBe(pdfStorageUrl);
+    expect(fakeLlm.calls[0]).toContain('Question: When do rosters lock?');
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import handler from '../../pages/api/ccl-availability';
+import { callHandler } from '../helpers/http';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+
+const round1 = { title: 'Regular Season Round 1', date: '2026-03-10 10:00 AM PT', isoDate: '2026-03-10T17:00:00.000Z' };
+const round2 = { title: 'Regular Season Round 2', date: '2026-03-17 10:00 AM PT', isoDate: '2026-03-17T17:00:00.000Z' };
+
+const roster = {
+  lockMode: 'auto',
+  members: [
+    { id: 'm1', username: 'SlugChess', email: 'member@test.local', team: 'A', captain: true },
+    { id: 'm2', username: 'BananaSlug', team: 'B', captain: false }
+  ]
+};
+
+describe('/api/ccl-availability', () => {
+  let store;
+  let record;
+
+  const respond = (memberId, roundId, response, as = 'officer') =>
+    callHandler(handler, { as, method: 'PUT', body: { season: 'spring', year: '2026', memberId, roundId, response } });
+
+  beforeEach(async () => {
+    store = await useTempStore();
+    record = await store.collection('ccl-tournament-info').add({
+      season: 'spring',
+      year: '2026',
+      tournamentInfo: { regular_season: [round1, round2], divisions: [] },
+      roster
+    });
+  });
+
+  afterEach(async () => {
+    await removeTempStore(store);
+  });
+
+  it('rejects other methods with 405', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'POST' });
+    expect(res.statusCode).toBe(405);
+  });
+
+  it('summarizes responses per round', async () => {
+    await respond('m1', 'regular-regular-season-round-1', 'yes');
+    await respond('m2', 'regular-regular-season-round-1', 'maybe');
+    const res = await respond('m2', 'regular-regular-season-round-2', 'no');
+
+    expect(res.statusCode).toBe(200);
+    const [first, second] = res.body.rounds;
+    expect(first.counts).toEqual({ yes: 1, no: 0, maybe: 1, none: 0 });
+    expect(second.counts).toEqual({ yes: 0, no: 1, maybe: 0, none: 1 });
+    expect(first.responses[0]).toEqual({ memberId: 'm1', username: 'SlugChess', team: 'A', response: 'yes', stale: false });
+  });
+
+  it('lets members answer only for their own roster entry', async () => {
+    const mine = await respond('m1', 'regular-regular-season-round-1', 'yes', 'member');
+    expect(mine.statusCode).toBe(200);
+    expect(mine.body.memberId).toBe('m1');
+
+    const theirs = await respond('m2', 'regular-regular-season-round-1', 'no', 'member');
+    expect(theirs.statusCode).toBe(403);
+
+    const saved = await store.collection('ccl-tournament-info').get(record.id);
+    expect(Object.keys(saved.availability)).toEqual(['m1']);
+  });
+
+  it('keeps answers given at the same time', async () => {
+    await Promise.all([
+      respond('m1', 'regular-regular-season-round-1', 'yes'),
+      respond('m2', 'regular-regular-season-round-1', 'no'),
+      respond('m1', 'regular-regular-season-round-2', 'maybe')
+    ]);
+
+    const saved = await store.collection('ccl-tournament-info').get(record.id);
+    expect(Object.keys(saved.availability).sort()).toEqual(['m1', 'm2']);
+    expect(Object.keys(saved.availability.m1).sort()).toEqual(['regular-regular-season-round-1', 'regular-regular-season-round-2']);
+  });
+
+  it('rejects unknown responses and members', async () => {
+    expect((await respond('m1', 'regular-regular-season-round-1', 'sometimes')).statusCode).toBe(400);
+    expect((await respond('nobody', 'regular-regular-season-round-1', 'yes')).statusCode).toBe(404);
+  });
+
+  it('marks answers stale when a re-extraction moves the round', async () => {
+    await respond('m1', 'regular-regular-season-round-2', 'yes');
+
+    const moved = { ...round2, date: '2026-03-18 10:00 AM PT', isoDate: '2026-03-18T17:00:00.000Z' };
+    await store.collection('ccl-tournament-info').update(record.id, { tournamentInfo: { regular_season: [round1, moved], divisions: [] } });
+
+    const res = await callHandler(handler, { as: 'officer', method: 'GET', query: { season: 'spring', year: '2026' } });
+    const entry = res.body.rounds[1].responses[0];
+    expect(res.body.rounds[1].isoDate).toBe('2026-03-18T17:00:00.000Z');
+    expect(entry).toMatchObject({ response: 'yes', stale: true });
+
+    // Answering again confirms the new date
+    const confirmed = await respond('m1', 'regular-regular-season-round-2', 'yes');
+    expect(confirmed.body.rounds[1].responses[0].stale).toBe(false);
+  });
+
+  it('exports available players as CSV', async () => {
+    await respond('m1', 'regular-regular-season-round-1', 'yes');
+    await respond('m2', 'regular-regular-season-round-1', 'no');
+    await respond('m2', 'regular-regular-season-round-2', 'yes');
+
+    const res = await callHandler(handler, { as: 'officer', method: 'GET', query: { season: 'spring', year: '2026', format: 'csv' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.body).toBe([
+      'Round,Date,Team,Username,Needs Reconfirming',
+      'Regular Season Round 1,2026-03-10T17:00:00.000Z,A,SlugChess,',
+      'Regular Season Round 2,2026-03-17T17:00:00.000Z,B,BananaSlug,',
+      ''
+    ].join('\r\n'));
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import handler from '../../pages/api/ccl-calendar';
+import { callHandler } from '../helpers/http';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+
+const tournamentInfo = {
+  logistics: [{ title: 'Roster Lock', date: '2026-03-20 11:59 PM PT' }],
+  regular_season: [{ title: 'Regular Season Round 1', date: '2026-03-10 10:00 AM PT' }],
+  divisions: []
+};
+
+describe('GET /api/ccl-calendar', () => {
+  let store;
+
+  const get = (query) => callHandler(handler, { method: 'GET', query });
+
+  beforeEach(async () => {
+    store = await useTempStore();
+  });
+
+  afterEach(async () => {
+    await removeTempStore(store);
+  });
+
+  it('rejects other methods with 405', async () => {
+    expect((await callHandler(handler, { method: 'POST' })).statusCode).toBe(405);
+  });
+
+  it('requires season and year', async () => {
+    const res = await get({ season: 'spring' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Season and year are required');
+  });
+
+  it('returns 404 when the season has not been searched', async () => {
+    const res = await get({ season: 'spring', year: '2026' });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('No tournament info found for spring 2026.');
+  });
+
+  it('returns 404 until the info has been extracted', async () => {
+    await store.collection('ccl-tournament-info').add({ season: 'spring', year: '2026' });
+
+    const res = await get({ season: 'spring', year: '2026' });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Tournament info has not been extracted yet.');
+  });
+
+  it('serves the feed to calendar apps without sign-in', async () => {
+    await store.collection('ccl-tournament-info').add({
+      season: 'spring',
+      year: '2026',
+      tournamentInfo,
+      source: 'https://www.chess.com/announcements/view/ccl-spring-2026',
+      extractedAt: '2026-02-01T12:00:00.000Z'
+    });
+
+    const res = await get({ season: 'spring', year: '2026' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers).toEqual({
+      'content-type': 'text/calendar; charset=utf-8',
+      'content-disposition': 'inline; filename="ccl-spring-2026.ics"',
+      'cache-control': 'public, max-age=3600'
+    });
+    expect(res.body).toMatch(/^BEGIN:VCALENDAR\r\n/);
+    expect(res.body.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(res.body).toContain('DTSTAMP:20260201T120000Z');
+    expect(res.body).toContain('URL:https://www.chess.com/announcements/view/ccl-spring-2026');
+  });
+});
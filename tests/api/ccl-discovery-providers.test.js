@@ -0,0 +1,23 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import handler from '../../pages/api/ccl-discovery-providers';
+import { callHandler } from '../helpers/http';
+
+describe('GET /api/ccl-discovery-providers', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('is for officers only', async () => {
+    expect((await callHandler(handler, { as: 'member' })).statusCode).toBe(403);
+  });
+
+  it('offers the fixture provider only with the local backend', async () => {
+    const local = await callHandler(handler, { as: 'officer' });
+    expect(local.body.providers.map(provider => provider.name)).toEqual(['perplexity', 'crawl', 'manual', 'fixture']);
+    expect(local.body.defaultProvider).toBe('perplexity');
+
+    vi.stubEnv('CCL_STORAGE_BACKEND', 'firebase');
+    const hosted = await callHandler(handler, { as: 'officer' });
+    expect(hosted.body.providers.map(provider => provider.name)).toEqual(['perplexity', 'crawl', 'manual']);
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import handler from '../../pages/api/ccl-lineup';
+import { callHandler } from '../helpers/http';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+
+const tournamentInfo = {
+  logistics: [{ title: 'Roster Lock', date: '2026-03-20 11:59 PM PT', isoDate: '2026-03-21T06:59:00.000Z' }],
+  regular_season: [
+    { title: 'Regular Season Round 1', date: '2026-03-10 10:00 AM PT', isoDate: '2026-03-10T17:00:00.000Z' },
+    { title: 'Regular Season Round 3', date: '2026-03-24 10:00 AM PT', isoDate: '2026-03-24T17:00:00.000Z' }
+  ],
+  divisions: [
+    { division: 1, playoff_rounds: [{ title: 'Quarterfinals', date: '2026-04-05 11:00 AM PT' }] }
+  ]
+};
+
+const roster = {
+  lockMode: 'auto',
+  members: [
+    { id: 'm1', username: 'SlugChess', email: 'member@test.local', team: 'A', captain: true, addedAt: '2026-02-01T00:00:00.000Z' },
+    { id: 'm2', username: 'BananaSlug', team: 'A', captain: false, addedAt: '2026-03-22T00:00:00.000Z' }
+  ]
+};
+
+describe('/api/ccl-lineup', () => {
+  let store;
+  let record;
+
+  const propose = (roundId, usernames) =>
+    callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026', team: 'A', roundId, usernames } });
+
+  beforeEach(async () => {
+    store = await useTempStore();
+    vi.stubEnv('CCL_CHESSCOM_CLIENT', 'stub');
+    record = await store.collection('ccl-tournament-info').add({ season: 'spring', year: '2026', tournamentInfo, roster });
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await removeTempStore(store);
+  });
+
+  it('lists regular season and playoff rounds with stable ids', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'GET', query: { season: 'spring', year: '2026' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.rounds.map(round => round.id)).toEqual([
+      'regular-regular-season-round-1',
+      'regular-regular-season-round-3',
+      'playoff-div-1-quarterfinals'
+    ]);
+    expect(res.body.rounds[2]).toMatchObject({ title: 'Division 1 Quarterfinals', stage: 'playoff', isoDate: '2026-04-05T18:00:00.000Z' });
+  });
+
+  it('proposes a rating-sorted board order', async () => {
+    const res = await propose('regular-regular-season-round-1', ['bananaslug', 'newtoblitz', 'slugchess', 'freshman2026', 'ghost_account']);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.boards.map(player => [player.board, player.username, player.rating])).toEqual([
+      [1, 'SlugChess', 1685],
+      [2, 'BananaSlug', 1240],
+      [3, 'NewToBlitz', 1100],
+      [4, 'Freshman2026', 980]
+    ]);
+    expect(res.body.substitutes).toEqual([{ username: 'ghost_account', rating: null, error: 'chess.com account not found' }]);
+    expect(res.body.warnings).toEqual([]);
+  });
+
+  it('warns about new names in rounds after Roster Lock', async () => {
+    const res = await propose('regular-regular-season-round-3', ['slugchess', 'bananaslug', 'freshman2026']);
+
+    expect(res.body.warnings).toEqual([
+      'bananaslug was added to the roster after Roster Lock',
+      'freshman2026 is not on the roster, and Regular Season Round 3 is after Roster Lock'
+    ]);
+  });
+
+  it('saves the final lineup per team and round', async () => {
+    const res = await callHandler(handler, {
+      as: 'officer',
+      method: 'PUT',
+      body: {
+        season: 'spring',
+        year: '2026',
+        team: 'A',
+        roundId: 'playoff-div-1-quarterfinals',
+        boards: [{ username: 'BananaSlug', rating: 1240 }, { username: 'SlugChess', rating: 1685 }],
+        substitutes: [{ username: 'Freshman2026', rating: 980 }]
+      }
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.lineup.boards).toEqual([
+      { board: 1, username: 'BananaSlug', rating: 1240 },
+      { board: 2, username: 'SlugChess', rating: 1685 }
+    ]);
+    expect(res.body.lineup.warnings).toHaveLength(2);
+
+    const saved = await store.collection('ccl-tournament-info').get(record.id);
+    expect(saved.lineups.A['playoff-div-1-quarterfinals'].substitutes).toEqual([{ username: 'Freshman2026', rating: 980 }]);
+
+    const loaded = await callHandler(handler, { as: 'officer', method: 'GET', query: { season: 'spring', year: '2026', team: 'A', roundId: 'playoff-div-1-quarterfinals' } });
+    expect(loaded.body.lineup.roundTitle).toBe('Division 1 Quarterfinals');
+  });
+
+  it('keeps lineups saved at the same time for different teams', async () => {
+    const saveLineup = (team, username) => callHandler(handler, {
+      as: 'officer',
+      method: 'PUT',
+      body: { season: 'spring', year: '2026', team, roundId: 'playoff-div-1-quarterfinals', boards: [{ username, rating: 1500 }] }
+    });
+
+    await Promise.all([saveLineup('A', 'SlugChess'), saveLineup('B', 'Redwood'), saveLineup('C', 'Freshman2026')]);
+
+    const saved = await store.collection('ccl-tournament-info').get(record.id);
+    expect(Object.keys(saved.lineups).sort()).toEqual(['A', 'B', 'C']);
+  });
+
+  it("lets a team's captain propose and save its lineup but no other team's", async () => {
+    const asCaptain = (method, team, body) => callHandler(handler, {
+      as: 'member',
+      method,
+      body: { season: 'spring', year: '2026', team, roundId: 'regular-regular-season-round-3', ...body }
+    });
+
+    expect((await asCaptain('POST', 'A', { usernames: ['SlugChess'] })).statusCode).toBe(200);
+    expect((await asCaptain('PUT', 'A', { boards: [{ username: 'SlugChess', rating: 1685 }] })).statusCode).toBe(200);
+
+    const other = await asCaptain('PUT', 'B', { boards: [{ username: 'Redwood', rating: 1500 }] });
+    expect(other.statusCode).toBe(403);
+    expect(other.body.message).toBe("Only officers and the team's captain can set its lineup.");
+  });
+
+  it('refuses lineups from members who are not captains', async () => {
+    await store.collection('ccl-tournament-info').update(record.id, {
+      roster: { ...roster, members: roster.members.map(member => ({ ...member, captain: false })) }
+    });
+
+    const res = await callHandler(handler, {
+      as: 'member',
+      method: 'PUT',
+      body: { season: 'spring', year: '2026', team: 'A', roundId: 'regular-regular-season-round-3', boards: [{ username: 'SlugChess' }] }
+    });
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('rejects duplicate players and unknown rounds', async () => {
+    const duplicate = await callHandler(handler, {
+      as: 'officer',
+      method: 'PUT',
+      body: { season: 'spring', year: '2026', team: 'A', roundId: 'regular-regular-season-round-1', boards: [{ username: 'SlugChess' }], substitutes: [{ username: 'slugchess' }] }
+    });
+    expect(duplicate.statusCode).toBe(400);
+
+    const unknown = await propose('regular-round-99', ['slugchess']);
+    expect(unknown.statusCode).toBe(400);
+  });
+});
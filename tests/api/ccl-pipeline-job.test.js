@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import handler from '../../pages/api/ccl-pipeline-job';
+import { waitForPipelineJob } from '../../lib/pipeline/jobs';
+import { callHandler } from '../helpers/http';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+import { createRecordedFetch, readFixture } from '../helpers/recorded-fetch';
+import { fakeLlm, extractionAnswers } from '../helpers/fake-llm';
+import { spring2026Recordings, SPRING_2026_DRIVE_DOWNLOAD } from '../helpers/recordings';
+
+const tournamentInfo = JSON.parse(Buffer.from(readFixture('tests/fixtures/llm-tournament-info.json')).toString('utf8'));
+
+describe('/api/ccl-pipeline-job', () => {
+  let store;
+
+  const startJob = () => callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026', provider: 'perplexity' } });
+
+  beforeEach(async () => {
+    store = await useTempStore();
+    fakeLlm.reset();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    await removeTempStore(store);
+  });
+
+  it('lets members watch but not start jobs', async () => {
+    const start = await callHandler(handler, { as: 'member', method: 'POST', body: { season: 'spring', year: '2026' } });
+    expect(start.statusCode).toBe(403);
+
+    const latest = await callHandler(handler, { as: 'member', method: 'GET', query: { season: 'spring', year: '2026' } });
+    expect(latest.statusCode).toBe(200);
+    expect(latest.body).toEqual({ job: null });
+  });
+
+  it('runs search, upload and extract as one job', async () => {
+    vi.stubGlobal('fetch', createRecordedFetch(spring2026Recordings()));
+    fakeLlm.queue(...extractionAnswers(tournamentInfo));
+
+    const res = await startJob();
+    expect(res.statusCode).toBe(202);
+    expect(res.body.job).toMatchObject({ season: 'spring', year: '2026', createdBy: 'officer@test.local', active: true });
+
+    const job = await waitForPipelineJob(res.body.job.id);
+    expect(job.status).toBe('succeeded');
+    expect(job.steps.search).toMatchObject({ status: 'succeeded', result: { exists: false, records: 1 } });
+    expect(job.steps.upload).toMatchObject({ status: 'succeeded', result: { uploaded: 1, failed: 0 } });
+    expect(job.steps.extract).toMatchObject({ status: 'succeeded', result: { validationErrors: 0, repairAttempts: 0 } });
+    expect(job.steps.extract.durationMs).toBeGreaterThanOrEqual(0);
+
+    const [record] = await store.collection('ccl-tournament-info').find({ season: 'spring', year: '2026' });
+    expect(record.tournamentInfo.requirements).toEqual({ minimum_account_age: 90, minimum_games: 25 });
+
+    const latest = await callHandler(handler, { as: 'member', method: 'GET', query: { season: 'spring', year: '2026' } });
+    expect(latest.body.job).toMatchObject({ id: job.id, status: 'succeeded', active: false });
+  });
+
+  it('stops at a failed step and resumes from it', async () => {
+    // The rulebook download fails the first time
+    const recordings = spring2026Recordings();
+    const pdf = recordings[SPRING_2026_DRIVE_DOWNLOAD];
+    delete recordings[SPRING_2026_DRIVE_DOWNLOAD];
+    vi.stubGlobal('fetch', createRecordedFetch(recordings));
+
+    const res = await startJob();
+    const failed = await waitForPipelineJob(res.body.job.id);
+
+    expect(failed.status).toBe('failed');
+    expect(failed.steps.search.status).toBe('succeeded');
+    expect(failed.steps.upload.status).toBe('failed');
+    expect(failed.steps.upload.error).toContain('No rulebook PDF could be downloaded');
+    expect(failed.steps.extract.status).toBe('pending');
+    expect(failed.error).toMatch(/^Upload PDF: /);
+
+    // Once the link works, resuming skips the search
+    vi.stubGlobal('fetch', createRecordedFetch({ ...recordings, [SPRING_2026_DRIVE_DOWNLOAD]: pdf }));
+    fakeLlm.queue(...extractionAnswers(tournamentInfo));
+
+    const resumed = await callHandler(handler, { as: 'officer', method: 'POST', body: { id: failed.id, action: 'resume' } });
+    expect(resumed.statusCode).toBe(202);
+
+    const job = await waitForPipelineJob(failed.id);
+    expect(job.status).toBe('succeeded');
+    expect(job.steps.search.startedAt).toBe(failed.steps.search.startedAt);
+    expect(job.resumedBy).toBe('officer@test.local');
+
+    const again = await callHandler(handler, { as: 'officer', method: 'POST', body: { id: failed.id, action: 'resume' } });
+    expect(again.statusCode).toBe(409);
+  });
+
+  it('refuses a second job while one is running', async () => {
+    vi.stubGlobal('fetch', createRecordedFetch(spring2026Recordings()));
+    fakeLlm.queue(...extractionAnswers(tournamentInfo));
+
+    const first = await startJob();
+    const second = await startJob();
+    expect(second.statusCode).toBe(409);
+
+    await waitForPipelineJob(first.body.job.id);
+  });
+
+  it('starts only one job when two are requested at once', async () => {
+    vi.stubGlobal('fetch', createRecordedFetch(spring2026Recordings()));
+    fakeLlm.queue(...extractionAnswers(tournamentInfo));
+
+    const results = await Promise.all([startJob(), startJob()]);
+
+    expect(results.map(res => res.statusCode).sort()).toEqual([202, 409]);
+    const started = results.find(res => res.statusCode === 202);
+    expect(await store.collection('ccl-pipeline-jobs').find({ season: 'spring', year: '2026' })).toHaveLength(1);
+
+    const job = await waitForPipelineJob(started.body.job.id);
+    expect(job.status).toBe('succeeded');
+  });
+
+  it('resumes a job only once when asked twice at once', async () => {
+    vi.stubGlobal('fetch', createRecordedFetch({}));
+    const failed = await waitForPipelineJob((await startJob()).body.job.id);
+    expect(failed.status).toBe('failed');
+
+    const resume = () => callHandler(handler, { as: 'officer', method: 'POST', body: { id: failed.id, action: 'resume' } });
+    const results = await Promise.all([resume(), resume()]);
+
+    expect(results.map(res => res.statusCode).sort()).toEqual([202, 409]);
+    await waitForPipelineJob(failed.id);
+  });
+});
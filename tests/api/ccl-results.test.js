@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import handler from '../../pages/api/ccl-results';
+import { callHandler } from '../helpers/http';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+
+const tournamentInfo = {
+  regular_season: [
+    { title: 'Regular Season Round 1', date: '2026-03-10 10:00 AM PT' },
+    { title: 'Regular Season Round 2', date: '2026-03-17 10:00 AM PT' }
+  ]
+};
+
+const board = (n, player, first, second) => ({
+  board: n,
+  player,
+  games: [{ color: 'white', result: first }, { color: 'black', result: second }]
+});
+
+describe('/api/ccl-results', () => {
+  let store;
+
+  const saveMatch = (team, round, match) =>
+    callHandler(handler, { as: 'officer', method: 'PUT', body: { season: 'spring', year: '2026', team, round, match } });
+
+  beforeEach(async () => {
+    store = await useTempStore();
+    await store.collection('ccl-tournament-info').add({ season: 'spring', year: '2026', tournamentInfo });
+  });
+
+  afterEach(async () => {
+    await removeTempStore(store);
+  });
+
+  it('rejects other methods with 405', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'POST' });
+    expect(res.statusCode).toBe(405);
+  });
+
+  it('lists the extracted rounds', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'GET', query: { season: 'spring', year: '2026' } });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ rounds: ['Regular Season Round 1', 'Regular Season Round 2'], results: {}, standings: [] });
+  });
+
+  it('rejects rounds that are not in the schedule', async () => {
+    const res = await saveMatch('A', 'Regular Season Round 9', { opponent: 'UC Davis', boards: [board(1, 'slugchess', 'win', 'win')] });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors).toContain('Unknown round "Regular Season Round 9"');
+  });
+
+  it('computes match points, game points and player scores', async () => {
+    await saveMatch('A', 'Regular Season Round 1', {
+      opponent: 'UC Davis A',
+      boards: [board(1, 'SlugChess', 'win', 'draw'), board(2, 'BananaSlug', 'loss', 'win')]
+    });
+    await saveMatch('A', 'Regular Season Round 2', {
+      opponent: 'Stanford A',
+      boards: [board(1, 'SlugChess', 'loss', 'loss'), board(2, 'BananaSlug', 'win', 'draw')]
+    });
+    const res = await saveMatch('B', 'Regular Season Round 1', {
+      opponent: 'UCLA B',
+      boards: [board(1, 'Freshman2026', 'win', 'win')]
+    });
+
+    expect(res.statusCode).toBe(200);
+    const [first, second] = res.body.standings;
+
+    // Team A won 2.5-1.5, then lost 1.5-2.5
+    expect(first).toMatchObject({ team: 'A', played: 2, wins: 1, draws: 0, losses: 1, matchPoints: 2, gamePoints: 4 });
+    expect(first.rounds.map(r => [r.round, r.outcome])).toEqual([
+      ['Regular Season Round 1', 'win'],
+      ['Regular Season Round 2', 'loss']
+    ]);
+    expect(first.players).toEqual([
+      { player: 'BananaSlug', games: 4, points: 2.5, wins: 2, draws: 1, losses: 1, white: { games: 2, points: 1, wins: 1, draws: 0, losses: 1 }, black: { games: 2, points: 1.5, wins: 1, draws: 1, losses: 0 } },
+      { player: 'SlugChess', games: 4, points: 1.5, wins: 1, draws: 1, losses: 2, white: { games: 2, points: 1, wins: 1, draws: 0, losses: 1 }, black: { games: 2, points: 0.5, wins: 0, draws: 1, losses: 1 } }
+    ]);
+
+    expect(second).toMatchObject({ team: 'B', matchPoints: 2, gamePoints: 2 });
+  });
+
+  it('keeps results saved at the same time for different teams', async () => {
+    await Promise.all([
+      saveMatch('A', 'Regular Season Round 1', { opponent: 'UC Davis A', boards: [board(1, 'SlugChess', 'win', 'win')] }),
+      saveMatch('B', 'Regular Season Round 1', { opponent: 'UCLA B', boards: [board(1, 'Freshman2026', 'win', 'win')] }),
+      saveMatch('C', 'Regular Season Round 1', { opponent: 'Stanford C', boards: [board(1, 'Redwood', 'loss', 'win')] })
+    ]);
+
+    const [record] = await store.collection('ccl-tournament-info').find();
+    expect(Object.keys(record.results).sort()).toEqual(['A', 'B', 'C']);
+  });
+
+  it("lets a team's captain record its results but no other team's", async () => {
+    const [record] = await store.collection('ccl-tournament-info').find();
+    await store.collection('ccl-tournament-info').update(record.id, {
+      roster: { members: [{ id: 'm1', username: 'slugchess', email: 'Member@test.local', team: 'A', captain: true }] }
+    });
+    const saveAsMember = (team) => callHandler(handler, {
+      as: 'member',
+      method: 'PUT',
+      body: { season: 'spring', year: '2026', team, round: 'Regular Season Round 1', match: { opponent: 'UC Davis', boards: [board(1, 'slugchess', 'win', 'win')] } }
+    });
+
+    expect((await saveAsMember('A')).statusCode).toBe(200);
+    const other = await saveAsMember('B');
+    expect(other.statusCode).toBe(403);
+    expect(other.body.message).toBe("Only officers and the team's captain can record its results.");
+  });
+
+  it('refuses writes from members who are not captains', async () => {
+    const [record] = await store.collection('ccl-tournament-info').find();
+    await store.collection('ccl-tournament-info').update(record.id, {
+      roster: { members: [{ id: 'm1', username: 'slugchess', email: 'member@test.local', team: 'A', captain: false }] }
+    });
+
+    const res = await callHandler(handler, { as: 'member', method: 'DELETE', body: { season: 'spring', year: '2026', team: 'A', round: 'Regular Season Round 1' } });
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('deletes a recorded result', async () => {
+    await saveMatch('A', 'Regular Season Round 1', { opponent: 'UC Davis A', boards: [board(1, 'SlugChess', 'win', 'win')] });
+
+    const res = await callHandler(handler, { as: 'officer', method: 'DELETE', body: { season: 'spring', year: '2026', team: 'A', round: 'Regular Season Round 1' } });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.standings).toEqual([]);
+
+    const missing = await callHandler(handler, { as: 'officer', method: 'DELETE', body: { season: 'spring', year: '2026', team: 'A', round: 'Regular Season Round 1' } });
+    expect(missing.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import handler from '../../pages/api/ccl-roster';
+import { callHandler } from '../helpers/http';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+
+const futureLock = { title: 'Roster Lock', date: 'December 1, 2099 @ 11:59 PM PT', isoDate: '2099-12-02T07:59:00.000Z' };
+const pastLock = { title: 'Roster Lock', date: 'March 20, 2020 @ 11:59 PM PT', isoDate: '2020-03-21T06:59:00.000Z' };
+
+describe('/api/ccl-roster', () => {
+  let store;
+
+  const seedSeason = (logistics = [futureLock], extra = {}) =>
+    store.collection('ccl-tournament-info').add({ season: 'spring', year: '2026', tournamentInfo: { logistics }, ...extra });
+
+  const addMember = (member) => callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026', member } });
+
+  beforeEach(async () => {
+    store = await useTempStore();
+  });
+
+  afterEach(async () => {
+    await removeTempStore(store);
+  });
+
+  it('rejects other methods with 405', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'PATCH' });
+    expect(res.statusCode).toBe(405);
+  });
+
+  it('returns 404 when the season has not been searched', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'GET', query: { season: 'spring', year: '2026' } });
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('adds, updates and removes members before the lock', async () => {
+    const record = await seedSeason();
+
+    const added = await addMember({ username: 'slugchess', name: 'Sammy', team: 'A', captain: true });
+    expect(added.statusCode).toBe(200);
+    expect(added.body.lock).toMatchObject({ locked: false, lockDate: futureLock.isoDate });
+    const [member] = added.body.roster.members;
+    expect(member).toMatchObject({ username: 'slugchess', team: 'A', captain: true });
+
+    const updated = await callHandler(handler, { as: 'officer', method: 'PUT', body: { season: 'spring', year: '2026', memberId: member.id, updates: { team: 'B', captain: false } } });
+    expect(updated.body.roster.members[0]).toMatchObject({ team: 'B', captain: false });
+
+    const removed = await callHandler(handler, { as: 'officer', method: 'DELETE', body: { season: 'spring', year: '2026', memberId: member.id } });
+    expect(removed.body.roster.members).toEqual([]);
+
+    const saved = await store.collection('ccl-tournament-info').get(record.id);
+    expect(saved.roster).toEqual({ members: [], lockMode: 'auto' });
+  });
+
+  it('keeps every member when several are added at once', async () => {
+    const record = await seedSeason();
+
+    const results = await Promise.all(['slugchess', 'bananaslug', 'redwood'].map(username => addMember({ username })));
+    expect(results.map(res => res.statusCode)).toEqual([200, 200, 200]);
+
+    const saved = await store.collection('ccl-tournament-info').get(record.id);
+    expect(saved.roster.members.map(member => member.username).sort()).toEqual(['bananaslug', 'redwood', 'slugchess']);
+  });
+
+  it('rejects a duplicate added at the same time', async () => {
+    await seedSeason();
+
+    const results = await Promise.all([addMember({ username: 'slugchess' }), addMember({ username: 'SlugChess' })]);
+    expect(results.map(res => res.statusCode).sort()).toEqual([200, 400]);
+  });
+
+  it('validates usernames and rejects duplicates', async () => {
+    await seedSeason();
+
+    expect((await addMember({ username: 'no spaces allowed' })).statusCode).toBe(400);
+    expect((await addMember({ username: 'slugchess', team: 'D' })).statusCode).toBe(400);
+    expect((await addMember({ username: 'slugchess', email: 'not-an-email' })).statusCode).toBe(400);
+
+    await addMember({ username: 'SlugChess' });
+    const duplicate = await addMember({ username: 'slugchess' });
+    expect(duplicate.statusCode).toBe(400);
+    expect(duplicate.body.message).toContain('already on the roster');
+  });
+
+  it('locks the roster once the Roster Lock date has passed', async () => {
+    await seedSeason([pastLock], {
+      roster: { lockMode: 'auto', members: [{ id: 'm1', username: 'slugchess', name: '', team: 'A', captain: false }] }
+    });
+
+    const status = await callHandler(handler, { as: 'officer', method: 'GET', query: { season: 'spring', year: '2026' } });
+    expect(status.body.lock).toMatchObject({ locked: true, reason: 'date' });
+
+    expect((await addMember({ username: 'latecomer' })).statusCode).toBe(409);
+
+    const teamChange = await callHandler(handler, { as: 'officer', method: 'PUT', body: { season: 'spring', year: '2026', memberId: 'm1', updates: { team: 'B' } } });
+    expect(teamChange.statusCode).toBe(409);
+
+    // Captaincy can still change after the lock
+    const captain = await callHandler(handler, { as: 'officer', method: 'PUT', body: { season: 'spring', year: '2026', memberId: 'm1', updates: { captain: true } } });
+    expect(captain.statusCode).toBe(200);
+    expect(captain.body.roster.members[0].captain).toBe(true);
+  });
+
+  it('lets officers override the lock', async () => {
+    await seedSeason([pastLock]);
+
+    const unlocked = await callHandler(handler, { as: 'officer', method: 'PUT', body: { season: 'spring', year: '2026', lockMode: 'unlocked' } });
+    expect(unlocked.body.lock).toMatchObject({ locked: false, reason: 'manual' });
+    expect((await addMember({ username: 'latecomer' })).statusCode).toBe(200);
+
+    const locked = await callHandler(handler, { as: 'officer', method: 'PUT', body: { season: 'spring', year: '2026', lockMode: 'locked' } });
+    expect(locked.body.lock).toMatchObject({ locked: true, reason: 'manual' });
+    expect((await addMember({ username: 'another' })).statusCode).toBe(409);
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import checkHandler from '../../pages/api/check-ccl-pdf-update';
+import versionsHandler from '../../pages/api/ccl-rulebook-versions';
+import { callHandler } from '../helpers/http';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+import { createRecordedFetch, readFixture } from '../helpers/recorded-fetch';
+import { SPRING_2026_DRIVE_LINK, SPRING_2026_DRIVE_DOWNLOAD } from '../helpers/recordings';
+import { storeRulebookVersion, hashPdf, saveVersionInfo, markExtracted } from '../../lib/rulebook-versions';
+
+const v1 = readFixture('tests/fixtures/ccl-spring-2026-rules.pdf');
+const v2 = readFixture('tests/fixtures/ccl-spring-2026-rules-v2.pdf');
+const tournamentInfo = JSON.parse(Buffer.from(readFixture('tests/fixtures/llm-tournament-info.json')).toString('utf8'));
+
+const serving = (bytes) => createRecordedFetch({ [SPRING_2026_DRIVE_DOWNLOAD]: { body: bytes, headers: { 'Content-Type': 'application/pdf' } } });
+
+describe('rulebook version tracking', () => {
+  let store;
+  let record;
+
+  beforeEach(async () => {
+    store = await useTempStore();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    record = await store.collection('ccl-tournament-info').add({ season: 'spring', year: '2026', pdf: SPRING_2026_DRIVE_LINK, pdfStorageUrl: '' });
+    await storeRulebookVersion(record, v1, { source: 'link', sourceUrl: SPRING_2026_DRIVE_LINK });
+  });
+
+  afterEach(async () => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    await removeTempStore(store);
+  });
+
+  it('stores a content hash with the first version', async () => {
+    const saved = await store.collection('ccl-tournament-info').get(record.id);
+    expect(saved.pdfHash).toBe(hashPdf(v1));
+    expect(saved.pdfVersions).toEqual([expect.objectContaining({ version: 1, hash: hashPdf(v1), pdfStorageUrl: saved.pdfStorageUrl, source: 'link' })]);
+  });
+
+  it('does not add a version when the source is unchanged', async () => {
+    vi.stubGlobal('fetch', serving(v1));
+
+    const res = await callHandler(checkHandler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.changed).toBe(false);
+    expect((await store.collection('ccl-tournament-info').get(record.id)).pdfVersions).toHaveLength(1);
+  });
+
+  it('stores a revised rulebook as a new version and diffs it against the old one', async () => {
+    // Version 1 as stored before extracted info moved out of the record
+    await store.collection('ccl-tournament-info').update(record.id, {
+      pdfVersions: (await store.collection('ccl-tournament-info').get(record.id)).pdfVersions.map(version => ({ ...version, tournamentInfo }))
+    });
+    vi.stubGlobal('fetch', serving(v2));
+
+    const check = await callHandler(checkHandler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026' } });
+    expect(check.body.changed).toBe(true);
+    expect(check.body.results[0].version).toBe(2);
+
+    const saved = await store.collection('ccl-tournament-info').get(record.id);
+    expect(saved.pdfStorageUrl).toBe(check.body.results[0].pdfStorageUrl);
+    expect(saved.pdfHash).toBe(hashPdf(v2));
+
+    // Pretend the new version was extracted with a later roster lock
+    const revisedInfo = {
+      ...tournamentInfo,
+      logistics: tournamentInfo.logistics.map(item => item.title === 'Roster Lock' ? { ...item, date: '2026-03-27 11:59 PM PT' } : item)
+    };
+    await saveVersionInfo(saved, saved.pdfVersions[1], revisedInfo);
+    await store.collection('ccl-tournament-info').update(record.id, {
+      pdfVersions: markExtracted(saved.pdfVersions, saved.pdfStorageUrl, new Date().toISOString())
+    });
+    expect((await store.collection('ccl-tournament-info').get(record.id)).pdfVersions[1].tournamentInfo).toBeUndefined();
+
+    const res = await callHandler(versionsHandler, { as: 'officer', method: 'GET', query: { season: 'spring', year: '2026', from: '1', to: '2' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.versions.map(version => [version.version, version.hasTournamentInfo])).toEqual([[1, true], [2, true]]);
+    expect(res.body.diff.fields).toEqual([
+      { field: 'logistics › Roster Lock', type: 'changed', before: '2026-03-20 11:59 PM PT', after: '2026-03-27 11:59 PM PT' }
+    ]);
+
+    const changedLines = res.body.diff.text.flat().filter(op => op.type !== 'same');
+    expect(changedLines).toEqual([
+      { type: 'removed', line: '1.4 Rosters lock on March 20, 2026 at 11:59 PM PT.' },
+      { type: 'added', line: '1.4 Rosters lock on March 27, 2026 at 11:59 PM PT.' },
+      { type: 'added', line: 'Round 4: March 31, 2026' }
+    ]);
+  });
+
+  it('keeps both versions when two are stored at once', async () => {
+    const v3 = new Uint8Array([...v2, 0x0a]);
+
+    const results = await Promise.all([
+      storeRulebookVersion(record, v2, { source: 'upload' }),
+      storeRulebookVersion(record, v3, { source: 'upload' })
+    ]);
+
+    expect(results.map(result => result.changed)).toEqual([true, true]);
+    const saved = await store.collection('ccl-tournament-info').get(record.id);
+    expect(saved.pdfVersions.map(version => version.version)).toEqual([1, 2, 3]);
+    expect(saved.pdfVersions.slice(1).map(version => version.hash).sort()).toEqual([hashPdf(v2), hashPdf(v3)].sort());
+  });
+
+  it('returns 404 for unknown versions', async () => {
+    const res = await callHandler(versionsHandler, { as: 'officer', method: 'GET', query: { season: 'spring', year: '2026', from: '1', to: '5' } });
+    expect(res.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import handler from '../../pages/api/ccl-season-records';
+import statusHandler from '../../pages/api/get-ccl-status';
+import rosterHandler from '../../pages/api/ccl-roster';
+import { callHandler } from '../helpers/http';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+
+const RESULTS_PAGE = 'https://www.chess.com/news/view/collegiate-chess-league-spring-2026-week-1';
+const ANNOUNCEMENT = 'https://www.chess.com/news/view/collegiate-chess-league-spring-2026';
+
+describe('/api/ccl-season-records', () => {
+  let store;
+  let first;
+  let second;
+
+  beforeEach(async () => {
+    store = await useTempStore();
+    const collection = store.collection('ccl-tournament-info');
+    // Records saved before canonical flags existed: the first one wins by default
+    first = await collection.add({
+      season: 'spring', year: '2026', source: RESULTS_PAGE,
+      pdf: '', registration: 'https://forms.gle/register', fairPlay: '',
+      roster: { members: [{ id: 'm1', username: 'slugchess' }], lockMode: 'auto' }
+    });
+    second = await collection.add({
+      season: 'spring', year: '2026', source: ANNOUNCEMENT,
+      pdf: 'https://drive.google.com/file/d/rules/view', registration: '', fairPlay: 'https://www.chess.com/legal/fair-play'
+    });
+  });
+
+  afterEach(async () => {
+    await removeTempStore(store);
+  });
+
+  const list = () => callHandler(handler, { as: 'member', method: 'GET', query: { season: 'spring', year: '2026' } });
+
+  it('lists every candidate with the canonical one marked', async () => {
+    const res = await list();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.canonicalId).toBe(first.id);
+    expect(res.body.records.map(record => [record.source, record.canonical])).toEqual([[RESULTS_PAGE, true], [ANNOUNCEMENT, false]]);
+  });
+
+  it('only lets officers change the canonical record', async () => {
+    const res = await callHandler(handler, { as: 'member', method: 'PUT', body: { season: 'spring', year: '2026', id: second.id } });
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('switches the canonical record and carries the season data over', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'PUT', body: { season: 'spring', year: '2026', id: second.id } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.canonicalId).toBe(second.id);
+
+    const status = await callHandler(statusHandler, { as: 'member', method: 'GET', query: { season: 'spring', year: '2026' } });
+    expect(status.body.id).toBe(second.id);
+    expect(status.body.data.roster.members).toEqual([{ id: 'm1', username: 'slugchess' }]);
+
+    expect((await store.collection('ccl-tournament-info').get(first.id)).canonical).toBe(false);
+  });
+
+  it('keeps season data entered after a switch when switching back', async () => {
+    const switchTo = (id) => callHandler(handler, { as: 'officer', method: 'PUT', body: { season: 'spring', year: '2026', id } });
+
+    await switchTo(second.id);
+    const added = await callHandler(rosterHandler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026', member: { username: 'bananaslug' } } });
+    expect(added.statusCode).toBe(200);
+    const res = await switchTo(first.id);
+
+    expect(res.body.canonicalId).toBe(first.id);
+    const status = await callHandler(statusHandler, { as: 'member', method: 'GET', query: { season: 'spring', year: '2026' } });
+    expect(status.body.id).toBe(first.id);
+    expect(status.body.data.roster.members.map(member => member.username)).toEqual(['slugchess', 'bananaslug']);
+  });
+
+  it('rejects records from another season', async () => {
+    const other = await store.collection('ccl-tournament-info').add({ season: 'fall', year: '2026', source: ANNOUNCEMENT });
+    const res = await callHandler(handler, { as: 'officer', method: 'PUT', body: { season: 'spring', year: '2026', id: other.id } });
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('merges missing links into the canonical record', async () => {
+    await callHandler(handler, { as: 'officer', method: 'PUT', body: { season: 'spring', year: '2026', id: second.id } });
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026', action: 'merge' } });
+
+    expect(res.statusCode).toBe(200);
+    const canonical = res.body.records.find(record => record.canonical);
+    expect(canonical).toMatchObject({
+      id: second.id,
+      pdf: 'https://drive.google.com/file/d/rules/view',
+      registration: 'https://forms.gle/register',
+      fairPlay: 'https://www.chess.com/legal/fair-play',
+      mergedFrom: [RESULTS_PAGE]
+    });
+  });
+
+  it('reports seasons with no records', async () => {
+    const res = await callHandler(handler, { as: 'member', method: 'GET', query: { season: 'fall', year: '2030' } });
+    expect(res.statusCode).toBe(404);
+  });
+});
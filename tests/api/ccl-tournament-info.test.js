@@ -0,0 +1,208 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import handler from '../../pages/api/ccl-tournament-info';
+import extractHandler from '../../pages/api/extract-ccl-info';
+import { callHandler } from '../helpers/http';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+import { readFixture } from '../helpers/recorded-fetch';
+import { fakeLlm, extractionAnswers } from '../helpers/fake-llm';
+import { normalizeTournamentDates } from '../../lib/ccl-dates';
+import { fakeProvider } from '../../lib/llm/fake';
+
+const tournamentInfo = JSON.parse(Buffer.from(readFixture('tests/fixtures/llm-tournament-info.json')).toString('utf8'));
+
+// Round 2 moved back a day by hand
+const withRound2On = (info, date) => ({
+  ...info,
+  regular_season: info.regular_season.map(round => (round.title === 'Regular Season Round 2' ? { title: round.title, date } : round))
+});
+
+describe('/api/ccl-tournament-info', () => {
+  let store;
+  let record;
+
+  const season = { season: 'spring', year: '2026' };
+  const load = () => callHandler(handler, { as: 'member', method: 'GET', query: season });
+  const edit = (info, baseRevision = 0) => callHandler(handler, { as: 'officer', method: 'PUT', body: { ...season, tournamentInfo: info, baseRevision } });
+  const revert = (field, baseRevision) => callHandler(handler, { as: 'officer', method: 'DELETE', body: { ...season, field, baseRevision } });
+
+  beforeEach(async () => {
+    store = await useTempStore();
+    fakeLlm.reset();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    const pdfStorageUrl = await store.files.save('ccl/spring/2026/1_ccl_spring_2026.pdf', readFixture('tests/fixtures/ccl-spring-2026-rules.pdf'), 'application/pdf');
+    const extracted = normalizeTournamentDates(tournamentInfo);
+    record = await store.collection('ccl-tournament-info').add({ ...season, pdfStorageUrl, tournamentInfo: extracted, extractedTournamentInfo: extracted, validationErrors: [] });
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await removeTempStore(store);
+  });
+
+  it('lets members read but not edit', async () => {
+    const res = await load();
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ manualFields: {}, revision: 0, history: [] });
+
+    const denied = await callHandler(handler, { as: 'member', method: 'PUT', body: { ...season, tournamentInfo } });
+    expect(denied.statusCode).toBe(403);
+  });
+
+  it('saves an edit with who changed what and keeps the earlier revision', async () => {
+    const res = await edit(withRound2On(tournamentInfo, '2026-03-16 10:00 AM PT'));
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.tournamentInfo.regular_season[1]).toEqual({ title: 'Regular Season Round 2', date: '2026-03-16 10:00 AM PT', isoDate: '2026-03-16T17:00:00.000Z' });
+    expect(res.body.manualFields).toEqual({ regular_season: { editedBy: 'officer@test.local', editedAt: expect.any(String) } });
+    expect(res.body.revision).toBe(2);
+    expect(res.body.history[1]).toMatchObject({
+      revision: 2,
+      source: 'manual',
+      changedBy: 'officer@test.local',
+      fields: ['regular_season'],
+      changes: [{ field: 'regular_season › Regular Season Round 2', type: 'changed', before: '2026-03-17 10:00 AM PT', after: '2026-03-16 10:00 AM PT' }]
+    });
+    expect(res.body.history[1].tournamentInfo).toBeUndefined();
+
+    const first = await callHandler(handler, { as: 'member', method: 'GET', query: { ...season, revision: '1' } });
+    expect(first.body.revision.tournamentInfo.regular_season[1].date).toBe('2026-03-17 10:00 AM PT');
+  });
+
+  it('keeps replaced revisions in stored files rather than on the record', async () => {
+    await edit(withRound2On(tournamentInfo, '2026-03-16 10:00 AM PT'));
+    await edit(withRound2On(tournamentInfo, '2026-03-15 10:00 AM PT'), 2);
+
+    const saved = await store.collection('ccl-tournament-info').get(record.id);
+    expect(saved.tournamentInfoHistory.map(entry => entry.revision)).toEqual([1, 2, 3]);
+    expect(saved.tournamentInfoHistory.some(entry => entry.tournamentInfo)).toBe(false);
+    expect(await store.files.read('ccl/spring/2026/tournament-info/revision-2.json')).not.toBeNull();
+
+    const dates = [];
+    for (const revision of ['1', '2', '3']) {
+      const res = await callHandler(handler, { as: 'member', method: 'GET', query: { ...season, revision } });
+      dates.push(res.body.revision.tournamentInfo.regular_season[1].date);
+    }
+    expect(dates).toEqual(['2026-03-17 10:00 AM PT', '2026-03-16 10:00 AM PT', '2026-03-15 10:00 AM PT']);
+  });
+
+  it('rejects invalid info and edits made on a stale revision', async () => {
+    const invalid = await edit(withRound2On(tournamentInfo, 'next Tuesday'));
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.errors).toContain('regular_season[1].date "next Tuesday" is not in the format "YYYY-MM-DD HH:MM AM/PM PT"');
+
+    await edit(withRound2On(tournamentInfo, '2026-03-16 10:00 AM PT'));
+    const stale = await edit({ ...tournamentInfo, requirements: { minimum_account_age: 60, minimum_games: 25 } });
+    expect(stale.statusCode).toBe(409);
+  });
+
+  it('requires the revision an edit was made on', async () => {
+    const put = await callHandler(handler, { as: 'officer', method: 'PUT', body: { ...season, tournamentInfo } });
+    expect(put.statusCode).toBe(400);
+    expect(put.body.message).toBe('baseRevision is required');
+
+    const del = await callHandler(handler, { as: 'officer', method: 'DELETE', body: { ...season, field: 'regular_season' } });
+    expect(del.statusCode).toBe(400);
+  });
+
+  it('turns away one of two edits saved at the same time on the same revision', async () => {
+    const results = await Promise.all([
+      edit(withRound2On(tournamentInfo, '2026-03-16 10:00 AM PT')),
+      edit({ ...tournamentInfo, requirements: { minimum_account_age: 60, minimum_games: 25 } })
+    ]);
+
+    expect(results.map(res => res.statusCode).sort()).toEqual([200, 409]);
+    const saved = await store.collection('ccl-tournament-info').get(record.id);
+    expect(saved.tournamentInfoHistory).toHaveLength(2);
+    expect(Object.keys(saved.manualFields)).toHaveLength(1);
+  });
+
+  it('keeps manual edits when the info is extracted again', async () => {
+    await edit({ ...withRound2On(tournamentInfo, '2026-03-16 10:00 AM PT'), requirements: { minimum_account_age: 60, minimum_games: 25 } });
+
+    fakeLlm.queue(...extractionAnswers({ ...tournamentInfo, requirements: { minimum_account_age: 90, minimum_games: 30 } }));
+    const res = await callHandler(extractHandler, { as: 'officer', method: 'POST', body: season });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.tournamentInfo.regular_season[1].date).toBe('2026-03-16 10:00 AM PT');
+    expect(res.body.tournamentInfo.requirements).toEqual({ minimum_account_age: 60, minimum_games: 30 });
+    expect(res.body.preservedFields.map(({ field }) => field)).toEqual(['regular_season', 'requirements.minimum_account_age']);
+
+    const saved = await store.collection('ccl-tournament-info').get(record.id);
+    expect(saved.extractedTournamentInfo.requirements.minimum_account_age).toBe(90);
+    expect(saved.tournamentInfoHistory.at(-1)).toMatchObject({ source: 'extract', changedBy: 'officer@test.local', fields: ['requirements.minimum_games'] });
+  });
+
+  it('keeps an edit saved while the info is being extracted', async () => {
+    // Hold the model's first reply until the officer's edit is saved
+    let modelCalled;
+    const called = new Promise(resolve => { modelCalled = resolve; });
+    let releaseModel;
+    const released = new Promise(resolve => { releaseModel = resolve; });
+    const model = fakeProvider.createChatModel();
+    vi.spyOn(fakeProvider, 'createChatModel').mockReturnValue({
+      invoke: async (input) => {
+        modelCalled();
+        await released;
+        return model.invoke(input);
+      }
+    });
+
+    fakeLlm.queue(...extractionAnswers(tournamentInfo));
+    const extraction = callHandler(extractHandler, { as: 'officer', method: 'POST', body: season });
+    await called;
+    const edited = await edit(withRound2On(tournamentInfo, '2026-03-16 10:00 AM PT'));
+    releaseModel();
+    const extracted = await extraction;
+
+    expect(edited.statusCode).toBe(200);
+    expect(extracted.statusCode).toBe(200);
+    expect(extracted.body.tournamentInfo.regular_season[1].date).toBe('2026-03-16 10:00 AM PT');
+
+    const saved = await store.collection('ccl-tournament-info').get(record.id);
+    expect(Object.keys(saved.manualFields)).toEqual(['regular_season']);
+    expect(saved.tournamentInfo.regular_season[1].date).toBe('2026-03-16 10:00 AM PT');
+    expect(saved.tournamentInfoHistory.map(entry => entry.source)).toEqual(['extract', 'manual', 'extract']);
+  });
+
+  it('goes back to the extracted value for one field', async () => {
+    await edit(withRound2On(tournamentInfo, '2026-03-16 10:00 AM PT'));
+
+    const res = await revert('regular_season', 2);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.manualFields).toEqual({});
+    expect(res.body.tournamentInfo.regular_season[1].date).toBe('2026-03-17 10:00 AM PT');
+    expect(res.body.history.at(-1)).toMatchObject({ source: 'revert', fields: ['regular_season'] });
+
+    const again = await revert('regular_season', 3);
+    expect(again.statusCode).toBe(404);
+  });
+
+  it('hides the rulebook quotes of hand-edited fields until they are reverted', async () => {
+    const citations = {
+      'regular_season › Regular Season Round 2': { page: 1, quote: 'Round 2: March 17, 2026', verified: true },
+      'requirements › minimum_games': { page: 2, quote: 'at least 25 rated blitz games', verified: true }
+    };
+    await store.collection('ccl-tournament-info').update(record.id, { citations });
+
+    const edited = await edit(withRound2On(tournamentInfo, '2026-03-16 10:00 AM PT'));
+    expect(edited.body.citations).toEqual({ 'requirements › minimum_games': citations['requirements › minimum_games'] });
+
+    const reverted = await revert('regular_season', 2);
+    expect(reverted.body.citations).toEqual(citations);
+  });
+
+  it('leaves out quotes for kept manual values when extracting again', async () => {
+    await edit(withRound2On(tournamentInfo, '2026-03-16 10:00 AM PT'));
+
+    const roundTwo = (event) => (event.title === 'Regular Season Round 2' ? { ...event, source: { page: 1, quote: 'Regular Season Round 2' } } : event);
+    fakeLlm.queue(...extractionAnswers({ ...tournamentInfo, regular_season: tournamentInfo.regular_season.map(roundTwo) }));
+    const res = await callHandler(extractHandler, { as: 'officer', method: 'POST', body: season });
+
+    expect(res.body.citations['regular_season › Regular Season Round 2']).toBeUndefined();
+    const saved = await store.collection('ccl-tournament-info').get(record.id);
+    expect(saved.extractedCitations['regular_season › Regular Season Round 2']).toBeDefined();
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import handler from '../../pages/api/cron/discover-season';
+import { callHandler } from '../helpers/http';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+
+describe('/api/cron/discover-season', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = await useTempStore();
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await removeTempStore(store);
+  });
+
+  const request = (query, authorization = 'Bearer cron-test-secret') => ({ method: 'POST', query, headers: { authorization } });
+
+  it('refuses every request while CRON_SECRET is unset', async () => {
+    vi.stubEnv('CRON_SECRET', '');
+    const res = await callHandler(handler, request({ dryRun: '1' }, 'Bearer '));
+    expect(res.statusCode).toBe(503);
+  });
+
+  it('requires the secret once it is set', async () => {
+    vi.stubEnv('CRON_SECRET', 'cron-test-secret');
+    expect((await callHandler(handler, request({ dryRun: '1' }, 'Bearer wrong'))).statusCode).toBe(401);
+
+    const res = await callHandler(handler, request({ dryRun: '1' }));
+    expect(res.statusCode).toBe(200);
+    expect(res.body.skipped.map(entry => entry.reason)).toEqual(['dry-run', 'dry-run']);
+  });
+
+  it('refuses providers this server does not offer', async () => {
+    vi.stubEnv('CRON_SECRET', 'cron-test-secret');
+    vi.stubEnv('CCL_STORAGE_BACKEND', 'firebase');
+
+    const res = await callHandler(handler, request({ provider: 'fixture' }));
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Unknown discovery provider: fixture');
+    expect(await store.collection('ccl-tournament-info').find()).toEqual([]);
+  });
+});
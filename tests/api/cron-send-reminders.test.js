@@ -0,0 +1,37 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import handler from '../../pages/api/cron/send-reminders';
+import { callHandler } from '../helpers/http';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+
+describe('/api/cron/send-reminders', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = await useTempStore();
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await removeTempStore(store);
+  });
+
+  const withSecret = (authorization) => ({ method: 'POST', query: { dryRun: '1' }, headers: authorization ? { authorization } : {} });
+
+  it('refuses every request while CRON_SECRET is unset', async () => {
+    vi.stubEnv('CRON_SECRET', '');
+    const res = await callHandler(handler, withSecret('Bearer '));
+    expect(res.statusCode).toBe(503);
+    expect(res.body.message).toBe('CRON_SECRET is not configured');
+  });
+
+  it('requires the secret once it is set', async () => {
+    vi.stubEnv('CRON_SECRET', 'cron-test-secret');
+
+    expect((await callHandler(handler, withSecret())).statusCode).toBe(401);
+    expect((await callHandler(handler, withSecret('Bearer wrong'))).statusCode).toBe(401);
+
+    const res = await callHandler(handler, withSecret('Bearer cron-test-secret'));
+    expect(res.statusCode).toBe(200);
+    expect(res.body.dryRun).toBe(true);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { generateKeyPairSync, sign } from 'crypto';
+import handler from '../../pages/api/discord/interactions';
+import { createMockResponse, createRawRequest } from '../helpers/http';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+
+const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+// Discord hands out the raw 32-byte key as hex; strip the SPKI header
+const publicKeyHex = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('hex');
+
+async function callInteraction(interaction, { signWith = privateKey } = {}) {
+  const body = JSON.stringify(interaction);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = sign(null, Buffer.from(timestamp + body), signWith).toString('hex');
+
+  const res = createMockResponse();
+  await handler(createRawRequest(body, {
+    headers: { 'content-type': 'application/json', 'x-signature-ed25519': signature, 'x-signature-timestamp': timestamp }
+  }), res);
+  return res;
+}
+
+const command = (name) => ({ type: 2, data: { name: 'ccl', options: [{ type: 1, name }] } });
+
+describe('POST /api/discord/interactions', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = await useTempStore();
+    vi.stubEnv('DISCORD_PUBLIC_KEY', publicKeyHex);
+    vi.stubEnv('CCL_CURRENT_SEASON', 'spring-2099');
+    vi.stubEnv('CCL_PUBLIC_URL', 'https://club.example.com');
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await removeTempStore(store);
+  });
+
+  const seedSeason = () => store.collection('ccl-tournament-info').add({
+    season: 'spring',
+    year: '2099',
+    source: 'https://www.chess.com/news/view/ccl-spring-2099',
+    pdfStorageUrl: '/api/local-files/ccl/spring/2099/rules.pdf',
+    registration: 'https://forms.example.com/ccl',
+    fairPlay: '',
+    platform: '',
+    tournamentInfo: {
+      logistics: [{ title: 'Roster Lock', date: '2099-03-20 11:59 PM PT' }],
+      regular_season: [{ title: 'Regular Season Round 1', date: '2099-03-10 10:00 AM PT' }],
+      divisions: [],
+      requirements: { minimum_account_age: 90, minimum_games: 25 }
+    }
+  });
+
+  it('rejects requests with a bad signature', async () => {
+    const { privateKey: otherKey } = generateKeyPairSync('ed25519');
+    const res = await callInteraction({ type: 1 }, { signWith: otherKey });
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('answers Discord pings', async () => {
+    const res = await callInteraction({ type: 1 });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ type: 1 });
+  });
+
+  it('answers /ccl next with the next event', async () => {
+    await seedSeason();
+    const res = await callInteraction(command('next'));
+
+    expect(res.body.type).toBe(4);
+    expect(res.body.data.content).toBe('Next up for CCL Spring 2099: **Regular Season Round 1** <t:4076845200:F> (<t:4076845200:R>)');
+  });
+
+  it('answers /ccl schedule in date order', async () => {
+    await seedSeason();
+    const res = await callInteraction(command('schedule'));
+
+    expect(res.body.data.content).toBe([
+      '**CCL Spring 2099 schedule**',
+      'Regular Season Round 1: <t:4076845200:f>',
+      'Roster Lock: <t:4077759540:f>'
+    ].join('\n'));
+  });
+
+  it('answers /ccl requirements and /ccl links', async () => {
+    await seedSeason();
+
+    const requirements = await callInteraction(command('requirements'));
+    expect(requirements.body.data.content).toContain('Minimum account age: 90 days');
+    expect(requirements.body.data.content).toContain('Minimum rated blitz games: 25');
+
+    const links = await callInteraction(command('links'));
+    expect(links.body.data.content).toBe([
+      '**CCL Spring 2099 links**',
+      'Announcement: <https://www.chess.com/news/view/ccl-spring-2099>',
+      'Rulebook: <https://club.example.com/api/local-files/ccl/spring/2099/rules.pdf>',
+      'Registration: <https://forms.example.com/ccl>'
+    ].join('\n'));
+  });
+
+  it('explains when the season has not been found', async () => {
+    const res = await callInteraction(command('next'));
+    expect(res.body.data.content).toBe('Nothing has been found for CCL Spring 2099 yet.');
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import handler from '../../pages/api/extract-ccl-info';
+import { callHandler } from '../helpers/http';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+import { readFixture } from '../helpers/recorded-fetch';
+import { fakeLlm, extractionAnswers } from '../helpers/fake-llm';
+import { normalizeTournamentDates } from '../../lib/ccl-dates';
+
+const tournamentInfo = JSON.parse(Buffer.from(readFixture('tests/fixtures/llm-tournament-info.json')).toString('utf8'));
+
+describe('POST /api/extract-ccl-info', () => {
+  let store;
+  let record;
+
+  beforeEach(async () => {
+    store = await useTempStore();
+    fakeLlm.reset();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    const pdfStorageUrl = await store.files.save('ccl/spring/2026/1_ccl_spring_2026.pdf', readFixture('tests/fixtures/ccl-spring-2026-rules.pdf'), 'application/pdf');
+    record = await store.collection('ccl-tournament-info').add({ season: 'spring', year: '2026', pdfStorageUrl });
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await removeTempStore(store);
+  });
+
+  it('rejects other methods with 405', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'GET' });
+    expect(res.statusCode).toBe(405);
+  });
+
+  it('requires season and year', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring' } });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('returns 404 for an unknown season', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'fall', year: '2026' } });
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('returns 400 when the PDF has not been uploaded', async () => {
+    await store.collection('ccl-tournament-info').add({ season: 'fall', year: '2026', pdfStorageUrl: '' });
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'fall', year: '2026' } });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('PDF has not been uploaded yet.');
+  });
+
+  it('extracts each part from its own sections and saves the merged tournament info', async () => {
+    fakeLlm.queue(...extractionAnswers(tournamentInfo).map(answer => '```json\n' + JSON.stringify(answer) + '\n```'));
+
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.tournamentInfo).toEqual(normalizeTournamentDates(tournamentInfo));
+    expect(res.body.tournamentInfo.regular_season[0]).toEqual({ title: 'Regular Season Round 1', date: '2026-03-10 10:00 AM PT', isoDate: '2026-03-10T17:00:00.000Z' });
+    expect(res.body.validationErrors).toEqual([]);
+    expect(res.body.repairAttempts).toBe(0);
+
+    // One call per part, each over just the sections it needs
+    expect(fakeLlm.calls).toHaveLength(4);
+    const [logisticsPrompt, regularPrompt, playoffsPrompt, requirementsPrompt] = fakeLlm.calls.map(call => call[0][1]);
+    expect(logisticsPrompt).toContain('[Page 1]\n1. Logistics');
+    expect(logisticsPrompt).not.toContain('2. Schedule');
+    expect(regularPrompt).toContain('Round 2: March 17, 2026');
+    expect(playoffsPrompt).toContain('[Page 2]\n3. Playoffs');
+    expect(playoffsPrompt).not.toContain('5.4.3');
+    expect(requirementsPrompt).toContain('5.4.3 Players must have completed at least 25 rated blitz games');
+    expect(requirementsPrompt).not.toContain('Registration opens');
+
+    expect(res.body.usage).toMatchObject({ calls: 4, totalTokens: expect.any(Number) });
+    expect(res.body.usage.totalTokens).toBe(res.body.usage.inputTokens + res.body.usage.outputTokens);
+    expect(res.body.usage.byTask.requirements).toMatchObject({ calls: 1, sections: ['5. Player Eligibility'] });
+
+    const saved = await store.collection('ccl-tournament-info').get(record.id);
+    expect(saved.tournamentInfo).toEqual(normalizeTournamentDates(tournamentInfo));
+    expect(saved.validationErrors).toEqual([]);
+    expect(saved.extractedAt).toEqual(expect.any(String));
+    expect(saved.extractionUsage.calls).toBe(4);
+
+    // The extracted info is kept with its rulebook version, in a file
+    expect(saved.pdfVersions).toEqual([expect.objectContaining({ version: 1, pdfStorageUrl: saved.pdfStorageUrl, extractedAt: saved.extractedAt })]);
+    expect(saved.pdfVersions[0].tournamentInfo).toBeUndefined();
+    const stored = await store.files.read('ccl/spring/2026/tournament-info/pdf-version-1.json');
+    expect(JSON.parse(stored.toString('utf8'))).toEqual(saved.extractedTournamentInfo);
+  });
+
+  it('re-prompts only the part that failed validation and saves the repaired answer', async () => {
+    const broken = { ...tournamentInfo, requirements: { minimum_account_age: 90, minimum_games: '25' } };
+    fakeLlm.queue(...extractionAnswers(broken), { requirements: tournamentInfo.requirements });
+
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.repairAttempts).toBe(1);
+    expect(res.body.validationErrors).toEqual([]);
+
+    expect(fakeLlm.calls).toHaveLength(5);
+    const repairPrompt = fakeLlm.calls[4].at(-1)[1];
+    expect(repairPrompt).toContain('requirements.minimum_games must be a non-negative integer, got "25"');
+    expect(fakeLlm.calls[4][0][1]).toContain('"minimum_account_age"');
+    expect(res.body.usage.byTask.requirements.calls).toBe(2);
+
+    const saved = await store.collection('ccl-tournament-info').get(record.id);
+    expect(saved.tournamentInfo.requirements.minimum_games).toBe(25);
+  });
+
+  it('saves the answer with its remaining problems once repairs run out', async () => {
+    const broken = { ...tournamentInfo, regular_season: [] };
+    fakeLlm.queue(...extractionAnswers(broken), { regular_season: [] }, { regular_season: [] });
+
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.repairAttempts).toBe(2);
+    expect(res.body.validationErrors).toEqual(['regular_season must contain at least one entry']);
+
+    const saved = await store.collection('ccl-tournament-info').get(record.id);
+    expect(saved.validationErrors).toEqual(['regular_season must contain at least one entry']);
+  });
+
+  it('returns 500 when the model never returns JSON', async () => {
+    // Every part, on every attempt
+    fakeLlm.queue(...Array(12).fill('Sorry, I cannot help with that.'));
+
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026' } });
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toBe('Failed to parse LLM response');
+    expect((await store.collection('ccl-tournament-info').get(record.id)).tournamentInfo).toBeUndefined();
+  });
+
+  it('keeps a verified page and quote for each cited value', async () => {
+    const cited = {
+      ...tournamentInfo,
+      logistics: tournamentInfo.logistics.map(event => (event.title === 'Roster Lock'
+        ? { ...event, source: { page: 1, quote: '1.4 Rosters lock on March 20, 2026 at 11:59 PM PT.' } }
+        : event)),
+      requirement_sources: {
+        minimum_account_age: { page: 2, quote: 'Player accounts must be at least 90 days old at the time of roster lock.' },
+        minimum_games: { page: 2, quote: 'Players must have completed at least 30 rated blitz games.' }
+      }
+    };
+    fakeLlm.queue(...extractionAnswers(cited));
+
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.tournamentInfo).toEqual(normalizeTournamentDates(tournamentInfo));
+    expect(res.body.citations).toEqual({
+      'logistics › Roster Lock': { page: 1, quote: '1.4 Rosters lock on March 20, 2026 at 11:59 PM PT.', verified: true },
+      'requirements › minimum_account_age': { page: 2, quote: 'Player accounts must be at least 90 days old at the time of roster lock.', verified: true },
+      'requirements › minimum_games': { page: 2, quote: 'Players must have completed at least 30 rated blitz games.', verified: false }
+    });
+    expect(fakeLlm.calls[3][0][1]).toContain('[Page 2]\n5. Player Eligibility');
+
+    const saved = await store.collection('ccl-tournament-info').get(record.id);
+    expect(saved.citations['logistics › Roster Lock'].page).toBe(1);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import handler from '../../pages/api/get-ccl-status';
+import { callHandler } from '../helpers/http';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+
+describe('GET /api/get-ccl-status', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = await useTempStore();
+  });
+
+  afterEach(async () => {
+    await removeTempStore(store);
+  });
+
+  it('rejects other methods with 405', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'POST' });
+    expect(res.statusCode).toBe(405);
+  });
+
+  it('requires season and year', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'GET', query: { season: 'spring' } });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('reports missing seasons', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'GET', query: { season: 'spring', year: '2026' } });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ exists: false });
+  });
+
+  it('returns the stored record for the season', async () => {
+    const record = await store.collection('ccl-tournament-info').add({ season: 'spring', year: '2026', source: 'https://www.chess.com/news/view/ccl', pdfStorageUrl: '' });
+    await store.collection('ccl-tournament-info').add({ season: 'fall', year: '2026', source: 'https://www.chess.com/news/view/other' });
+
+    const res = await callHandler(handler, { as: 'officer', method: 'GET', query: { season: 'spring', year: '2026' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      exists: true,
+      id: record.id,
+      data: { season: 'spring', year: '2026', source: 'https://www.chess.com/news/view/ccl', pdfStorageUrl: '' }
+    });
+  });
+});
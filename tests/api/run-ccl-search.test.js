@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import handler from '../../pages/api/run-ccl-search';
+import { callHandler } from '../helpers/http';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+import { createRecordedFetch } from '../helpers/recorded-fetch';
+import { spring2026Recordings, SPRING_2026_ANNOUNCEMENT, SPRING_2026_DRIVE_LINK } from '../helpers/recordings';
+
+describe('POST /api/run-ccl-search', () => {
+  let store;
+  let recordedFetch;
+
+  beforeEach(async () => {
+    store = await useTempStore();
+    recordedFetch = createRecordedFetch(spring2026Recordings());
+    vi.stubGlobal('fetch', recordedFetch);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    await removeTempStore(store);
+  });
+
+  it('rejects other methods with 405', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'GET' });
+    expect(res.statusCode).toBe(405);
+  });
+
+  it('requires season and year', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring' } });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Season and year are required');
+  });
+
+  it('rejects unknown discovery providers', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026', provider: 'bing' } });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('requires URLs for the manual provider', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026', provider: 'manual', urls: 'not a url' } });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('filters Perplexity citations, classifies links and saves one record per source', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026', provider: 'perplexity' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.sources).toEqual([
+      SPRING_2026_ANNOUNCEMENT,
+      'https://www.chess.com/news/view/ccl-spring-2026-missing-page'
+    ]);
+    expect(res.body.answer).toContain('Spring 2026');
+
+    // The missing page 404s and is skipped
+    expect(res.body.scrapedData).toHaveLength(1);
+    expect(res.body.scrapedData[0]).toEqual({
+      url: SPRING_2026_ANNOUNCEMENT,
+      pdf: [SPRING_2026_DRIVE_LINK],
+      instructions: ['https://www.chess.com/blog/CollegiateChessLeague/ccl-captain-instructions'],
+      registration: ['https://forms.gle/CclSpring2026Reg'],
+      fairPlay: ['https://www.chess.com/legal/fairplay-agreement'],
+      platform: ['https://pcl.gg/ccl']
+    });
+
+    const records = await store.collection('ccl-tournament-info').find();
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({
+      season: 'spring',
+      year: '2026',
+      source: SPRING_2026_ANNOUNCEMENT,
+      discoveryProvider: 'perplexity',
+      canonical: true,
+      pdf: SPRING_2026_DRIVE_LINK,
+      pdfStorageUrl: '',
+      registration: 'https://forms.gle/CclSpring2026Reg',
+      fairPlay: 'https://www.chess.com/legal/fairplay-agreement',
+      platform: 'https://pcl.gg/ccl'
+    });
+
+    const perplexityCall = recordedFetch.calls.find(call => call.url.includes('perplexity'));
+    expect(JSON.parse(perplexityCall.body).messages[0].content).toBe('Collegiate Chess League Spring 2026 site:chess.com');
+  });
+
+  it('does not search again when the season already exists', async () => {
+    await store.collection('ccl-tournament-info').add({ season: 'spring', year: '2026', source: SPRING_2026_ANNOUNCEMENT });
+
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.exists).toBe(true);
+    expect(res.body.savedData).toEqual([{ season: 'spring', year: '2026', source: SPRING_2026_ANNOUNCEMENT }]);
+    expect(recordedFetch.calls).toHaveLength(0);
+  });
+
+  it('saves the season once when two searches run at once', async () => {
+    const search = () => callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026', provider: 'perplexity' } });
+
+    const results = await Promise.all([search(), search()]);
+
+    expect(results.map(res => res.statusCode).sort()).toEqual([200, 409]);
+    expect(results.find(res => res.statusCode === 409).body.message).toBe('A search for spring 2026 is already running.');
+    expect(await store.collection('ccl-tournament-info').find({ season: 'spring', year: '2026' })).toHaveLength(1);
+
+    const again = await search();
+    expect(again.body.exists).toBe(true);
+  });
+
+  it('runs entirely from the local fixture provider', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026', provider: 'fixture' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.savedData).toHaveLength(1);
+    expect(res.body.savedData[0].pdf).toBe(SPRING_2026_DRIVE_LINK);
+    expect(recordedFetch.calls).toHaveLength(0);
+  });
+
+  it('refuses the fixture provider outside the local backend', async () => {
+    vi.stubEnv('CCL_STORAGE_BACKEND', 'firebase');
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026', provider: 'fixture' } });
+
+    expect(res.statusCode).toBe(400);
+    expect(await store.collection('ccl-tournament-info').find()).toEqual([]);
+  });
+
+  it('scrapes pasted URLs without season filtering', async () => {
+    const res = await callHandler(handler, {
+      as: 'officer',
+      method: 'POST',
+      body: { season: 'fall', year: '2026', provider: 'manual', urls: `${SPRING_2026_ANNOUNCEMENT}\nhttps://example.com/nothing` }
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.sources).toHaveLength(2);
+    expect(res.body.savedData).toHaveLength(1);
+    expect(res.body.savedData[0]).toMatchObject({ season: 'fall', year: '2026', discoveryProvider: 'manual' });
+  });
+
+  it('returns 500 when Perplexity fails', async () => {
+    vi.stubGlobal('fetch', createRecordedFetch({
+      'https://api.perplexity.ai/chat/completions': { status: 429, body: { error: 'rate limited' } }
+    }));
+
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026', provider: 'perplexity' } });
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toContain('429');
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import handler from '../../pages/api/upload-ccl-pdf-file';
+import { createMockResponse, createMultipartRequest } from '../helpers/http';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+import { readFixture } from '../helpers/recorded-fetch';
+
+const pdfBytes = readFixture('tests/fixtures/ccl-spring-2026-rules.pdf');
+const pdfUpload = { blob: new Blob([pdfBytes], { type: 'application/pdf' }), filename: 'rules.pdf' };
+
+async function upload(fields, options) {
+  const res = createMockResponse();
+  await handler(await createMultipartRequest(fields, { as: 'officer', ...options }), res);
+  return res;
+}
+
+describe('POST /api/upload-ccl-pdf-file', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = await useTempStore();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await removeTempStore(store);
+  });
+
+  it('rejects other methods with 405', async () => {
+    const res = await upload({}, { method: 'GET' });
+    expect(res.statusCode).toBe(405);
+  });
+
+  it('requires season, year and a file', async () => {
+    expect((await upload({ season: 'spring', file: pdfUpload })).statusCode).toBe(400);
+    expect((await upload({ season: 'spring', year: '2026' })).statusCode).toBe(400);
+  });
+
+  it('rejects files that are not PDFs', async () => {
+    const wrongType = { blob: new Blob(['hello'], { type: 'text/plain' }), filename: 'rules.txt' };
+    expect((await upload({ season: 'spring', year: '2026', file: wrongType })).statusCode).toBe(415);
+
+    const fakePdf = { blob: new Blob(['<html>not a pdf</html>'], { type: 'application/pdf' }), filename: 'rules.pdf' };
+    const res = await upload({ season: 'spring', year: '2026', file: fakePdf });
+    expect(res.statusCode).toBe(415);
+    expect(res.body.message).toBe('Uploaded file is not a PDF');
+  });
+
+  it('rejects uploads over the size limit', async () => {
+    const huge = { blob: new Blob([new Uint8Array(21 * 1024 * 1024)], { type: 'application/pdf' }), filename: 'huge.pdf' };
+    const res = await upload({ season: 'spring', year: '2026', file: huge });
+    expect(res.statusCode).toBe(413);
+  });
+
+  it('returns 404 when the season has not been searched', async () => {
+    const res = await upload({ season: 'spring', year: '2026', file: pdfUpload });
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('stores the PDF under ccl/{season}/{year}/ and links it to the season', async () => {
+    const record = await store.collection('ccl-tournament-info').add({ season: 'spring', year: '2026', pdf: '', pdfStorageUrl: '' });
+
+    const res = await upload({ season: 'spring', year: '2026', file: pdfUpload });
+
+    expect(res.statusCode).toBe(200);
+    const { pdfStorageUrl } = res.body.updatedDocs[0];
+    expect(pdfStorageUrl).toMatch(/^\/api\/local-files\/ccl\/spring\/2026\/\d+_ccl_spring_2026\.pdf$/);
+
+    const saved = await store.collection('ccl-tournament-info').get(record.id);
+    expect(saved).toMatchObject({ pdfStorageUrl, pdfUploadedFileName: 'rules.pdf' });
+    expect(new Uint8Array(await store.files.read(pdfStorageUrl))).toEqual(pdfBytes);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import handler from '../../pages/api/upload-ccl-pdf';
+import { callHandler } from '../helpers/http';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+import { createRecordedFetch, readFixture } from '../helpers/recorded-fetch';
+import { spring2026Recordings, SPRING_2026_DRIVE_LINK, SPRING_2026_DRIVE_DOWNLOAD } from '../helpers/recordings';
+
+describe('POST /api/upload-ccl-pdf', () => {
+  let store;
+  let recordedFetch;
+
+  beforeEach(async () => {
+    store = await useTempStore();
+    recordedFetch = createRecordedFetch(spring2026Recordings());
+    vi.stubGlobal('fetch', recordedFetch);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    await removeTempStore(store);
+  });
+
+  it('rejects other methods with 405', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'GET' });
+    expect(res.statusCode).toBe(405);
+  });
+
+  it('requires season and year', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { year: '2026' } });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('returns 404 when the season has not been searched', async () => {
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026' } });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('No tournament info found for spring 2026.');
+  });
+
+  it('downloads the Drive PDF, stores it under ccl/{season}/{year}/ and links it', async () => {
+    const record = await store.collection('ccl-tournament-info').add({ season: 'spring', year: '2026', pdf: SPRING_2026_DRIVE_LINK, pdfStorageUrl: '' });
+
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(recordedFetch.calls.map(call => call.url)).toEqual([SPRING_2026_DRIVE_DOWNLOAD]);
+    expect(res.body.updatedDocs).toHaveLength(1);
+
+    const { pdfStorageUrl } = res.body.updatedDocs[0];
+    expect(pdfStorageUrl).toMatch(/^\/api\/local-files\/ccl\/spring\/2026\/\d+_ccl_spring_2026\.pdf$/);
+
+    const saved = await store.collection('ccl-tournament-info').get(record.id);
+    expect(saved.pdfStorageUrl).toBe(pdfStorageUrl);
+
+    const stored = await store.files.read(pdfStorageUrl);
+    expect(new Uint8Array(stored)).toEqual(readFixture('tests/fixtures/ccl-spring-2026-rules.pdf'));
+  });
+
+  it('skips records that already have a stored PDF', async () => {
+    await store.collection('ccl-tournament-info').add({ season: 'spring', year: '2026', pdf: SPRING_2026_DRIVE_LINK, pdfStorageUrl: '/api/local-files/ccl/spring/2026/old.pdf' });
+
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.updatedDocs[0]).toMatchObject({ exists: true, pdfStorageUrl: '/api/local-files/ccl/spring/2026/old.pdf' });
+    expect(recordedFetch.calls).toHaveLength(0);
+  });
+
+  it('leaves the record untouched when the download fails', async () => {
+    vi.stubGlobal('fetch', createRecordedFetch({}));
+    const record = await store.collection('ccl-tournament-info').add({ season: 'spring', year: '2026', pdf: SPRING_2026_DRIVE_LINK, pdfStorageUrl: '' });
+
+    const res = await callHandler(handler, { as: 'officer', method: 'POST', body: { season: 'spring', year: '2026' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.updatedDocs).toEqual([]);
+    expect(res.body.needsManualUpload).toBe(true);
+    expect(res.body.failedDocs).toEqual([{ id: record.id, pdf: SPRING_2026_DRIVE_LINK, error: `Failed to download ${SPRING_2026_DRIVE_DOWNLOAD}: 404` }]);
+    expect((await store.collection('ccl-tournament-info').get(record.id)).pdfStorageUrl).toBe('');
+  });
+});
@@ -0,0 +1,12 @@
+// The scripted model itself is the "fake" LLM provider (lib/llm/fake.js),
+// which vitest.config.mjs selects for every test
+export { fakeLlm } from '../../lib/llm/fake';
+
+/**
+ * The replies section-by-section extraction expects, in task order
+ * (logistics, regular season, playoffs, requirements), cut from one full answer.
+ */
+export function extractionAnswers(info) {
+  const { logistics, regular_season, divisions, requirements, requirement_sources } = info;
+  return [{ logistics }, { regular_season }, { divisions }, { requirements, requirement_sources }];
+}
@@ -0,0 +1,92 @@
+import { Readable } from 'stream';
+
+/**
+ * Authorization header for a signed-in test user. The test environment
+ * (vitest.config.mjs) makes officer@test.local an officer and any other
+ * @test.local address a member.
+ */
+export function authHeaders(role) {
+  return role ? { authorization: `Bearer local:${role}@test.local` } : {};
+}
+
+/**
+ * Minimal stand-ins for the Next.js API request/response objects.
+ * `as` signs the request in as 'officer' or 'member'.
+ */
+export function createMockRequest({ method = 'GET', query = {}, body = {}, headers = {}, as } = {}) {
+  return { method, query, body, headers: { ...authHeaders(as), ...headers } };
+}
+
+export function createMockResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      this.body = data;
+      return this;
+    },
+    send(data) {
+      this.body = data;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    }
+  };
+}
+
+/**
+ * Run an API route handler and return the mock response it wrote to.
+ */
+export async function callHandler(handler, request) {
+  const res = createMockResponse();
+  await handler(createMockRequest(request), res);
+  return res;
+}
+
+/**
+ * Build a streaming request carrying a multipart/form-data body, for routes
+ * that turn off Next's body parser. `fields` values may be strings or Blobs.
+ */
+export async function createMultipartRequest(fields, { method = 'POST', as } = {}) {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(fields)) {
+    if (value && typeof value === 'object' && 'blob' in value) {
+      form.append(name, value.blob, value.filename);
+    } else {
+      form.append(name, value);
+    }
+  }
+
+  const encoded = new Request('http://localhost/', { method: 'POST', body: form });
+  const body = Buffer.from(await encoded.arrayBuffer());
+
+  const req = Readable.from([body]);
+  req.method = method;
+  req.query = {};
+  req.headers = {
+    ...authHeaders(as),
+    'content-type': encoded.headers.get('content-type'),
+    'content-length': String(body.length)
+  };
+  return req;
+}
+
+/**
+ * Build a streaming request with a raw body, for routes that read the
+ * exact bytes themselves (e.g. to check a signature).
+ */
+export function createRawRequest(body, { method = 'POST', headers = {} } = {}) {
+  const bytes = Buffer.from(body);
+  const req = Readable.from([bytes]);
+  req.method = method;
+  req.query = {};
+  req.headers = { 'content-length': String(bytes.length), ...headers };
+  return req;
+}
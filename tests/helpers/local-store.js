@@ -0,0 +1,20 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createLocalStore } from '../../lib/store/local-store';
+import { setStore } from '../../lib/store';
+
+/**
+ * Point the app at a local store in a fresh temp directory.
+ */
+export async function useTempStore() {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ccl-test-'));
+  const store = createLocalStore({ dataDir });
+  setStore(store);
+  return store;
+}
+
+export async function removeTempStore(store) {
+  setStore(null);
+  await fs.rm(store.dataDir, { recursive: true, force: true });
+}
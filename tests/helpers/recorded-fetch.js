@@ -0,0 +1,48 @@
+import fs from 'fs';
+import path from 'path';
+
+const fixturesRoot = path.join(import.meta.dirname, '..', '..');
+
+/**
+ * Read a fixture relative to the repository root as a plain Uint8Array.
+ */
+export function readFixture(relativePath) {
+  return new Uint8Array(fs.readFileSync(path.join(fixturesRoot, relativePath)));
+}
+
+/**
+ * Build a fetch replacement that replays recorded responses by URL.
+ * Each recording is { status?, headers?, body } where body is a string,
+ * Uint8Array or an object (sent as JSON), or { redirectTo } to send the
+ * request on to another recording. Unknown URLs get a 404.
+ */
+export function createRecordedFetch(recordings) {
+  const calls = [];
+
+  const recordedFetch = async (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input.url;
+    calls.push({ url, method: init.method || 'GET', body: init.body });
+
+    const recording = recordings[url];
+    if (!recording) {
+      return new Response('Not found', { status: 404, statusText: 'Not Found' });
+    }
+
+    // Follow redirects the way fetch does by default
+    if (recording.redirectTo) {
+      return recordedFetch(recording.redirectTo, init);
+    }
+
+    const isJson = recording.body && !(recording.body instanceof Uint8Array) && typeof recording.body === 'object';
+    return new Response(isJson ? JSON.stringify(recording.body) : recording.body, {
+      status: recording.status || 200,
+      headers: {
+        ...(isJson ? { 'Content-Type': 'application/json' } : {}),
+        ...recording.headers
+      }
+    });
+  };
+
+  recordedFetch.calls = calls;
+  return recordedFetch;
+}
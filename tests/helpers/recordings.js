@@ -0,0 +1,31 @@
+import { readFixture } from './recorded-fetch';
+
+export const SPRING_2026_ANNOUNCEMENT = 'https://www.chess.com/news/view/collegiate-chess-league-spring-2026';
+export const SPRING_2026_DRIVE_LINK = 'https://drive.google.com/file/d/1AbCdEfGhIjKlMnOpQrStUvWxYz012345/view?usp=sharing';
+export const SPRING_2026_DRIVE_DOWNLOAD = 'https://drive.google.com/uc?export=download&id=1AbCdEfGhIjKlMnOpQrStUvWxYz012345';
+
+const decode = (bytes) => Buffer.from(bytes).toString('utf8');
+
+/**
+ * Recorded responses for a full Spring 2026 run: the Perplexity answer,
+ * the chess.com pages it cites and the rulebook on Google Drive.
+ */
+export function spring2026Recordings() {
+  return {
+    'https://api.perplexity.ai/chat/completions': {
+      body: JSON.parse(decode(readFixture('tests/fixtures/perplexity-spring-2026.json')))
+    },
+    [SPRING_2026_ANNOUNCEMENT]: {
+      body: decode(readFixture('fixtures/discovery/ccl-spring-2026-announcement.html')),
+      headers: { 'Content-Type': 'text/html' }
+    },
+    'https://www.chess.com/news/view/collegiate-chess-league-fall-2025-results': {
+      body: decode(readFixture('fixtures/discovery/ccl-fall-2025-results.html')),
+      headers: { 'Content-Type': 'text/html' }
+    },
+    [SPRING_2026_DRIVE_DOWNLOAD]: {
+      body: readFixture('tests/fixtures/ccl-spring-2026-rules.pdf'),
+      headers: { 'Content-Type': 'application/pdf' }
+    }
+  };
+}
@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { generateKeyPairSync, sign } from 'crypto';
+import { verifyFirebaseIdToken, resolveRole, withAuth, clearCertCache } from '../../lib/auth';
+import runSearchHandler from '../../pages/api/run-ccl-search';
+import statusHandler from '../../pages/api/get-ccl-status';
+import { callHandler } from '../helpers/http';
+import { createRecordedFetch } from '../helpers/recorded-fetch';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+
+const adminAuth = vi.hoisted(() => ({ verifyIdToken: null }));
+vi.mock('../../lib/firebase-admin', async (importOriginal) => ({
+  ...await importOriginal(),
+  getAdminAuth: () => adminAuth
+}));
+
+const CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+const PROJECT = 'ucsc-chess-club-test';
+const now = Date.UTC(2026, 2, 1);
+
+const { publicKey, privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function signToken(claims, { kid = 'key-1', key = privateKey } = {}) {
+  const header = encode({ alg: 'RS256', kid, typ: 'JWT' });
+  const payload = encode({
+    aud: PROJECT,
+    iss: `https://securetoken.google.com/${PROJECT}`,
+    sub: 'uid-123',
+    iat: now / 1000 - 60,
+    exp: now / 1000 + 3600,
+    ...claims
+  });
+  const signature = sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), key).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+describe('verifyFirebaseIdToken', () => {
+  beforeEach(() => {
+    clearCertCache();
+    vi.stubGlobal('fetch', createRecordedFetch({
+      [CERTS_URL]: { body: { 'key-1': publicKey.export({ type: 'spki', format: 'pem' }) }, headers: { 'Cache-Control': 'public, max-age=3600' } }
+    }));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const options = { projectId: PROJECT, now };
+
+  it('returns the claims of a valid token', async () => {
+    const claims = await verifyFirebaseIdToken(signToken({ email: 'slug@ucsc.edu', email_verified: true }), options);
+    expect(claims).toMatchObject({ sub: 'uid-123', email: 'slug@ucsc.edu' });
+  });
+
+  it('caches the signing keys', async () => {
+    await verifyFirebaseIdToken(signToken({}), options);
+    await verifyFirebaseIdToken(signToken({}), options);
+    expect(fetch.calls).toHaveLength(1);
+  });
+
+  it('rejects tokens signed with another key', async () => {
+    const { privateKey: otherKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    await expect(verifyFirebaseIdToken(signToken({}, { key: otherKey }), options)).rejects.toThrow('Invalid ID token signature');
+    await expect(verifyFirebaseIdToken(signToken({}, { kid: 'key-2' }), options)).rejects.toThrow('unknown key');
+  });
+
+  it('rejects expired tokens and tokens for other projects', async () => {
+    await expect(verifyFirebaseIdToken(signToken({ exp: now / 1000 - 1 }), options)).rejects.toThrow('expired');
+    await expect(verifyFirebaseIdToken(signToken({ aud: 'someone-else' }), options)).rejects.toThrow('different project');
+    await expect(verifyFirebaseIdToken('not-a-token', options)).rejects.toThrow('Malformed');
+  });
+});
+
+describe('resolveRole', () => {
+  const env = { CCL_OFFICER_EMAILS: 'Captain@ucsc.edu, president@gmail.com' };
+
+  it('maps emails to roles', () => {
+    expect(resolveRole({ email: 'captain@ucsc.edu', email_verified: true }, env)).toBe('officer');
+    expect(resolveRole({ email: 'president@gmail.com', email_verified: true }, env)).toBe('officer');
+    expect(resolveRole({ email: 'slug@ucsc.edu', email_verified: true }, env)).toBe('member');
+    expect(resolveRole({ email: 'someone@gmail.com', email_verified: true }, env)).toBe('public');
+    expect(resolveRole({ email: 'slug@ucsc.edu', email_verified: false }, env)).toBe('public');
+  });
+});
+
+describe('withAuth', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = await useTempStore();
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await removeTempStore(store);
+  });
+
+  const search = (as) => callHandler(runSearchHandler, { as, method: 'POST', body: {} });
+
+  it('requires sign-in for pipeline routes', async () => {
+    const res = await search();
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toEqual({ message: 'Sign in required' });
+  });
+
+  it('keeps members read-only', async () => {
+    expect((await search('member')).statusCode).toBe(403);
+
+    const status = await callHandler(statusHandler, { as: 'member', method: 'GET', query: { season: 'spring', year: '2026' } });
+    expect(status.statusCode).toBe(200);
+  });
+
+  it('lets officers through', async () => {
+    // Reaches the route's own validation
+    expect((await search('officer')).statusCode).toBe(400);
+  });
+
+  it('only accepts local tokens when local sign-in is turned on', async () => {
+    vi.stubEnv('CCL_LOCAL_AUTH', '');
+    const res = await search('officer');
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe('Local sign-in is not enabled');
+  });
+
+  it('never accepts local tokens in production', async () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    expect((await search('officer')).statusCode).toBe(401);
+  });
+
+  it('picks the required role by method', async () => {
+    const handler = withAuth((req, res) => res.status(200).json({ role: req.user.role }), { GET: 'public', default: 'officer' });
+
+    expect((await callHandler(handler, { method: 'GET' })).body).toEqual({ role: 'public' });
+    expect((await callHandler(handler, { method: 'DELETE', as: 'member' })).statusCode).toBe(403);
+  });
+
+  it('verifies ID tokens with the Admin SDK when the server has a service account', async () => {
+    vi.stubEnv('FIREBASE_SERVICE_ACCOUNT', '{}');
+    adminAuth.verifyIdToken = vi.fn(async (token) => {
+      if (token !== 'good-token') throw Object.assign(new Error('Decoding failed'), { code: 'auth/argument-error' });
+      return { sub: 'uid-123', email: 'officer@test.local', email_verified: true };
+    });
+    const handler = withAuth((req, res) => res.status(200).json(req.user), 'officer');
+    const call = (token) => callHandler(handler, { method: 'GET', headers: { authorization: `Bearer ${token}` } });
+
+    expect((await call('good-token')).body).toEqual({ uid: 'uid-123', email: 'officer@test.local', role: 'officer' });
+    expect(await call('bad-token')).toMatchObject({ statusCode: 401, body: { message: 'Invalid ID token' } });
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { buildSeasonCalendar, collectCalendarEvents } from '../../lib/ccl-calendar';
+
+const tournamentInfo = {
+  logistics: [
+    // Pacific Standard Time
+    { title: 'Registration Closes', date: '2026-02-20 11:59 PM PT' },
+    { title: 'No date yet', date: 'TBD' }
+  ],
+  regular_season: [
+    // Pacific Daylight Time (DST starts 2026-03-08)
+    { title: 'Round 2, Part A; rescheduled', date: '2026-03-17 10:00 AM PT' }
+  ],
+  divisions: [
+    { division: 1, playoff_rounds: [{ title: 'Final', date: '2026-04-19 11:00 AM PT' }] }
+  ]
+};
+
+const build = (info = tournamentInfo, extra = {}) => buildSeasonCalendar({
+  season: 'spring',
+  year: '2026',
+  tournamentInfo: info,
+  source: 'https://www.chess.com/announcements/view/collegiate-chess-league-spring-2026-season-registration-is-now-open',
+  updatedAt: '2026-02-01T12:00:00.000Z',
+  ...extra
+});
+
+// Undo RFC 5545 line folding
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+
+const eventBlocks = (ics) => unfold(ics).split('BEGIN:VEVENT').slice(1);
+
+describe('collectCalendarEvents', () => {
+  it('gives each event a UID from the season and title only', () => {
+    const events = collectCalendarEvents('spring', '2026', tournamentInfo);
+    expect(events.map(event => event.uid)).toEqual([
+      'ccl-spring-2026-logistics-registration-closes@ucsc-chess-club',
+      'ccl-spring-2026-regular-season-round-2-part-a-rescheduled@ucsc-chess-club',
+      'ccl-spring-2026-division-1-final@ucsc-chess-club'
+    ]);
+
+    const moved = collectCalendarEvents('spring', '2026', {
+      ...tournamentInfo,
+      logistics: [{ title: 'Registration Closes', date: '2026-02-27 11:59 PM PT' }]
+    });
+    expect(moved[0].uid).toBe(events[0].uid);
+  });
+});
+
+describe('buildSeasonCalendar', () => {
+  it('writes CRLF lines no longer than 75 octets', () => {
+    const ics = build();
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics.replace(/\r\n/g, '')).not.toContain('\n');
+    for (const line of ics.split('\r\n')) {
+      expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+    }
+    // The long URL was folded and comes back whole
+    expect(ics).not.toContain('URL:https://www.chess.com/announcements/view/collegiate-chess-league-spring-2026-season-registration-is-now-open');
+    expect(unfold(ics)).toContain('URL:https://www.chess.com/announcements/view/collegiate-chess-league-spring-2026-season-registration-is-now-open');
+  });
+
+  it('defines Pacific time with both its standard and daylight rules', () => {
+    const ics = unfold(build());
+    expect(ics).toContain('BEGIN:VTIMEZONE\r\nTZID:America/Los_Angeles');
+    expect(ics).toContain('TZNAME:PDT\r\nDTSTART:19700308T020000\r\nRRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU');
+    expect(ics).toContain('TZNAME:PST\r\nDTSTART:19701101T020000\r\nRRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU');
+  });
+
+  it('keeps wall-clock times in Pacific time on both sides of DST', () => {
+    const [deadline, round] = eventBlocks(build());
+    expect(deadline).toContain('DTSTART;TZID=America/Los_Angeles:20260220T235900');
+    expect(round).toContain('DTSTART;TZID=America/Los_Angeles:20260317T100000');
+    expect(deadline).toContain('DTSTAMP:20260201T120000Z');
+  });
+
+  it('escapes commas, semicolons and newlines in text', () => {
+    const [, round] = eventBlocks(build());
+    expect(round).toContain('SUMMARY:CCL Round 2\\, Part A\\; rescheduled');
+    expect(round).toContain('DESCRIPTION:Collegiate Chess League Spring 2026\\n2026-03-17 10:00 AM PT');
+  });
+
+  it('reminds a day before deadlines and an hour before rounds', () => {
+    const [deadline, round, final] = eventBlocks(build());
+
+    expect(deadline).toContain('TRIGGER:-P1D');
+    expect(deadline).toContain('TRANSP:TRANSPARENT');
+    expect(deadline).not.toContain('DURATION:');
+
+    expect(round).toContain('TRIGGER:-PT1H');
+    expect(round).toContain('DURATION:PT2H');
+    expect(final).toContain('SUMMARY:CCL Division 1 Playoffs: Final');
+  });
+
+  it('leaves out entries whose date cannot be read', () => {
+    expect(eventBlocks(build())).toHaveLength(3);
+    expect(unfold(build())).not.toContain('No date yet');
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { parseCclDate, toIsoInstant, isPacificDaylightTime, normalizeTournamentDates } from '../../lib/ccl-dates';
+
+describe('parseCclDate', () => {
+  it('reads the wall-clock parts', () => {
+    expect(parseCclDate('2026-03-10 10:00 AM PT')).toEqual({ year: 2026, month: 3, day: 10, hour: 10, minute: 0, zone: 'PT' });
+    expect(parseCclDate('2026-02-20 11:59 PM PT')).toMatchObject({ hour: 23, minute: 59 });
+    expect(parseCclDate('2026-01-05 12:00 AM PT')).toMatchObject({ hour: 0 });
+    expect(parseCclDate('2026-01-05 12:30 PM PST')).toMatchObject({ hour: 12, zone: 'PST' });
+  });
+
+  it('rejects malformed dates', () => {
+    expect(parseCclDate('TBD')).toBeNull();
+    expect(parseCclDate('March 10, 2026')).toBeNull();
+    expect(parseCclDate('2026-02-30 10:00 AM PT')).toBeNull();
+    expect(parseCclDate('2026-03-10 13:00 PM PT')).toBeNull();
+    expect(parseCclDate(undefined)).toBeNull();
+  });
+});
+
+describe('toIsoInstant', () => {
+  it('uses PST in winter and PDT in summer', () => {
+    expect(toIsoInstant('2026-01-05 12:00 AM PT')).toBe('2026-01-05T08:00:00.000Z');
+    expect(toIsoInstant('2026-07-01 10:00 AM PT')).toBe('2026-07-01T17:00:00.000Z');
+  });
+
+  it('switches at 2 AM on the second Sunday of March', () => {
+    expect(isPacificDaylightTime({ year: 2026, month: 3, day: 8, hour: 1 })).toBe(false);
+    expect(isPacificDaylightTime({ year: 2026, month: 3, day: 8, hour: 3 })).toBe(true);
+    expect(toIsoInstant('2026-03-07 10:00 AM PT')).toBe('2026-03-07T18:00:00.000Z');
+    expect(toIsoInstant('2026-03-08 10:00 AM PT')).toBe('2026-03-08T17:00:00.000Z');
+  });
+
+  it('switches back at 2 AM on the first Sunday of November', () => {
+    expect(toIsoInstant('2025-11-01 11:00 AM PT')).toBe('2025-11-01T18:00:00.000Z');
+    expect(toIsoInstant('2025-11-02 01:30 AM PT')).toBe('2025-11-02T08:30:00.000Z');
+    expect(toIsoInstant('2025-11-02 11:00 AM PT')).toBe('2025-11-02T19:00:00.000Z');
+  });
+
+  it('honours an explicit PST or PDT suffix', () => {
+    expect(toIsoInstant('2026-07-01 10:00 AM PST')).toBe('2026-07-01T18:00:00.000Z');
+    expect(toIsoInstant('2026-01-05 10:00 AM PDT')).toBe('2026-01-05T17:00:00.000Z');
+  });
+
+  it('returns null for unparseable dates', () => {
+    expect(toIsoInstant('TBD')).toBeNull();
+  });
+});
+
+describe('normalizeTournamentDates', () => {
+  it('adds isoDate to every event without touching the display string', () => {
+    const normalized = normalizeTournamentDates({
+      logistics: [{ title: 'Roster Lock', date: '2026-03-20 11:59 PM PT' }],
+      regular_season: [{ title: 'Regular Season Round 1', date: 'TBD' }],
+      divisions: [{ division: 1, playoff_rounds: [{ title: 'Final', date: '2026-04-19 11:00 AM PT' }] }],
+      requirements: { minimum_account_age: 90, minimum_games: 25 }
+    });
+
+    expect(normalized).toEqual({
+      logistics: [{ title: 'Roster Lock', date: '2026-03-20 11:59 PM PT', isoDate: '2026-03-21T06:59:00.000Z' }],
+      regular_season: [{ title: 'Regular Season Round 1', date: 'TBD', isoDate: null }],
+      divisions: [{ division: 1, playoff_rounds: [{ title: 'Final', date: '2026-04-19 11:00 AM PT', isoDate: '2026-04-19T18:00:00.000Z' }] }],
+      requirements: { minimum_account_age: 90, minimum_games: 25 }
+    });
+  });
+});
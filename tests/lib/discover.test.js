@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { getUpcomingSeasons, runAutoDiscovery, AUTO_DISCOVERY_USER } from '../../lib/pipeline/discover';
+import { JOB_COLLECTION } from '../../lib/pipeline/jobs';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+import { createRecordedFetch, readFixture } from '../helpers/recorded-fetch';
+import { fakeLlm, extractionAnswers } from '../helpers/fake-llm';
+import { spring2026Recordings, SPRING_2026_DRIVE_DOWNLOAD } from '../helpers/recordings';
+
+const tournamentInfo = JSON.parse(Buffer.from(readFixture('tests/fixtures/llm-tournament-info.json')).toString('utf8'));
+
+const createTestChannel = () => {
+  const messages = [];
+  return { name: 'test', messages, send: async (message) => { messages.push(message); } };
+};
+
+describe('getUpcomingSeasons', () => {
+  it('looks at the current season and the next one', () => {
+    expect(getUpcomingSeasons(new Date('2026-03-01T12:00:00Z'))).toEqual([
+      { season: 'spring', year: '2026' },
+      { season: 'fall', year: '2026' }
+    ]);
+    expect(getUpcomingSeasons(new Date('2026-10-18T12:00:00Z'))).toEqual([
+      { season: 'fall', year: '2026' },
+      { season: 'spring', year: '2027' }
+    ]);
+  });
+});
+
+describe('runAutoDiscovery', () => {
+  let store;
+  let channel;
+  const now = new Date('2026-01-15T12:00:00Z');
+
+  beforeEach(async () => {
+    store = await useTempStore();
+    channel = createTestChannel();
+    fakeLlm.reset();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    await removeTempStore(store);
+  });
+
+  it('runs the whole pipeline for a newly announced season and tells the officers', async () => {
+    vi.stubGlobal('fetch', createRecordedFetch(spring2026Recordings()));
+    fakeLlm.queue(...extractionAnswers(tournamentInfo));
+
+    const summary = await runAutoDiscovery({ channels: [channel], provider: 'perplexity', now });
+
+    expect(summary.found).toEqual([expect.objectContaining({ season: 'spring', year: '2026', status: 'succeeded' })]);
+    expect(summary.notFound).toEqual([{ season: 'fall', year: '2026' }]);
+
+    const [job] = await store.collection(JOB_COLLECTION).find({ season: 'spring', year: '2026' });
+    expect(job.createdBy).toBe(AUTO_DISCOVERY_USER);
+
+    const [record] = await store.collection('ccl-tournament-info').find({ season: 'spring', year: '2026' });
+    expect(record.tournamentInfo.requirements).toEqual({ minimum_account_age: 90, minimum_games: 25 });
+
+    expect(channel.messages).toEqual([{
+      subject: 'CCL Spring 2026 announced',
+      text: 'The Collegiate Chess League Spring 2026 announcement and rulebook were found and extracted.'
+    }]);
+
+    // Nothing new on the next run
+    const again = await runAutoDiscovery({ channels: [channel], provider: 'perplexity', now });
+    expect(again.found).toEqual([]);
+    expect(again.skipped).toEqual([{ season: 'spring', year: '2026', reason: 'extracted' }]);
+    expect(channel.messages).toHaveLength(1);
+  });
+
+  it('reports a failed step once and leaves the season to the officers', async () => {
+    const recordings = spring2026Recordings();
+    delete recordings[SPRING_2026_DRIVE_DOWNLOAD];
+    vi.stubGlobal('fetch', createRecordedFetch(recordings));
+
+    const summary = await runAutoDiscovery({ channels: [channel], provider: 'perplexity', now });
+    expect(summary.found[0]).toMatchObject({ season: 'spring', status: 'failed' });
+
+    expect(channel.messages).toHaveLength(1);
+    expect(channel.messages[0].subject).toBe('CCL Spring 2026 announced, needs attention');
+    expect(channel.messages[0].text).toContain('the Upload PDF step failed: No rulebook PDF could be downloaded');
+
+    const again = await runAutoDiscovery({ channels: [channel], provider: 'perplexity', now });
+    expect(again.skipped).toEqual([{ season: 'spring', year: '2026', reason: 'found' }]);
+    expect(channel.messages).toHaveLength(1);
+  });
+
+  it('does not search on a dry run', async () => {
+    const fetch = createRecordedFetch(spring2026Recordings());
+    vi.stubGlobal('fetch', fetch);
+
+    const summary = await runAutoDiscovery({ channels: [channel], provider: 'perplexity', now, dryRun: true });
+
+    expect(summary.skipped.map(({ reason }) => reason)).toEqual(['dry-run', 'dry-run']);
+    expect(fetch.calls).toEqual([]);
+    expect(await store.collection('ccl-tournament-info').find()).toEqual([]);
+  });
+});
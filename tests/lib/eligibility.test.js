@@ -0,0 +1,58 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { evaluatePlayer, checkEligibility } from '../../lib/eligibility';
+import { apiClient } from '../../lib/chesscom/api';
+import { stubClient } from '../../lib/chesscom/stub';
+import { createRecordedFetch } from '../helpers/recorded-fetch';
+
+const requirements = { minimum_account_age: 90, minimum_games: 25 };
+const asOf = new Date('2026-03-01T00:00:00.000Z');
+
+describe('evaluatePlayer', () => {
+  it('passes players who meet both requirements', () => {
+    const result = evaluatePlayer({ username: 'SlugChess', joined: '2021-09-14T18:22:05.000Z', blitzGames: 1432, blitzRating: 1685 }, requirements, asOf);
+    expect(result).toMatchObject({ status: 'pass', reasons: [], eligibleOn: null });
+  });
+
+  it('reports when a young account becomes eligible', () => {
+    const result = evaluatePlayer({ username: 'Freshman2026', joined: '2026-02-01T20:00:00.000Z', blitzGames: 40 }, requirements, asOf);
+    expect(result.status).toBe('fail');
+    expect(result.reasons).toEqual(['Account is 27 days old; 90 required']);
+    expect(result.eligibleOn).toBe('2026-05-02T20:00:00.000Z');
+  });
+
+  it('has no eligibility date while games are missing', () => {
+    const result = evaluatePlayer({ username: 'NewToBlitz', joined: '2022-05-20T16:45:00.000Z', blitzGames: 6 }, requirements, asOf);
+    expect(result.reasons).toEqual(['6 rated blitz games; 25 required (19 more)']);
+    expect(result.eligibleOn).toBeNull();
+  });
+});
+
+describe('checkEligibility', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('builds a report from the stub client', async () => {
+    const report = await checkEligibility(['slugchess', 'freshman2026', 'ghost_account'], requirements, { client: stubClient, asOf });
+
+    expect(report.map(({ username, status }) => ({ username, status }))).toEqual([
+      { username: 'SlugChess', status: 'pass' },
+      { username: 'Freshman2026', status: 'fail' },
+      { username: 'ghost_account', status: 'fail' }
+    ]);
+    expect(report[2].reasons).toEqual(['chess.com account not found']);
+  });
+
+  it('reads join dates and blitz records from the chess.com API', async () => {
+    vi.stubGlobal('fetch', createRecordedFetch({
+      'https://api.chess.com/pub/player/bananaslug': { body: { username: 'BananaSlug', joined: 1704247844 } },
+      'https://api.chess.com/pub/player/bananaslug/stats': { body: { chess_blitz: { last: { rating: 1240 }, record: { win: 100, loss: 90, draw: 22 } } } },
+      'https://api.chess.com/pub/player/flaky': { status: 500, body: 'Server error' }
+    }));
+
+    const report = await checkEligibility(['BananaSlug', 'flaky'], requirements, { client: apiClient, asOf });
+
+    expect(report[0]).toMatchObject({ username: 'BananaSlug', status: 'pass', blitzGames: 212, blitzRating: 1240, joined: '2024-01-03T02:10:44.000Z' });
+    expect(report[1]).toMatchObject({ username: 'flaky', status: 'error' });
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { getLlmProvider, createChatModel, getEmbeddingModel } from '../../lib/llm';
+import { fakeLlm } from '../helpers/fake-llm';
+
+describe('getLlmProvider', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    fakeLlm.reset();
+  });
+
+  it('uses the provider named by CCL_LLM_PROVIDER, OpenAI by default', () => {
+    expect(getLlmProvider().name).toBe('fake');
+    vi.stubEnv('CCL_LLM_PROVIDER', '');
+    expect(getLlmProvider().name).toBe('openai');
+    expect(getLlmProvider('local').name).toBe('local');
+  });
+
+  it('rejects an unknown provider', () => {
+    expect(() => getLlmProvider('gemini')).toThrow('Unknown LLM provider "gemini"');
+  });
+
+  it('points OpenAI at OPENAI_API_BASE when it is set', () => {
+    vi.stubEnv('OPENAI_API_KEY', 'sk-test');
+    expect(getLlmProvider('openai').createChatModel().clientConfig.baseURL).toBeUndefined();
+
+    vi.stubEnv('OPENAI_API_BASE', 'https://proxy.example.com/v1');
+    vi.stubEnv('OPENAI_API_MODEL_NAME', 'gpt-4o-mini');
+    const model = getLlmProvider('openai').createChatModel();
+    expect(model.clientConfig.baseURL).toBe('https://proxy.example.com/v1');
+    expect(model.model).toBe('gpt-4o-mini');
+  });
+
+  it('talks to a local server, Ollama unless CCL_LOCAL_LLM_URL says otherwise', () => {
+    const local = getLlmProvider('local');
+    expect(local.createChatModel().clientConfig.baseURL).toBe('http://localhost:11434/v1');
+
+    vi.stubEnv('CCL_LOCAL_LLM_URL', 'http://localhost:8080/v1');
+    vi.stubEnv('CCL_LOCAL_EMBEDDING_MODEL', 'bge-small');
+    expect(local.createEmbeddings().clientConfig.baseURL).toBe('http://localhost:8080/v1');
+    expect(local.embeddingModel()).toBe('local:bge-small');
+  });
+
+  it('answers from the scripted queue with the fake provider', async () => {
+    fakeLlm.queue({ answer: 'yes' });
+    const result = await createChatModel().invoke([['human', 'Is it?']]);
+    expect(JSON.parse(result.content)).toEqual({ answer: 'yes' });
+    expect(result.usage_metadata.total_tokens).toBeGreaterThan(0);
+    expect(getEmbeddingModel()).toBe('fake:bag-of-words-64');
+  });
+});
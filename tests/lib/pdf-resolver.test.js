@@ -0,0 +1,107 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { resolvePdfSource, downloadRulebookPdf } from '../../lib/pdf-resolver';
+import { createRecordedFetch, readFixture } from '../helpers/recorded-fetch';
+
+const pdfBytes = readFixture('tests/fixtures/ccl-spring-2026-rules.pdf');
+const pdfRecording = { body: pdfBytes, headers: { 'Content-Type': 'application/pdf' } };
+const html = (body) => ({ body: `<!DOCTYPE html><html><body>${body}</body></html>`, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+
+describe('resolvePdfSource', () => {
+  it.each([
+    ['https://drive.google.com/file/d/abc123/view?usp=sharing', 'drive-file', 'https://drive.google.com/uc?export=download&id=abc123'],
+    ['https://drive.google.com/open?id=abc123', 'drive-file', 'https://drive.google.com/uc?export=download&id=abc123'],
+    ['https://drive.google.com/uc?id=abc123&export=download', 'drive-file', 'https://drive.google.com/uc?export=download&id=abc123'],
+    ['https://drive.google.com/drive/folders/fold3r?usp=sharing', 'drive-folder', 'https://drive.google.com/embeddedfolderview?id=fold3r'],
+    ['https://docs.google.com/document/d/doc-1/edit?usp=sharing', 'google-export', 'https://docs.google.com/document/d/doc-1/export?format=pdf'],
+    ['https://docs.google.com/presentation/d/deck/edit', 'google-export', 'https://docs.google.com/presentation/d/deck/export/pdf'],
+    ['https://www.dropbox.com/scl/fi/xyz/rules.pdf?rlkey=k&dl=0', 'dropbox', 'https://www.dropbox.com/scl/fi/xyz/rules.pdf?rlkey=k&dl=1'],
+    ['https://dropbox.com/s/xyz/rules.pdf', 'dropbox', 'https://www.dropbox.com/s/xyz/rules.pdf?dl=1'],
+    ['https://example.edu/ccl/rules.pdf', 'direct', 'https://example.edu/ccl/rules.pdf']
+  ])('resolves %s', (link, kind, url) => {
+    expect(resolvePdfSource(link)).toEqual({ kind, url });
+  });
+
+  it('rejects links it cannot download', () => {
+    expect(resolvePdfSource('')).toBeNull();
+    expect(resolvePdfSource('mailto:ccl@chess.com')).toBeNull();
+    expect(resolvePdfSource('https://drive.google.com/drive/my-drive')).toBeNull();
+  });
+});
+
+describe('downloadRulebookPdf', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('follows redirects to a direct PDF', async () => {
+    vi.stubGlobal('fetch', createRecordedFetch({
+      'https://example.edu/ccl/rules.pdf': { redirectTo: 'https://cdn.example.edu/rules-v2.pdf' },
+      'https://cdn.example.edu/rules-v2.pdf': pdfRecording
+    }));
+
+    const { bytes, kind } = await downloadRulebookPdf('https://example.edu/ccl/rules.pdf');
+    expect(kind).toBe('direct');
+    expect(bytes).toEqual(pdfBytes);
+  });
+
+  it('exports Google Docs to PDF', async () => {
+    const recordedFetch = createRecordedFetch({ 'https://docs.google.com/document/d/doc-1/export?format=pdf': pdfRecording });
+    vi.stubGlobal('fetch', recordedFetch);
+
+    const { bytes } = await downloadRulebookPdf('https://docs.google.com/document/d/doc-1/edit');
+    expect(bytes).toEqual(pdfBytes);
+  });
+
+  it('downloads Dropbox share links with dl=1', async () => {
+    vi.stubGlobal('fetch', createRecordedFetch({ 'https://www.dropbox.com/s/xyz/rules.pdf?dl=1': pdfRecording }));
+
+    const { bytes } = await downloadRulebookPdf('https://www.dropbox.com/s/xyz/rules.pdf?dl=0');
+    expect(bytes).toEqual(pdfBytes);
+  });
+
+  it('submits Drive\'s large-file confirmation form', async () => {
+    const recordedFetch = createRecordedFetch({
+      'https://drive.google.com/uc?export=download&id=big': html(`
+        <p>Google Drive can't scan this file for viruses.</p>
+        <form id="download-form" action="https://drive.usercontent.google.com/download" method="get">
+          <input type="submit" value="Download anyway">
+          <input type="hidden" name="id" value="big">
+          <input type="hidden" name="export" value="download">
+          <input type="hidden" name="confirm" value="t">
+          <input type="hidden" name="uuid" value="1234">
+        </form>`),
+      'https://drive.usercontent.google.com/download?id=big&export=download&confirm=t&uuid=1234': pdfRecording
+    });
+    vi.stubGlobal('fetch', recordedFetch);
+
+    const { bytes } = await downloadRulebookPdf('https://drive.google.com/file/d/big/view');
+    expect(bytes).toEqual(pdfBytes);
+    expect(recordedFetch.calls).toHaveLength(2);
+  });
+
+  it('picks the PDF out of a shared Drive folder', async () => {
+    vi.stubGlobal('fetch', createRecordedFetch({
+      'https://drive.google.com/embeddedfolderview?id=fold3r': html(`
+        <div class="flip-entry"><a href="https://drive.google.com/file/d/logo/view?usp=drive_web">logo.png</a></div>
+        <div class="flip-entry"><a href="https://drive.google.com/file/d/rules/view?usp=drive_web">CCL Spring 2026 Rules.pdf</a></div>`),
+      'https://drive.google.com/uc?export=download&id=rules': pdfRecording
+    }));
+
+    const { bytes, kind } = await downloadRulebookPdf('https://drive.google.com/drive/folders/fold3r');
+    expect(kind).toBe('drive-folder');
+    expect(bytes).toEqual(pdfBytes);
+  });
+
+  it('refuses downloads that are not PDFs', async () => {
+    vi.stubGlobal('fetch', createRecordedFetch({
+      'https://example.edu/ccl/rules.pdf': html('<h1>Sign in to continue</h1>')
+    }));
+
+    await expect(downloadRulebookPdf('https://example.edu/ccl/rules.pdf')).rejects.toThrow('is not a PDF (text/html; charset=utf-8)');
+  });
+
+  it('reports failed downloads', async () => {
+    vi.stubGlobal('fetch', createRecordedFetch({}));
+    await expect(downloadRulebookPdf('https://example.edu/missing.pdf')).rejects.toThrow('Failed to download https://example.edu/missing.pdf: 404');
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { splitCitations, verifyCitations } from '../../lib/provenance';
+
+const pages = [
+  { page: 1, text: '1.4 Rosters lock on March 20, 2026\nat 11:59 PM PT.\nRound 1: March 10, 2026' },
+  { page: 2, text: '5.4.3 Players must have completed at least 25 rated blitz games on Chess.com.' }
+];
+
+describe('splitCitations', () => {
+  it('moves the sources out of the tournament info, keyed by field', () => {
+    const { tournamentInfo, claimed } = splitCitations({
+      logistics: [{ title: 'Roster Lock', date: '2026-03-20 11:59 PM PT', source: { page: 1, quote: 'Rosters lock on March 20' } }],
+      regular_season: [{ title: 'Round 1', date: '2026-03-10 10:00 AM PT' }],
+      divisions: [{ division: 1, playoff_rounds: [{ title: 'Final', date: '2026-04-19 11:00 AM PT', source: { page: 2, quote: 'Final April 19' } }] }],
+      requirements: { minimum_account_age: 90, minimum_games: 25 },
+      requirement_sources: { minimum_games: { page: 2, quote: 'at least 25 rated blitz games' } }
+    });
+
+    expect(tournamentInfo).toEqual({
+      logistics: [{ title: 'Roster Lock', date: '2026-03-20 11:59 PM PT' }],
+      regular_season: [{ title: 'Round 1', date: '2026-03-10 10:00 AM PT' }],
+      divisions: [{ division: 1, playoff_rounds: [{ title: 'Final', date: '2026-04-19 11:00 AM PT' }] }],
+      requirements: { minimum_account_age: 90, minimum_games: 25 }
+    });
+    expect(claimed).toEqual({
+      'logistics › Roster Lock': { page: 1, quote: 'Rosters lock on March 20' },
+      'Division 1 playoffs › Final': { page: 2, quote: 'Final April 19' },
+      'requirements › minimum_games': { page: 2, quote: 'at least 25 rated blitz games' }
+    });
+  });
+});
+
+describe('verifyCitations', () => {
+  it('accepts quotes that appear in the PDF, across line breaks', () => {
+    const citations = verifyCitations({ 'logistics › Roster Lock': { page: 1, quote: 'Rosters lock on March 20, 2026 at 11:59 PM PT.' } }, pages);
+    expect(citations['logistics › Roster Lock']).toEqual({ page: 1, quote: 'Rosters lock on March 20, 2026 at 11:59 PM PT.', verified: true });
+  });
+
+  it('corrects the page when the quote is on another one', () => {
+    const citations = verifyCitations({ 'requirements › minimum_games': { page: 1, quote: 'at least 25 rated blitz games' } }, pages);
+    expect(citations['requirements › minimum_games']).toMatchObject({ page: 2, verified: true });
+  });
+
+  it('flags invented and too-short quotes', () => {
+    const citations = verifyCitations({
+      'regular_season › Round 1': { page: 1, quote: 'Round 1 is played on March 11' },
+      'requirements › minimum_games': { page: 2, quote: '25' },
+      'logistics › Registration Opens': { page: 1, quote: '' }
+    }, pages);
+
+    expect(citations).toEqual({
+      'regular_season › Round 1': { page: 1, quote: 'Round 1 is played on March 11', verified: false },
+      'requirements › minimum_games': { page: 2, quote: '25', verified: false }
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { parseLeadTimes, findDueReminders, sendDueReminders, REMINDER_LOG_COLLECTION } from '../../lib/reminders';
+import { getNotificationChannels } from '../../lib/notify';
+import { startFakeWebhook, startFakeSmtp } from '../../scripts/fake-notify-server.mjs';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+
+const tournamentInfo = {
+  logistics: [
+    { title: 'Registration Closes', date: '2026-02-20 11:59 PM PT' },
+    { title: 'Roster Lock', date: '2026-03-20 11:59 PM PT' }
+  ],
+  regular_season: [],
+  divisions: []
+};
+
+const season = { season: 'spring', year: '2026', tournamentInfo };
+
+describe('parseLeadTimes', () => {
+  it('parses and sorts lead times, longest first', () => {
+    expect(parseLeadTimes('1h, 7d,30m,1d').map(lead => lead.label)).toEqual(['7d', '1d', '1h', '30m']);
+  });
+
+  it('rejects unknown units', () => {
+    expect(() => parseLeadTimes('2w')).toThrow('Invalid reminder lead time "2w"');
+  });
+});
+
+describe('findDueReminders', () => {
+  const leadTimes = parseLeadTimes('7d,1d,1h');
+
+  it('returns nothing before the first lead time', () => {
+    expect(findDueReminders(season, leadTimes, new Date('2026-02-01T00:00:00Z'))).toEqual([]);
+  });
+
+  it('picks the shortest lead time that has been reached', () => {
+    // Registration Closes is 2026-02-21T07:59Z; 1 day before has passed, 1 hour before hasn't
+    const due = findDueReminders(season, leadTimes, new Date('2026-02-20T12:00:00Z'));
+    expect(due.map(reminder => reminder.key)).toEqual(['ccl-spring-2026-logistics-registration-closes--1d']);
+    expect(due[0].at).toBe('2026-02-21T07:59:00.000Z');
+  });
+
+  it('skips events that have already happened', () => {
+    const due = findDueReminders(season, leadTimes, new Date('2026-03-15T00:00:00Z'));
+    expect(due.map(reminder => reminder.key)).toEqual(['ccl-spring-2026-logistics-roster-lock--7d']);
+  });
+});
+
+describe('sendDueReminders', () => {
+  let store;
+  let webhook;
+  let smtp;
+
+  beforeEach(async () => {
+    store = await useTempStore();
+    await store.collection('ccl-tournament-info').add(season);
+    webhook = await startFakeWebhook();
+    smtp = await startFakeSmtp();
+  });
+
+  afterEach(async () => {
+    await webhook.close();
+    await smtp.close();
+    await removeTempStore(store);
+  });
+
+  const channelsFor = (webhookUrl) => getNotificationChannels({
+    CCL_DISCORD_WEBHOOK_URL: webhookUrl,
+    CCL_SMTP_URL: smtp.url,
+    CCL_NOTIFY_EMAIL_TO: 'officers@example.com',
+    CCL_NOTIFY_EMAIL_FROM: 'club@example.com'
+  });
+
+  const now = new Date('2026-03-20T08:00:00Z');
+
+  it('sends each reminder to Discord and email once', async () => {
+    const channels = channelsFor(webhook.url);
+
+    const first = await sendDueReminders({ channels, now });
+    expect(first.sent.map(reminder => reminder.subject)).toEqual(['CCL Roster Lock in 1 day(s)']);
+
+    expect(webhook.messages).toHaveLength(1);
+    expect(webhook.messages[0].body.content).toBe('**CCL Roster Lock in 1 day(s)**\nCCL Roster Lock (Spring 2026) is on 2026-03-20 11:59 PM PT.');
+
+    expect(smtp.messages).toHaveLength(1);
+    expect(smtp.messages[0].to).toEqual(['<officers@example.com>']);
+    expect(smtp.messages[0].data).toContain('Subject: CCL Roster Lock in 1 day(s)');
+
+    const second = await sendDueReminders({ channels, now });
+    expect(second.sent).toEqual([]);
+    expect(second.skipped).toEqual(['ccl-spring-2026-logistics-roster-lock--1d']);
+    expect(webhook.messages).toHaveLength(1);
+
+    const logged = await store.collection(REMINDER_LOG_COLLECTION).get('ccl-spring-2026-logistics-roster-lock--1d');
+    expect(logged).toMatchObject({ season: 'spring', year: '2026', lead: '1d', eventDate: '2026-03-21T06:59:00.000Z' });
+  });
+
+  it('reminds again when a re-extraction moves the event', async () => {
+    const channels = channelsFor(webhook.url);
+    await sendDueReminders({ channels, now });
+
+    const [record] = await store.collection('ccl-tournament-info').find();
+    await store.collection('ccl-tournament-info').update(record.id, {
+      tournamentInfo: { ...tournamentInfo, logistics: [tournamentInfo.logistics[0], { title: 'Roster Lock', date: '2026-03-21 11:59 PM PT' }] }
+    });
+
+    const moved = await sendDueReminders({ channels, now: new Date('2026-03-21T08:00:00Z') });
+    expect(moved.sent.map(reminder => reminder.key)).toEqual(['ccl-spring-2026-logistics-roster-lock--1d']);
+    expect(webhook.messages).toHaveLength(2);
+    expect(webhook.messages[1].body.content).toContain('is on 2026-03-21 11:59 PM PT');
+
+    const logged = await store.collection(REMINDER_LOG_COLLECTION).get('ccl-spring-2026-logistics-roster-lock--1d');
+    expect(logged.eventDate).toBe('2026-03-22T06:59:00.000Z');
+  });
+
+  it('retries on the next run when every channel fails', async () => {
+    const failing = await startFakeWebhook({ status: 500 });
+    try {
+      const channels = getNotificationChannels({ CCL_DISCORD_WEBHOOK_URL: failing.url });
+
+      const summary = await sendDueReminders({ channels, now });
+      expect(summary.sent).toEqual([]);
+      expect(summary.failed[0].channels).toEqual([{ channel: 'discord', ok: false, error: 'Discord webhook returned 500' }]);
+      expect(await store.collection(REMINDER_LOG_COLLECTION).get('ccl-spring-2026-logistics-roster-lock--1d')).toBeNull();
+    } finally {
+      await failing.close();
+    }
+  });
+});
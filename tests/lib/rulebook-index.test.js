@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { getRulebookIndex, clearRulebookIndexCache } from '../../lib/rulebook-index';
+import { fakeProvider } from '../../lib/llm/fake';
+import { useTempStore, removeTempStore } from '../helpers/local-store';
+import { readFixture } from '../helpers/recorded-fetch';
+
+describe('getRulebookIndex', () => {
+  let store;
+  let pdfStorageUrl;
+  let createEmbeddings;
+
+  const season = { season: 'spring', year: '2026' };
+
+  beforeEach(async () => {
+    store = await useTempStore();
+    clearRulebookIndexCache();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    createEmbeddings = vi.spyOn(fakeProvider, 'createEmbeddings');
+    pdfStorageUrl = await store.files.save('ccl/spring/2026/1_ccl_spring_2026.pdf', readFixture('tests/fixtures/ccl-spring-2026-rules.pdf'), 'application/pdf');
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    clearRulebookIndexCache();
+    await removeTempStore(store);
+  });
+
+  it('builds the index once and reuses it', async () => {
+    const index = await getRulebookIndex({ ...season, pdfStorageUrl });
+    expect(index).toMatchObject({ pdfStorageUrl, embeddingModel: 'fake:bag-of-words-64' });
+    expect(index.chunks.map(chunk => chunk.page)).toEqual([1, 2]);
+
+    expect(await getRulebookIndex({ ...season, pdfStorageUrl })).toBe(index);
+
+    // A new server instance loads the stored copy instead of embedding again
+    clearRulebookIndexCache();
+    expect((await getRulebookIndex({ ...season, pdfStorageUrl })).createdAt).toBe(index.createdAt);
+    expect(createEmbeddings).toHaveBeenCalledTimes(1);
+  });
+
+  it('shares one build between questions asked at the same time', async () => {
+    const [first, second] = await Promise.all([
+      getRulebookIndex({ ...season, pdfStorageUrl }),
+      getRulebookIndex({ ...season, pdfStorageUrl })
+    ]);
+    expect(second).toBe(first);
+    expect(createEmbeddings).toHaveBeenCalledTimes(1);
+  });
+
+  it('rebuilds when the rulebook PDF changes', async () => {
+    await getRulebookIndex({ ...season, pdfStorageUrl });
+    const newUrl = await store.files.save('ccl/spring/2026/2_ccl_spring_2026.pdf', readFixture('tests/fixtures/ccl-spring-2026-rules.pdf'), 'application/pdf');
+
+    const rebuilt = await getRulebookIndex({ ...season, pdfStorageUrl: newUrl });
+    expect(rebuilt.pdfStorageUrl).toBe(newUrl);
+    expect(createEmbeddings).toHaveBeenCalledTimes(2);
+  });
+
+  it('rebuilds when the embedding model changes', async () => {
+    await getRulebookIndex({ ...season, pdfStorageUrl });
+    vi.spyOn(fakeProvider, 'embeddingModel').mockReturnValue('fake:other-model');
+
+    const rebuilt = await getRulebookIndex({ ...season, pdfStorageUrl });
+    expect(rebuilt.embeddingModel).toBe('fake:other-model');
+    expect(createEmbeddings).toHaveBeenCalledTimes(2);
+  });
+});
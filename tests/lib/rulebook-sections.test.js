@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { splitIntoSections, routeSections } from '../../lib/rulebook-sections';
+
+const pages = [
+  { page: 1, text: 'CCL Official Rules\n1. Logistics\n1.1 Registration opens on January 5.\n2. Schedule\nRound 1: March 10' },
+  { page: 2, text: 'Round 2: March 17\n1. Rounds are best of two games\n3. Player Eligibility\n3.1 Accounts must be 90 days old.' }
+];
+
+describe('splitIntoSections', () => {
+  it('splits on numbered top-level headings and keeps page markers', () => {
+    const sections = splitIntoSections(pages);
+
+    expect(sections.map(({ heading, pages }) => [heading, pages])).toEqual([
+      ['Preamble', [1]],
+      ['1. Logistics', [1]],
+      ['2. Schedule', [1, 2]],
+      ['3. Player Eligibility', [2]]
+    ]);
+    // A numbered list item that restarts at 1 stays inside its section
+    expect(sections[2].text).toBe('[Page 1]\n2. Schedule\nRound 1: March 10\n[Page 2]\nRound 2: March 17\n1. Rounds are best of two games');
+  });
+});
+
+describe('routeSections', () => {
+  const sections = splitIntoSections(pages);
+
+  it('prefers sections whose heading matches', () => {
+    expect(routeSections(sections, { headings: /eligib/i, keywords: /days old/i }).map(section => section.heading)).toEqual(['3. Player Eligibility']);
+  });
+
+  it('falls back to sections that mention the field, then to the whole document', () => {
+    expect(routeSections(sections, { headings: /playoff/i, keywords: /round 2/i }).map(section => section.heading)).toEqual(['2. Schedule']);
+    expect(routeSections(sections, { headings: /playoff/i, keywords: /quarterfinal/i })).toHaveLength(4);
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { diffTournamentInfo } from '../../lib/rulebook-versions';
+
+describe('diffTournamentInfo', () => {
+  it('reports added, removed and changed fields', () => {
+    const before = {
+      logistics: [{ title: 'Roster Lock', date: '2026-03-20 11:59 PM PT' }, { title: 'Schedule Release', date: '2026-03-01 12:00 PM PT' }],
+      requirements: { minimum_games: 25 }
+    };
+    const after = {
+      logistics: [{ title: 'Roster Lock', date: '2026-03-27 11:59 PM PT' }],
+      requirements: { minimum_games: 25, minimum_account_age: 90 }
+    };
+
+    expect(diffTournamentInfo(before, after)).toEqual([
+      { field: 'logistics › Roster Lock', type: 'changed', before: '2026-03-20 11:59 PM PT', after: '2026-03-27 11:59 PM PT' },
+      { field: 'logistics › Schedule Release', type: 'removed', before: '2026-03-01 12:00 PM PT' },
+      { field: 'requirements › minimum_account_age', type: 'added', after: 90 }
+    ]);
+  });
+
+  it('uses null rather than undefined for missing values', () => {
+    const before = { logistics: [{ title: 'Roster Lock' }], requirements: { minimum_games: undefined } };
+    const after = { logistics: [{ title: 'Roster Lock', date: '2026-03-20 11:59 PM PT' }], requirements: { minimum_games: 25 } };
+
+    const changes = diffTournamentInfo(before, after);
+
+    expect(changes).toEqual([
+      { field: 'logistics › Roster Lock', type: 'changed', before: null, after: '2026-03-20 11:59 PM PT' },
+      { field: 'requirements › minimum_games', type: 'changed', before: null, after: 25 }
+    ]);
+    expect(diffTournamentInfo(after, before).every(change => change.after === null)).toBe(true);
+  });
+});
@@ -0,0 +1,23 @@
+import { defineConfig } from "vitest/config";
+import path from "path";
+
+export default defineConfig({
+  resolve: {
+    alias: {
+      "@": path.resolve(import.meta.dirname),
+    },
+  },
+  test: {
+    environment: "node",
+    include: ["tests/**/*.test.js"],
+    env: {
+      // Lets tests sign in with "local:<email>" tokens (see lib/auth.js)
+      CCL_LOCAL_AUTH: "1",
+      CCL_STORAGE_BACKEND: "local",
+      CCL_OFFICER_EMAILS: "officer@test.local",
+      CCL_MEMBER_EMAIL_DOMAINS: "test.local",
+      // Scripted model answers and hashed embeddings (see tests/helpers/fake-llm.js)
+      CCL_LLM_PROVIDER: "fake",
+    },
+  },
+});